@@ -4,61 +4,307 @@ const cors = require('cors');
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
 const sharp = require('sharp');
 const axios = require('axios');
-const OpenAI = require('openai');
+const path = require('path');
+const crypto = require('crypto');
+const { createCatalogSync } = require('./services/catalogSync');
+const { verifyWebhookSignature, parseWebhookTopic } = require('./services/wooWebhooks');
+const { createStoreApiCart, createLocalCart, buildCheckoutUrl } = require('./services/cart');
+const { createFileWishlistStorage, createPluginWishlistStorage, verifyCustomerSignature } = require('./services/wishlist');
+const { createIngredientKnowledgeBase, validateKnowledgeBase } = require('./services/ingredientKnowledgeBase');
+const { parseInciList, getIngredientNames } = require('./services/inciParser');
+const { collectDeclaredPercentages, findOnePercentLine, getConcentrationFactor } = require('./services/concentration');
+const { detectInteractions, summarizeInteractions } = require('./services/interactions');
+const { buildShortlists, selectRoutine, layoutRoutine, classifyProductStep, ROUTINE_SLOTS } = require('./services/routine');
+const { createAiProviderFromEnv } = require('./services/aiProviders');
+const { VALID_CONDITIONS, SKIN_TYPES, SEVERITIES, extractConditionTerms, normalizeSkinAnalysis, normalizeZones } = require('./services/conditionNormalizer');
+const { buildConditionWeights, resolveSkinType } = require('./services/conditionWeights');
+const { createAiResultCache, computeImageFingerprint } = require('./services/aiResultCache');
+const { assessImageQuality } = require('./services/imageQuality');
+const { withRegions, getConditionCoverage, targetProduct } = require('./services/facialZones');
+const { IMAGE_FORMATS, detectImageFormat, createMultipartImageParser } = require('./services/imageUpload');
+const { createJobQueue } = require('./services/analysisJobs');
+const { createRateLimiter } = require('./services/rateLimiter');
+const { loadTenantConfig, createDefaultTenant, applyIngredientOverrides, createTenantRegistry } = require('./services/tenants');
+const { createAiBudget, trackSpend } = require('./services/aiBudget');
+const { createCache, createCacheStoreFromEnv } = require('./services/cacheStore');
+const { createMetricsRegistry } = require('./services/metrics');
+const { createLoggerFromEnv, runWithLogContext, addLogContext } = require('./services/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Structured JSON logs - LOG_LEVEL, LOG_FORMAT and LOG_REDACT, see services/logger.js
+// Shopper descriptions and AI output are redacted unless LOG_REDACT says otherwise
+const logger = createLoggerFromEnv(process.env);
+
+// Correlation id for every request - the client's X-Request-Id when it looks safe,
+// otherwise a new one. Echoed in the response and added to every log entry
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+});
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({
+    exposedHeaders: [
+        'Cart-Token', 'Wishlist-Session', 'Location', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Request-Id',
+        'X-Processing-Time', 'X-Cache-Status', 'X-Products-Scored', 'X-Score-Cache-Hit-Rate'
+    ]
+}));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.static('../'));
 
 // Add compression for faster response times
 const compression = require('compression');
 app.use(compression());
 
-// WooCommerce API Configuration
-const WooCommerce = new WooCommerceRestApi({
-    url: process.env.WOOCOMMERCE_URL,
-    consumerKey: process.env.WOOCOMMERCE_CONSUMER_KEY,
-    consumerSecret: process.env.WOOCOMMERCE_CONSUMER_SECRET,
-    version: 'wc/v3'
-});
-
-// OpenAI Configuration
-const openai = process.env.API_KEY ? new OpenAI({
-    apiKey: process.env.API_KEY
-}) : null;
-
-// Logger - always output logs
-const log = console.log;
-
-// Ingredient synonym mapping for better matching
-const INGREDIENT_SYNONYMS = {
-    'vitamin c': ['ascorbic acid', 'l-ascorbic acid', 'ascorbyl glucoside', 'sodium ascorbyl phosphate', 'magnesium ascorbyl phosphate', 'ascorbyl palmitate'],
-    'vitamin e': ['tocopherol', 'tocopheryl acetate', 'alpha-tocopherol'],
-    'vitamin b3': ['niacinamide', 'nicotinamide'],
-    'vitamin b5': ['panthenol', 'pantothenic acid', 'd-panthenol'],
-    'vitamin a': ['retinol', 'retinyl palmitate', 'retinyl acetate', 'retinoic acid', 'tretinoin'],
-    'hyaluronic acid': ['sodium hyaluronate', 'hyaluronate', 'ha'],
-    'aha': ['glycolic acid', 'lactic acid', 'mandelic acid', 'citric acid'],
-    'bha': ['salicylic acid', 'beta hydroxy acid'],
-    'peptides': ['palmitoyl tripeptide', 'palmitoyl tetrapeptide', 'acetyl hexapeptide', 'copper peptide'],
-    'ceramides': ['ceramide np', 'ceramide ap', 'ceramide eop', 'ceramide ns', 'ceramide 1', 'ceramide 2', 'ceramide 3']
-};
+// Prometheus metrics, scraped from GET /metrics
+// Cache and AI cache figures are read from their own counters at scrape time
+const metrics = createMetricsRegistry({ prefix: 'skincare_', logger });
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route and status',
+    labelNames: ['method', 'route', 'status']
+});
+const analysisStageDuration = metrics.histogram({
+    name: 'analysis_stage_duration_seconds',
+    help: 'Latency of each analysis stage',
+    labelNames: ['stage']
+});
+const aiTokens = metrics.counter({
+    name: 'ai_tokens_total',
+    help: 'Tokens used by AI provider calls',
+    labelNames: ['task', 'model', 'type']
+});
+const aiCost = metrics.counter({
+    name: 'ai_cost_usd_total',
+    help: 'AI spend in USD',
+    labelNames: ['task']
+});
+const wooCommerceErrors = metrics.counter({
+    name: 'woocommerce_errors_total',
+    help: 'Failed WooCommerce API calls by tenant, API and HTTP status',
+    labelNames: ['tenant', 'api', 'status']
+});
+
+metrics.counter({
+    name: 'cache_requests_total',
+    help: 'Score, product and category cache lookups by result',
+    labelNames: ['tenant', 'cache', 'result'],
+    collect: set => tenants.list().forEach(tenant => {
+        Object.entries(getTenantCaches(tenant)).forEach(([cache, { getStats }]) => {
+            const stats = getStats();
+            set({ tenant: tenant.id, cache, result: 'hit' }, stats.hits);
+            set({ tenant: tenant.id, cache, result: 'miss' }, stats.misses);
+        });
+    })
+});
+metrics.gauge({
+    name: 'cache_hit_ratio',
+    help: 'Share of cache lookups that hit since startup (0-1)',
+    labelNames: ['tenant', 'cache'],
+    collect: set => tenants.list().forEach(tenant => {
+        Object.entries(getTenantCaches(tenant)).forEach(([cache, { getStats }]) => {
+            set({ tenant: tenant.id, cache }, getStats().hitRate / 100);
+        });
+    })
+});
+metrics.gauge({
+    name: 'cache_store_entries',
+    help: 'Entries in the cache store (server-wide for Redis)',
+    collect: async set => set({}, (await cacheStore.getStats()).entries)
+});
+metrics.gauge({
+    name: 'cache_store_memory_bytes',
+    help: 'Memory used by the cache store',
+    collect: async set => set({}, (await cacheStore.getStats()).memoryBytes)
+});
+metrics.counter({
+    name: 'cache_store_evictions_total',
+    help: 'Entries evicted from the cache store to stay within its limits',
+    collect: async set => set({}, (await cacheStore.getStats()).evictions)
+});
+metrics.counter({
+    name: 'ai_cache_requests_total',
+    help: 'AI result cache lookups by result',
+    labelNames: ['task', 'result'],
+    collect: set => Object.entries(aiResultCache.getStats().tasks).forEach(([task, stats]) => {
+        set({ task, result: 'hit' }, stats.hits);
+        set({ task, result: 'perceptual_hit' }, stats.perceptualHits);
+        set({ task, result: 'miss' }, stats.misses);
+    })
+});
+metrics.gauge({
+    name: 'ai_cache_hit_ratio',
+    help: 'Share of AI result cache lookups that hit since startup (0-1)',
+    labelNames: ['task'],
+    collect: set => Object.entries(aiResultCache.getStats().tasks).forEach(([task, stats]) => {
+        set({ task }, stats.hitRate / 100);
+    })
+});
+
+app.use((req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('close', () => {
+        endTimer({ route: req.route ? req.baseUrl + req.route.path : 'unmatched', status: res.statusCode });
+    });
+    next();
+});
+
+// Time one analysis stage into the stage latency histogram
+async function timeStage(stage, run) {
+    const endTimer = analysisStageDuration.startTimer({ stage });
+    try {
+        return await run();
+    } finally {
+        endTimer();
+    }
+}
+
+// Count failed HTTP calls made through a WooCommerce client's methods
+// (REST API, Store API cart, wishlist plugin); local errors are not counted
+function withWooErrorMetrics(client, tenantId, api, methods) {
+    const wrapped = Object.create(client);
+    methods.forEach(method => {
+        wrapped[method] = async (...args) => {
+            try {
+                return await client[method](...args);
+            } catch (error) {
+                if (error.isAxiosError || error.response) {
+                    wooCommerceErrors.inc({ tenant: tenantId, api, status: error.response?.status || 'network' });
+                }
+                throw error;
+            }
+        };
+    });
+    return wrapped;
+}
+
+const CATALOG_SYNC_INTERVAL = (parseInt(process.env.CATALOG_SYNC_INTERVAL_MINUTES, 10) || 30) * 60 * 1000;
+
+// AI spend budget - cost of every AI call from its token usage, capped per UTC day/month
+// Unset limits mean no cap; spend is still tracked
+function parseBudgetLimit(value) {
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+const aiBudget = createAiBudget({
+    filePath: process.env.AI_SPEND_FILE_PATH || path.join(__dirname, 'storage', 'ai-spend.json'),
+    dailyLimit: parseBudgetLimit(process.env.AI_BUDGET_DAILY_USD),
+    monthlyLimit: parseBudgetLimit(process.env.AI_BUDGET_MONTHLY_USD),
+    price: process.env.AI_PRICE_INPUT_PER_MTOK !== undefined || process.env.AI_PRICE_OUTPUT_PER_MTOK !== undefined
+        ? {
+            input: parseFloat(process.env.AI_PRICE_INPUT_PER_MTOK) || 0,
+            output: parseFloat(process.env.AI_PRICE_OUTPUT_PER_MTOK) || 0
+        }
+        : null,
+    logger
+});
+
+// AI provider (OpenAI, an OpenAI-compatible server or deterministic fixtures)
+// null when nothing is configured - AI steps are then skipped
+const configuredAiProvider = createAiProviderFromEnv(process.env, {
+    defaultFixturesPath: path.join(__dirname, 'data', 'ai-fixtures.json')
+});
+const aiProvider = configuredAiProvider && trackSpend(configuredAiProvider, aiBudget, (task, { model, usage }, cost) => {
+    aiTokens.inc({ task, model, type: 'prompt' }, usage?.prompt_tokens || 0);
+    aiTokens.inc({ task, model, type: 'completion' }, usage?.completion_tokens || 0);
+    aiCost.inc({ task }, cost);
+});
+
+// Rate limiting for the analysis endpoints (each request can make three AI calls)
+// Requests with a known X-API-Key are limited per key, everything else per client IP.
+// Behind a proxy or load balancer set TRUST_PROXY so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT !== 'off';
+
+function parseLimit(value, fallback) {
+    const limit = parseInt(value, 10);
+    return limit > 0 ? limit : fallback;
+}
+const ipRateLimiter = createRateLimiter({
+    windows: [
+        { name: 'minute', windowMs: 60 * 1000, limit: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 10) },
+        { name: 'day', windowMs: 24 * 60 * 60 * 1000, limit: parseLimit(process.env.RATE_LIMIT_PER_DAY, 100) }
+    ]
+});
+const apiKeyRateLimiter = createRateLimiter({
+    windows: [
+        { name: 'minute', windowMs: 60 * 1000, limit: parseLimit(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 60) },
+        { name: 'day', windowMs: 24 * 60 * 60 * 1000, limit: parseLimit(process.env.API_KEY_RATE_LIMIT_PER_DAY, 5000) }
+    ]
+});
 
-// Good vs bad alcohols differentiation
-const FATTY_ALCOHOLS = ['cetyl alcohol', 'stearyl alcohol', 'cetearyl alcohol', 'behenyl alcohol', 'lauryl alcohol'];
-const DRYING_ALCOHOLS = ['alcohol denat.', 'sd alcohol', 'isopropyl alcohol', 'ethanol', 'methanol'];
+// API_KEYS=name:key,name:key - names are what show up in logs and stats, never the keys
+const API_KEYS = new Map();
+(process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const index = entry.indexOf(':');
+    if (index > 0) API_KEYS.set(entry.slice(index + 1), entry.slice(0, index));
+});
+
+// AI result cache - face validation and skin analysis keyed by image fingerprint
+// Holds hashes and parsed results only, never image data
+const aiResultCache = createAiResultCache({
+    ttl: (parseInt(process.env.AI_CACHE_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000,
+    maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 5000,
+    // Exact hashes only unless near matches are opted into
+    maxPerceptualDistance: parseInt(process.env.AI_CACHE_PERCEPTUAL_DISTANCE, 10) || 0
+});
+
+// Image uploads - base64 in JSON, or multipart/form-data (no base64 overhead)
+const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_IMAGE_SIZE_MB, 10) || 10) * 1024 * 1024;
+const parseMultipartImage = createMultipartImageParser({ fileField: 'image', maxFileSize: MAX_IMAGE_SIZE });
+
+// Local image quality gate - always on unless IMAGE_QUALITY_GATE=off
+// Thresholds not set here use the defaults in services/imageQuality.js
+const IMAGE_QUALITY_GATE = process.env.IMAGE_QUALITY_GATE !== 'off';
+const IMAGE_QUALITY_THRESHOLDS = {};
+if (process.env.IMAGE_MIN_DIMENSION) IMAGE_QUALITY_THRESHOLDS.minDimension = parseInt(process.env.IMAGE_MIN_DIMENSION, 10);
+if (process.env.IMAGE_MIN_SHARPNESS) IMAGE_QUALITY_THRESHOLDS.minSharpness = parseFloat(process.env.IMAGE_MIN_SHARPNESS);
+
+// Ingredient knowledge base - condition ingredient lists, synonyms and alcohol classes
+// Loaded from data/ingredient-knowledge-base.json until the first admin change, then from storage
+// Any change or reload clears every tenant's scoreCache since scores depend on it
+// Changes and reloads that break a tenant's ingredient overrides are rejected (422)
+const ingredientKnowledgeBase = createIngredientKnowledgeBase({
+    seedPath: path.join(__dirname, 'data', 'ingredient-knowledge-base.json'),
+    storePath: process.env.INGREDIENT_KB_PATH || path.join(__dirname, 'storage', 'ingredient-knowledge-base.json'),
+    historyPath: process.env.INGREDIENT_KB_HISTORY_PATH || path.join(__dirname, 'storage', 'ingredient-knowledge-base-history.jsonl'),
+    logger,
+    validate: kb => tenants.list().flatMap(tenant => {
+        if (!tenant.config.ingredientOverrides) return [];
+        const validation = validateKnowledgeBase(applyIngredientOverrides(kb, tenant.config.ingredientOverrides));
+        return validation.errors.map(error => `ingredient overrides of tenant "${tenant.id}": ${error}`);
+    }),
+    onChange: kb => {
+        Promise.all(tenants.list().map(tenant => tenant.scoreCache.clear())).then(counts => {
+            const cleared = counts.reduce((sum, count) => sum + count, 0);
+            logger.info('Ingredient knowledge base changed, score caches cleared', { version: kb.version, cleared });
+        }).catch(error => {
+            logger.error('Score cache clear after knowledge base change failed', { version: kb.version, error });
+        });
+    }
+});
 
-// Performance caches
-const productCache = new Map(); // Cache WooCommerce products
-const categoryCache = new Map(); // Cache categories
-const scoreCache = new Map(); // Cache score calculations
+// Performance caches (namespaced per tenant, see createTenantRuntime)
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 const PRODUCT_CACHE_TTL = 10 * 60 * 1000; // 10 minutes for products
 
+// Store behind them - an in-process LRU bounded by entries and memory (default), or a
+// Redis server shared by every instance (CACHE_BACKEND=redis)
+const cacheStore = createCacheStoreFromEnv(process.env, { logger });
+
 // Normalize and preprocess ingredients
 function normalizeIngredient(ingredient) {
     return ingredient
@@ -68,19 +314,35 @@ function normalizeIngredient(ingredient) {
         .replace(/\s+/g, ' '); // Normalize spaces
 }
 
-// Create a Set of normalized ingredients for fast lookup
+// Create a Set of normalized ingredients (names + INCI aliases) for fast lookup
 function preprocessIngredients(ingredientsText) {
     if (!ingredientsText) return new Set();
+    return new Set(getIngredientNames(parseInciList(ingredientsText)));
+}
+
+// Parse a product's ingredient list (meta_data, falling back to description)
+// Returns the structured INCI entries plus the lookup Set used by hasIngredient
+function getProductIngredients(product) {
+    const ingredientsMeta = product.meta_data?.find(meta => 
+        meta.key === 'ingredients' || meta.key === '_ingredients'
+    );
     
-    const ingredients = typeof ingredientsText === 'string'
-        ? ingredientsText.split(/[,;\n]/).map(i => normalizeIngredient(i))
-        : ingredientsText.map(i => normalizeIngredient(i));
-    
-    return new Set(ingredients.filter(i => i.length > 0));
+    const source = ingredientsMeta?.value ? 'ingredients' : 'description';
+    const parsed = parseInciList(source === 'ingredients'
+        ? ingredientsMeta.value
+        : (product.description?.toLowerCase() || ''));
+
+    return {
+        source,
+        parsed,
+        ingredientSet: new Set(getIngredientNames(parsed)),
+        ingredientsList: parsed.ingredients.map(entry => entry.name)
+    };
 }
 
 // Better ingredient matching with word boundaries, synonyms, and fuzzy logic
-function hasIngredient(ingredientSet, searchIngredient, returnScore = false) {
+// synonyms comes from the tenant's knowledge base
+function hasIngredient(ingredientSet, searchIngredient, returnScore = false, synonyms = {}) {
     const normalized = normalizeIngredient(searchIngredient);
     
     // Level 1: Direct exact match (100% confidence)
@@ -101,10 +363,10 @@ function hasIngredient(ingredientSet, searchIngredient, returnScore = false) {
     }
     
     // Level 3: Check synonyms (90% confidence)
-    for (const [mainIngredient, synonyms] of Object.entries(INGREDIENT_SYNONYMS)) {
-        if (normalized === mainIngredient || synonyms.includes(normalized)) {
+    for (const [mainIngredient, variants] of Object.entries(synonyms)) {
+        if (normalized === mainIngredient || variants.includes(normalized)) {
             // Check if any synonym exists in product
-            const allVariants = [mainIngredient, ...synonyms];
+            const allVariants = [mainIngredient, ...variants];
             for (const variant of allVariants) {
                 if (ingredientSet.has(normalizeIngredient(variant))) {
                     return returnScore ? 0.9 : true;
@@ -134,175 +396,102 @@ function hasIngredient(ingredientSet, searchIngredient, returnScore = false) {
     return returnScore ? 0 : false;
 }
 
-// Generate cache key for scoring (per product + conditions)
+// Check products ({ id, name, ingredientSet }) against the knowledge base interaction rules
+function checkInteractions(products, knowledgeBase) {
+    const conflicts = detectInteractions(
+        products,
+        knowledgeBase.interactionRules,
+        (ingredientSet, term) => hasIngredient(ingredientSet, term, true, knowledgeBase.synonyms)
+    );
+    return { conflicts, summary: summarizeInteractions(conflicts) };
+}
+
+// Conditions a product has beneficial ingredients for (used for zone targeting)
+function getAddressedConditions(product, conditions, knowledgeBase) {
+    const { ingredientSet } = getProductIngredients(product);
+    return conditions.filter(condition =>
+        (knowledgeBase.conditions[condition]?.beneficial || [])
+            .some(ingredient => hasIngredient(ingredientSet, ingredient, false, knowledgeBase.synonyms))
+    );
+}
+
+// Zone targeting for a product, or null without zone data for its conditions
+function getProductTargeting(product, coverage, knowledgeBase, step = classifyProductStep(product)) {
+    if (Object.keys(coverage).length === 0) return null;
+    return targetProduct(product, {
+        addressedConditions: getAddressedConditions(product, Object.keys(coverage), knowledgeBase),
+        coverage,
+        step
+    });
+}
+
+// Generate cache key for scoring (per product + weighted conditions + skin type)
 // Note: Description is NOT included because it doesn't affect scoring algorithm
 // Only used for lifestyle suggestions. Image is also not included since
-// AI-detected conditions are merged into the conditions array.
-function generateScoreCacheKey(productId, conditions) {
-    return `${productId}_${conditions.sort().join('_')}`;
+// AI-detected conditions are merged into the conditions array with their weights.
+function generateScoreCacheKey(productId, conditions, skinTypeFactor = null) {
+    const parts = conditions.map(entry => typeof entry === 'string'
+        ? entry
+        : (entry.weight === 1 ? entry.condition : `${entry.condition}@${entry.weight}`));
+    const skinPart = skinTypeFactor?.skinType ? `_skin-${skinTypeFactor.skinType}@${skinTypeFactor.weight}` : '';
+    return `${productId}_${parts.sort().join('_')}${skinPart}`;
 }
 
 // Generate cache key for products (budget-based, NOT condition-based)
+// A request without a budget (null) covers the whole catalog
 function generateProductCacheKey(budget) {
-    return `products_budget_${budget}`;
+    return budget ? `products_budget_${budget}` : 'products_all';
+}
+
+// Evict all of a tenant's cached scores for a single product
+function evictProductScores(tenant, productId) {
+    return tenant.scoreCache.deleteByPrefix(`${productId}_`);
+}
+
+// Patch one product into every budget-filtered product cache entry of a tenant
+// Pass null as product to remove it. Entries are re-stamped with the new snapshot version
+// and keep their original expiry
+async function patchProductCache(tenant, productId, product, version) {
+    const budgets = [...Object.keys(tenant.budgetRanges), null];
+    const entries = await tenant.productCache.getMany(budgets.map(generateProductCacheKey));
+    const patched = [];
+    entries.forEach((entry, index) => {
+        const ttl = entry ? PRODUCT_CACHE_TTL - (Date.now() - entry.timestamp) : 0;
+        if (ttl <= 0) return;
+        const data = entry.data.filter(p => p.id !== productId);
+        const budgetRange = budgets[index] && tenant.budgetRanges[budgets[index]];
+        if (product && (!budgetRange || isInBudget(product, budgetRange))) {
+            data.push(product);
+        }
+        patched.push({ key: generateProductCacheKey(budgets[index]), value: { ...entry, data, version }, ttl });
+    });
+    await tenant.productCache.setMany(patched);
 }
 
 // Clean expired cache entries periodically
 function cleanExpiredCache() {
-    const now = Date.now();
     let cleaned = 0;
     
-    // Clean score cache
-    for (const [key, value] of scoreCache.entries()) {
-        if (now - value.timestamp >= CACHE_TTL) {
-            scoreCache.delete(key);
-            cleaned++;
-        }
-    }
-    
-    // Clean product cache
-    for (const [key, value] of productCache.entries()) {
-        if (now - value.timestamp >= PRODUCT_CACHE_TTL) {
-            productCache.delete(key);
-            cleaned++;
+    // Score, product and category caches (a Redis store expires keys itself)
+    cleaned += cacheStore.cleanExpired();
+
+    tenants.list().forEach(tenant => {
+        // Clean abandoned local carts
+        if (tenant.cartProvider.cleanExpired) {
+            cleaned += tenant.cartProvider.cleanExpired();
         }
-    }
+    });
     
-    // Clean category cache
-    for (const [key, value] of categoryCache.entries()) {
-        if (now - value.timestamp >= PRODUCT_CACHE_TTL) {
-            categoryCache.delete(key);
-            cleaned++;
-        }
-    }
+    // Clean expired AI results, analysis jobs and idle rate limit windows
+    cleaned += aiResultCache.cleanExpired();
+    cleaned += analysisJobs.cleanExpired();
+    cleaned += ipRateLimiter.cleanExpired();
+    cleaned += apiKeyRateLimiter.cleanExpired();
     
     if (cleaned > 0) {
-        console.log(`🧹 Cleaned ${cleaned} expired cache entries`);
-    }
-}
-
-// Clean cache every 10 minutes
-setInterval(cleanExpiredCache, 10 * 60 * 1000);
-
-// Ingredient Database - Maps skin conditions to beneficial/harmful ingredients
-const INGREDIENT_DATABASE = {
-    acne: {
-        beneficial: [
-            'salicylic acid', 'capryloyl salicylic acid', 'benzoyl peroxide', 
-            'niacinamide', 'tea tree', 'zinc', 'sulfur', 'glycolic acid',
-            'sodium hyaluronate', 'adenosine', 'tocopherol', 'ascorbyl glucoside',
-            'sodium lactate', 'hydroxyacetophenone', 'caprylic/capric triglyceride'
-        ],
-        avoid: [
-            'coconut oil', 'cocoa butter', 'palm oil', 'isopropyl myristate',
-            'stearyl alcohol', 'ceteareth-6', 'parfum/fragrance', 'alcohol denat.',
-            'methylparaben', 'synthetic wax', 'dimethicone'
-        ]
-    },
-    oily: {
-        beneficial: [
-            'niacinamide', 'salicylic acid', 'capryloyl salicylic acid', 
-            'clay', 'charcoal', 'witch hazel', 'zinc', 'silica',
-            'glycolic acid', 'alcohol denat.', 'hydroxyacetophenone'
-        ],
-        avoid: [
-            'mineral oil', 'petrolatum', 'silicones', 'heavy oils',
-            'dimethicone', 'isohexadecane', 'caprylic/capric triglyceride',
-            'stearyl alcohol', 'ceteareth-6', 'synthetic wax'
-        ]
-    },
-    dry: {
-        beneficial: [
-            'hyaluronic acid', 'sodium hyaluronate', 'glycerin', 'ceramides', 
-            'squalane', 'shea butter', 'jojoba oil', 'caprylic/capric triglyceride',
-            'dimethicone', 'tocopherol', 'tocopheryl acetate', 'butylene glycol',
-            'pentylene glycol', 'propanediol', 'dipropylene glycol', 'glyceryl stearate',
-            'stearyl alcohol', 'ceteareth-6'
-        ],
-        avoid: [
-            'alcohol denat.', 'fragrance', 'parfum/fragrance', 'sulfates', 
-            'high ph cleansers', 'sodium lauryl sulfate', 'methylparaben',
-            'phenoxyethanol'
-        ]
-    },
-    sensitive: {
-        beneficial: [
-            'centella asiatica', 'aloe vera', 'oat', 'chamomile', 'allantoin', 
-            'bisabolol', 'niacinamide', 'sodium hyaluronate', 'glycerin',
-            'dipotassium glycyrrhizate', 'tocopherol', 'adenosine',
-            'caprylic/capric triglyceride', 'propanediol'
-        ],
-        avoid: [
-            'fragrance', 'parfum/fragrance', 'essential oils', 'alcohol', 
-            'alcohol denat.', 'retinol', 'retinyl palmitate', 'high concentrations of acids',
-            'linalool', 'citronellol', 'limonene', 'benzyl alcohol', 'benzyl salicylate',
-            'geraniol', 'hexyl cinnamal', 'methylparaben', 'phenoxyethanol'
-        ]
-    },
-    redness: {
-        beneficial: [
-            'centella asiatica', 'niacinamide', 'azelaic acid', 'green tea', 
-            'licorice root', 'dipotassium glycyrrhizate', 'sodium hyaluronate',
-            'tocopherol', 'adenosine', 'glycerin', 'paeonia suffruticosa root extract',
-            'caprylic/capric triglyceride'
-        ],
-        avoid: [
-            'fragrance', 'parfum/fragrance', 'menthol', 'eucalyptus', 
-            'high concentrations of vitamin c', 'alcohol denat.',
-            'linalool', 'citronellol', 'limonene', 'benzyl alcohol'
-        ]
-    },
-    'dark-spots': {
-        beneficial: [
-            'vitamin c', 'ascorbyl glucoside', 'niacinamide', 'kojic acid', 
-            'alpha arbutin', 'licorice root', 'dipotassium glycyrrhizate',
-            'azelaic acid', 'glycolic acid', 'retinol', 'retinyl palmitate',
-            'tocopherol', 'adenosine', 'paeonia suffruticosa root extract',
-            'pancratium maritimum extract'
-        ],
-        avoid: [
-            'harsh scrubs', 'fragrance', 'parfum/fragrance', 'alcohol denat.',
-            'methylparaben'
-        ]
-    },
-    wrinkles: {
-        beneficial: [
-            'retinol', 'retinyl palmitate', 'peptides', 'palmitoyl tripeptide-1',
-            'palmitoyl tetrapeptide-7', 'vitamin c', 'ascorbyl glucoside',
-            'hyaluronic acid', 'sodium hyaluronate', 'niacinamide', 
-            'coenzyme q10', 'glycerin', 'adenosine', 'tocopherol',
-            'tocopheryl acetate', 'glycolic acid', 'dimethicone',
-            'caprylic/capric triglyceride'
-        ],
-        avoid: [
-            'fragrance', 'parfum/fragrance', 'alcohol denat.', 'harsh scrubs',
-            'methylparaben'
-        ]
-    },
-    'large-pores': {
-        beneficial: [
-            'niacinamide', 'salicylic acid', 'capryloyl salicylic acid',
-            'retinol', 'retinyl palmitate', 'clay masks', 'azelaic acid',
-            'glycolic acid', 'silica', 'adenosine'
-        ],
-        avoid: [
-            'heavy oils', 'silicones', 'dimethicone', 'isohexadecane',
-            'stearyl alcohol', 'synthetic wax'
-        ]
-    },
-    'uneven-texture': {
-        beneficial: [
-            'glycolic acid', 'lactic acid', 'retinol', 'retinyl palmitate',
-            'enzyme exfoliants', 'niacinamide', 'salicylic acid',
-            'capryloyl salicylic acid', 'ascorbyl glucoside', 'adenosine',
-            'sodium hyaluronate'
-        ],
-        avoid: [
-            'harsh scrubs', 'fragrance', 'parfum/fragrance', 'alcohol denat.',
-            'methylparaben'
-        ]
+        logger.info('Cleaned expired cache entries', { cleaned });
     }
-};
+}
 
 // Budget ranges for filtering
 const BUDGET_RANGES = {
@@ -312,11 +501,116 @@ const BUDGET_RANGES = {
     luxury: { min: 5000, max: 999999 }
 };
 
-// Valid skin conditions
-const VALID_CONDITIONS = [
-    'acne', 'dark-spots', 'wrinkles', 'redness', 'large-pores',
-    'uneven-texture', 'dry', 'oily', 'sensitive'
-];
+// Check a product against a budget range
+// Variable products match if any variation falls inside the range
+function isInBudget(product, budgetRange) {
+    if (product.min_price !== undefined && product.max_price !== undefined) {
+        return product.min_price <= budgetRange.max && product.max_price >= budgetRange.min;
+    }
+    const price = parseFloat(product.price);
+    return price >= budgetRange.min && price <= budgetRange.max;
+}
+
+// Tenants - one per WooCommerce storefront (see services/tenants.js)
+// Without TENANTS_CONFIG_PATH the single "default" tenant comes from the WOOCOMMERCE_* variables
+function tenantStoragePath(tenantId, fileName) {
+    return tenantId === 'default'
+        ? path.join(__dirname, 'storage', fileName)
+        : path.join(__dirname, 'storage', 'tenants', tenantId, fileName);
+}
+
+// Per-tenant runtime: store client, catalog snapshot, cart, wishlists and caches
+// The default tenant keeps the original storage paths and *_PATH overrides
+function createTenantRuntime(config) {
+    const isDefault = config.id === 'default';
+    const { url, consumerKey, consumerSecret } = config.woocommerce;
+
+    const wooCommerce = withWooErrorMetrics(
+        new WooCommerceRestApi({ url, consumerKey, consumerSecret, version: 'wc/v3' }),
+        config.id, 'rest', ['get', 'post', 'put', 'delete']
+    );
+
+    // Catalog sync - keeps a local snapshot of every published product
+    const catalogSync = createCatalogSync({
+        wooCommerce,
+        snapshotPath: (isDefault && process.env.CATALOG_SNAPSHOT_PATH) || tenantStoragePath(config.id, 'catalog-snapshot.json'),
+        logger: logger.child({ tenant: config.id })
+    });
+
+    // Cart provider - WooCommerce Store API, or a local stand-in for development/tests
+    const cartProvider = process.env.CART_PROVIDER === 'local'
+        ? createLocalCart({
+            getProduct: id => catalogSync.getProduct(id),
+            findVariation: id => catalogSync.findVariation(id),
+            currency: config.currency
+        })
+        : withWooErrorMetrics(createStoreApiCart({ storeUrl: url }), config.id, 'store', ['getCart', 'addItem', 'updateItem', 'removeItem']);
+
+    // Wishlist storage - local file by default, optionally a YITH-style wishlist plugin
+    const fileWishlistStorage = createFileWishlistStorage({
+        filePath: (isDefault && process.env.WISHLIST_FILE_PATH) || tenantStoragePath(config.id, 'wishlists.json'),
+        logger: logger.child({ tenant: config.id })
+    });
+    const wishlistStorage = process.env.WISHLIST_STORAGE === 'plugin'
+        ? withWooErrorMetrics(createPluginWishlistStorage({
+            storeUrl: url,
+            apiPath: process.env.WISHLIST_PLUGIN_API_PATH || '/wp-json/yith/wishlist/v1',
+            consumerKey,
+            consumerSecret,
+            localStorage: fileWishlistStorage
+        }), config.id, 'wishlist', ['list', 'add', 'remove'])
+        : fileWishlistStorage;
+
+    let knowledgeBase = null;
+
+    return {
+        id: config.id,
+        config,
+        wooCommerce,
+        catalogSync,
+        cartProvider,
+        wishlistStorage,
+        currency: config.currency,
+        budgetRanges: config.budgetRanges || BUDGET_RANGES,
+        productCache: createCache({ store: cacheStore, namespace: `${config.id}:products`, ttl: PRODUCT_CACHE_TTL, logger }), // Cache WooCommerce products
+        categoryCache: createCache({ store: cacheStore, namespace: `${config.id}:categories`, ttl: PRODUCT_CACHE_TTL, logger }), // Cache categories
+        scoreCache: createCache({ store: cacheStore, namespace: `${config.id}:scores`, ttl: CACHE_TTL, logger }), // Cache score calculations
+        // The global knowledge base with this tenant's overrides, rebuilt when it changes
+        getKnowledgeBase() {
+            const global = ingredientKnowledgeBase.get();
+            if (!config.ingredientOverrides) return global;
+            if (knowledgeBase?.version !== global.version) {
+                knowledgeBase = { version: global.version, kb: applyIngredientOverrides(global, config.ingredientOverrides) };
+            }
+            return knowledgeBase.kb;
+        }
+    };
+}
+
+const tenantConfig = process.env.TENANTS_CONFIG_PATH
+    ? loadTenantConfig(process.env.TENANTS_CONFIG_PATH, process.env)
+    : { tenants: [createDefaultTenant(process.env)], defaultTenant: 'default' };
+const tenants = createTenantRegistry({
+    items: tenantConfig.tenants.map(createTenantRuntime),
+    defaultTenantId: tenantConfig.defaultTenant
+});
+
+// Route a request to its tenant: X-API-Key, then Host, then the default tenant
+function resolveTenant(req, res, next) {
+    req.tenant = tenants.resolve({ apiKey: req.get('X-API-Key'), host: req.hostname });
+    if (!req.tenant) {
+        return res.status(404).json({ error: 'Unknown store' });
+    }
+    addLogContext({ tenant: req.tenant.id });
+    next();
+}
+app.use(['/api/analyze', '/api/routine', '/api/cart', '/api/wishlist', '/api/interactions'], resolveTenant);
+
+// Admin requests pick a tenant with ?tenant=<id>, otherwise they are routed like any other
+function getAdminTenant(req) {
+    if (req.query.tenant) return tenants.get(String(req.query.tenant));
+    return tenants.resolve({ apiKey: req.get('X-API-Key'), host: req.hostname });
+}
 
 // Input Validation Helper Functions
 function validateConditions(conditions) {
@@ -339,15 +633,55 @@ function validateConditions(conditions) {
     return { valid: true };
 }
 
-function validateBudget(budget) {
+function validateBudget(budget, budgetRanges = BUDGET_RANGES) {
     if (!budget) {
         return { valid: true }; // Budget is optional
     }
     if (typeof budget !== 'string') {
         return { valid: false, error: 'Budget must be a string' };
     }
-    if (!BUDGET_RANGES[budget.toLowerCase()]) {
-        return { valid: false, error: `Invalid budget. Valid options: ${Object.keys(BUDGET_RANGES).join(', ')}` };
+    if (!budgetRanges[budget.toLowerCase()]) {
+        return { valid: false, error: `Invalid budget. Valid options: ${Object.keys(budgetRanges).join(', ')}` };
+    }
+    return { valid: true };
+}
+
+// Optional shopper-supplied or confirmed skin type
+function validateSkinType(skinType) {
+    if (skinType === undefined) {
+        return { valid: true };
+    }
+    if (!SKIN_TYPES.includes(skinType)) {
+        return { valid: false, error: `Invalid skin type. Valid options: ${SKIN_TYPES.join(', ')}` };
+    }
+    return { valid: true };
+}
+
+// Optional shopper-supplied severities: { "acne": "severe" } for selected conditions only
+function validateConditionSeverity(conditionSeverity, conditions) {
+    if (conditionSeverity === undefined) {
+        return { valid: true };
+    }
+    if (!conditionSeverity || typeof conditionSeverity !== 'object' || Array.isArray(conditionSeverity)) {
+        return { valid: false, error: 'conditionSeverity must be an object' };
+    }
+    for (const [condition, severity] of Object.entries(conditionSeverity)) {
+        if (!conditions.includes(condition)) {
+            return { valid: false, error: `conditionSeverity.${condition} is not one of the selected conditions` };
+        }
+        if (!SEVERITIES.includes(severity)) {
+            return { valid: false, error: `conditionSeverity.${condition} must be one of: ${SEVERITIES.join(', ')}` };
+        }
+    }
+    return { valid: true };
+}
+
+function validateTotalBudget(totalBudget) {
+    if (typeof totalBudget !== 'number' || !Number.isFinite(totalBudget)) {
+        return { valid: false, error: 'totalBudget must be a number' };
+    }
+    if (totalBudget <= 0 || totalBudget > 1000000) {
+        return { valid: false, error: 'totalBudget must be between 0 and 1000000' };
     }
     return { valid: true };
 }
@@ -378,10 +712,9 @@ function validateImage(image) {
     
     // Check image size (rough estimate: base64 is ~4/3 of binary size)
     const estimatedSizeInBytes = (image.length * 3) / 4;
-    const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
     
     if (estimatedSizeInBytes > MAX_IMAGE_SIZE) {
-        return { valid: false, error: 'Image is too large. Maximum size: 10MB' };
+        return { valid: false, error: `Image is too large. Maximum size: ${MAX_IMAGE_SIZE / 1024 / 1024}MB` };
     }
     
     // Check if it's a valid base64 data URI
@@ -392,72 +725,127 @@ function validateImage(image) {
     return { valid: true };
 }
 
-// Optimize Image
-async function optimizeImage(base64Image) {
-    try {
-        // Remove data:image/...;base64, prefix
-        const base64Data = base64Image.replace(/^data:image\/\w+;base64,/, '');
-        const buffer = Buffer.from(base64Data, 'base64');
+// Multipart text fields arrive as strings; turn them into the JSON body shape
+// conditions: repeated fields, a JSON array or a comma-separated list
+// conditionSeverity: a JSON object
+function parseAnalyzeFormFields(fields) {
+    const parsed = { ...fields };
+
+    if (typeof parsed.conditions === 'string') {
+        const value = parsed.conditions.trim();
+        if (value.startsWith('[')) {
+            try {
+                parsed.conditions = JSON.parse(value);
+            } catch (e) {
+                return { valid: false, error: 'conditions must be a JSON array or a comma-separated list' };
+            }
+        } else {
+            parsed.conditions = value.split(',').map(condition => condition.trim()).filter(Boolean);
+        }
+    }
+
+    if (typeof parsed.conditionSeverity === 'string') {
+        try {
+            parsed.conditionSeverity = JSON.parse(parsed.conditionSeverity);
+        } catch (e) {
+            return { valid: false, error: 'conditionSeverity must be a JSON object' };
+        }
+    }
 
+    if (parsed.explain !== undefined) parsed.explain = parsed.explain === 'true';
+    ['budget', 'description', 'skinType'].forEach(key => {
+        if (Array.isArray(parsed[key])) parsed[key] = parsed[key][0];
+    });
+
+    return { valid: true, fields: parsed };
+}
+
+// Remove data:image/...;base64, prefix and decode
+function decodeBase64Image(base64Image) {
+    const base64Data = base64Image.replace(/^data:image\/[\w.+-]+;base64,/, '');
+    return Buffer.from(base64Data, 'base64');
+}
+
+// Resize to a JPEG for the AI provider; any format sharp reads (JPEG, PNG, WebP, HEIF/AVIF)
+// EXIF orientation is applied first, so phone photos taken sideways are analyzed upright,
+// and the output carries no EXIF metadata (location, device)
+async function optimizeImage(imageBuffer) {
+    try {
         // Optimize using sharp
-        const optimizedBuffer = await sharp(buffer)
+        const optimizedBuffer = await sharp(imageBuffer)
+            .rotate()
             .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
             .jpeg({ quality: 80 })
             .toBuffer();
 
         return optimizedBuffer.toString('base64');
     } catch (error) {
-        console.error('Image optimization error:', error);
+        logger.error('Image optimization error', { error });
         throw error;
     }
 }
 
+// AI results are cached per tenant and provider
+function getAiCacheNamespace(tenant) {
+    return `${tenant.id}/${aiProvider.name}`;
+}
+
+// Look up a cached AI result for this image fingerprint
+function getCachedAiResult(task, fingerprint, tenant) {
+    if (!fingerprint) return null;
+    const cached = aiResultCache.get(task, getAiCacheNamespace(tenant), fingerprint);
+    if (cached) {
+        logger.info('AI result cache hit', { task, match: cached.match });
+        return { ...cached.result, cached: cached.match };
+    }
+    return null;
+}
+
+// True when the AI spend budget is used up - the AI steps then fall back to the same
+// non-AI behaviour as an unconfigured provider (cached results are still served)
+function isAiBudgetExhausted(task) {
+    const budget = aiBudget.check();
+    if (budget.exhausted) {
+        logger.warn('AI budget reached, skipping AI step', {
+            task,
+            period: budget.period,
+            limitUsd: budget.limit,
+            resetsAt: budget.resetsAt
+        });
+    }
+    return budget.exhausted;
+}
+
 // Validate that the image is a human face selfie
-async function validateFaceSelfie(base64Image) {
-    if (!openai) {
-        console.warn('OpenAI not configured, skipping face validation');
+// fingerprint (from computeImageFingerprint) enables the AI result cache, in the tenant's namespace
+async function validateFaceSelfie(base64Image, fingerprint = null, tenant = null) {
+    if (!aiProvider) {
+        logger.warn('AI provider not configured, skipping face validation');
         return { isValid: true, message: 'Validation skipped' };
     }
 
+    const cached = getCachedAiResult('faceValidation', fingerprint, tenant);
+    if (cached) return cached;
+
+    if (isAiBudgetExhausted('face validation')) {
+        return { isValid: true, message: 'Validation skipped (AI budget reached)' };
+    }
+
     try {
         // Remove data:image/...;base64, prefix if present
         const imageData = base64Image.includes(',') 
             ? base64Image.split(',')[1] 
             : base64Image;
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an image validator. Check if the uploaded image is a clear photo of a human face (selfie, front-facing face photo). Respond with ONLY a JSON object in this format: {\"isHumanFace\": true/false, \"reason\": \"explanation\"}"
-                },
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: "Is this a clear photo of a human face? Respond with ONLY a JSON object: {\"isHumanFace\": true/false, \"reason\": \"brief reason\"}"
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:image/jpeg;base64,${imageData}`
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 100,
-            temperature: 0.1
-        });
+        const response = await aiProvider.validateFace(imageData);
 
-        const validationResponse = response.choices[0].message.content;
-        console.log(`\n✅ Face validation response: ${validationResponse}`);
+        const validationResponse = response.content;
+        logger.debug('Face validation response', { provider: aiProvider.name, model: response.model, aiOutput: validationResponse });
 
+        let result;
         try {
             const parsed = JSON.parse(validationResponse);
-            return {
+            result = {
                 isValid: parsed.isHumanFace === true,
                 message: parsed.reason || 'Image validation completed'
             };
@@ -465,22 +853,27 @@ async function validateFaceSelfie(base64Image) {
             // If response isn't valid JSON, try to infer from text
             const text = validationResponse.toLowerCase();
             const isValid = !text.includes('not') && !text.includes('invalid') && text.includes('face');
-            return {
+            result = {
                 isValid,
                 message: validationResponse
             };
         }
+
+        if (fingerprint) aiResultCache.set('faceValidation', getAiCacheNamespace(tenant), fingerprint, result);
+        return result;
     } catch (error) {
-        console.error('Face validation error:', error?.message);
-        // If validation fails, allow the image (fail open for safety)
+        logger.error('Face validation error', { provider: aiProvider.name, error });
+        // If validation fails, allow the image (fail open for safety) -
+        // the local quality gate in /api/analyze has already checked it
         return { isValid: true, message: 'Validation service unavailable' };
     }
 }
 
-// Analyze skin image using OpenAI Vision API
-async function analyzeSkinImage(base64Image) {
-    if (!openai) {
-        console.warn('OpenAI API key not configured, skipping image analysis');
+// Analyze skin image using the AI provider's vision model
+// fingerprint (from computeImageFingerprint) enables the AI result cache, in the tenant's namespace
+async function analyzeSkinImage(base64Image, fingerprint = null, tenant = null) {
+    if (!aiProvider) {
+        logger.warn('AI provider not configured, skipping image analysis');
         return {
             detectedConditions: [],
             skinType: 'combination',
@@ -489,69 +882,34 @@ async function analyzeSkinImage(base64Image) {
         };
     }
 
+    const cached = getCachedAiResult('skinAnalysis', fingerprint, tenant);
+    if (cached) return cached;
+
+    if (isAiBudgetExhausted('skin analysis')) {
+        return {
+            detectedConditions: [],
+            skinType: 'combination',
+            confidence: 0.5,
+            note: 'AI analysis paused (budget reached), using user-selected conditions'
+        };
+    }
+
     try {
         // Remove data:image/...;base64, prefix if present
         const imageData = base64Image.includes(',') 
             ? base64Image.split(',')[1] 
             : base64Image;
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o",
-            response_format: { type: "json_object" }, // Force JSON response
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a dermatology AI assistant. Analyze skin images and identify:
-1. Visible skin conditions (acne, dark spots, wrinkles, redness, large pores, uneven texture, dryness, oiliness, sensitivity)
-2. Skin type (oily, dry, combination, sensitive, normal)
-3. Overall skin health assessment
-4. Specific concerns visible in the image
-
-IMPORTANT: You MUST respond with ONLY a valid JSON object, no markdown formatting, no code blocks, no extra text. The response must be parseable JSON.
-
-Return a JSON object with this exact structure:
-{
-  "detectedConditions": ["acne", "oily"],
-  "skinType": "combination",
-  "confidence": 0.85,
-  "observations": ["Visible acne lesions", "Oily T-zone"],
-  "recommendations": ["Use salicylic acid cleanser", "Apply niacinamide serum"]
-}`
-                },
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: "Analyze this skin image and provide a detailed assessment. Focus on identifying skin conditions, skin type, and any visible concerns. Respond with ONLY a valid JSON object in this format: {\"detectedConditions\": [], \"skinType\": \"\", \"confidence\": 0.0, \"observations\": [], \"recommendations\": []}. Do not use markdown code blocks or any formatting."
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:image/jpeg;base64,${imageData}`
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 500,
-            temperature: 0.3
-        });
+        const response = await aiProvider.analyzeSkin(imageData);
 
-        const analysisText = response.choices[0].message.content;
-        
-        // Debug: Log OpenAI raw response when DEBUG=true
-        console.log('\n🤖 OpenAI API Response:');
-        console.log('   Model:', response.model);
-        console.log('   Usage:', {
-            prompt_tokens: response.usage?.prompt_tokens,
-            completion_tokens: response.usage?.completion_tokens,
-            total_tokens: response.usage?.total_tokens
+        const analysisText = response.content;
+        logger.info('Skin analysis response', {
+            provider: aiProvider.name,
+            model: response.model,
+            promptTokens: response.usage?.prompt_tokens,
+            completionTokens: response.usage?.completion_tokens
         });
-        console.log('   Raw Response Text:');
-        console.log('   ' + '─'.repeat(60));
-        console.log(analysisText);
-        console.log('   ' + '─'.repeat(60));
+        logger.debug('Skin analysis raw response', { aiOutput: analysisText });
         
         // Try to parse JSON from response with multiple strategies
         let analysis;
@@ -584,57 +942,55 @@ Return a JSON object with this exact structure:
             if (!analysis) {
                 analysis = JSON.parse(analysisText.trim());
             }
-            
-            // Validate that we got the expected structure
-            if (analysis && typeof analysis === 'object') {
-                console.log('\n✅ Successfully parsed OpenAI JSON response:');
-                log(JSON.stringify(analysis, null, 2));
-            }
-            
         } catch (parseError) {
             // If all JSON parsing strategies fail, extract information from text
-            console.warn('\n⚠️ Failed to parse OpenAI response as JSON, extracting from text');
-            console.warn('Parse error:', parseError.message);
-            console.log('Response preview (first 300 chars):', analysisText.substring(0, 300));
-            console.log('Full response length:', analysisText.length);
-            
-            // Try to extract structured data from text using regex
+            logger.warn('AI response is not JSON, extracting analysis from text', {
+                parseError: parseError.message,
+                responseLength: analysisText.length
+            });
             analysis = extractStructuredDataFromText(analysisText);
-            console.log('\n📝 Extracted analysis from text:');
-            log(JSON.stringify({
-                conditions: analysis.detectedConditions,
-                skinType: analysis.skinType,
-                confidence: analysis.confidence,
-                observations: analysis.observations?.slice(0, 3),
-                recommendations: analysis.recommendations?.slice(0, 3)
-            }, null, 2));
+        }
+
+        // Map AI terms onto VALID_CONDITIONS and check the strict schema
+        const { analysis: normalized, report } = normalizeSkinAnalysis(analysis);
+        if (report.unmapped.length > 0) {
+            logger.warn('Unmapped AI conditions', { unmappedCount: report.unmapped.length, aiOutput: report.unmapped });
+        }
+        if (report.schemaErrors.length > 0) {
+            logger.warn('AI analysis schema issues', { schemaErrors: report.schemaErrors });
         }
 
         const finalAnalysis = {
-            detectedConditions: analysis.detectedConditions || [],
-            skinType: analysis.skinType || 'combination',
-            confidence: analysis.confidence || 0.8,
-            observations: analysis.observations || [],
-            recommendations: analysis.recommendations || []
+            detectedConditions: normalized.detectedConditions,
+            conditionDetails: normalized.conditionDetails,
+            skinType: normalized.skinType || 'combination',
+            confidence: normalized.confidence ?? 0.8,
+            skinTypeDetected: normalized.skinType !== null,
+            observations: normalized.observations,
+            recommendations: normalized.recommendations,
+            zones: withRegions(normalized.zones),
+            ...(analysis.note ? { note: analysis.note } : {}),
+            normalization: report
         };
         
-        // Debug-only summary of AI analysis
-        console.log('\n📋 Final AI Analysis Summary:');
-        log(`   Detected Conditions: ${finalAnalysis.detectedConditions.length > 0 ? finalAnalysis.detectedConditions.join(', ') : 'None'}`);
-        log(`   Skin Type: ${finalAnalysis.skinType}`);
-        log(`   Confidence: ${(finalAnalysis.confidence * 100).toFixed(1)}%`);
-        if (finalAnalysis.observations.length > 0) {
-            log(`   Observations: ${finalAnalysis.observations.slice(0, 2).join('; ')}${finalAnalysis.observations.length > 2 ? '...' : ''}`);
-        }
-        if (finalAnalysis.recommendations.length > 0) {
-            log(`   Recommendations: ${finalAnalysis.recommendations.slice(0, 2).join('; ')}${finalAnalysis.recommendations.length > 2 ? '...' : ''}`);
-        }
-        console.log('');
+        // Debug-only dump of the parsed analysis
+        logger.debug('Skin analysis parsed', {
+            aiOutput: {
+                detectedConditions: finalAnalysis.detectedConditions,
+                skinType: finalAnalysis.skinType,
+                confidence: finalAnalysis.confidence,
+                zones: finalAnalysis.zones,
+                observations: finalAnalysis.observations,
+                recommendations: finalAnalysis.recommendations
+            }
+        });
         
+        // Fallback results (errors above) are never cached, so a later request retries the AI
+        if (fingerprint) aiResultCache.set('skinAnalysis', getAiCacheNamespace(tenant), fingerprint, finalAnalysis);
         return finalAnalysis;
 
     } catch (error) {
-        console.error('OpenAI API Error:', error.message);
+        logger.error('Skin analysis error', { provider: aiProvider.name, error });
         // Return fallback analysis
         return {
             detectedConditions: [],
@@ -645,32 +1001,21 @@ Return a JSON object with this exact structure:
     }
 }
 
-// Generate diet & lifestyle suggestions using OpenAI based on analysis
+// Generate diet & lifestyle suggestions using the AI provider based on analysis
 async function getLifestyleSuggestions(analysis, userDescription = '') {
-    if (!openai) {
-        console.log('⚠️  OpenAI client not initialized (API_KEY not set)');
+    if (!aiProvider) {
+        logger.warn('AI provider not configured, skipping lifestyle suggestions');
+        return [];
+    }
+    if (isAiBudgetExhausted('lifestyle suggestions')) {
         return [];
     }
-    console.log('🔄 Generating lifestyle suggestions...');
 
     try {
-        const systemPrompt = `You are a dermatology assistant. Given a skin analysis JSON and optional user description, produce up to 6 concise, practical diet and lifestyle suggestions tailored to the detected skin conditions and skin type. Keep suggestions short (one sentence each).`;
-
-        const userPrompt = `Analysis: ${JSON.stringify(analysis)}\nUser description: "${(userDescription || '').replace(/\"/g, "'")}"\n\nProvide suggestions as a simple list, one per line.`;
-
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            max_tokens: 300,
-            temperature: 0.2
-        });
+        const response = await aiProvider.suggest({ analysis, description: userDescription });
 
-        let content = response.choices?.[0]?.message?.content || '';
-
-        console.log(`📨 Raw OpenAI response:\n${content}\n`);
+        let content = response.content || '';
+        logger.debug('Lifestyle suggestions raw response', { provider: aiProvider.name, model: response.model, aiOutput: content });
 
         // Simple approach: split by newlines and filter empty lines
         let suggestions = content
@@ -679,15 +1024,12 @@ async function getLifestyleSuggestions(analysis, userDescription = '') {
             .map(line => line.replace(/^[-•*\d.\)\s]+/, '').trim()) // Remove bullet points/numbers
             .filter(line => line.length > 5);
 
-        console.log(`✅ Generated ${suggestions.length} suggestions from raw response`);
-        suggestions.forEach((s, idx) => {
-            console.log(`   ${idx + 1}. ${s}`);
-        });
+        logger.info('Generated lifestyle suggestions', { provider: aiProvider.name, count: suggestions.length });
 
         return suggestions;
 
     } catch (error) {
-        console.error('❌ Lifestyle suggestions error:', error?.message || error);
+        logger.error('Lifestyle suggestions error', { provider: aiProvider.name, error });
         return [];
     }
 }
@@ -696,8 +1038,8 @@ async function getLifestyleSuggestions(analysis, userDescription = '') {
 function extractStructuredDataFromText(text) {
     const lowerText = (text || '').toLowerCase();
 
-    // Extract detected conditions
-    const detectedConditions = extractConditionsFromText(text);
+    // Extract detected condition terms (mapped to VALID_CONDITIONS by normalizeSkinAnalysis)
+    const detectedConditions = extractConditionTerms(text);
 
     // Extract skin type
     const skinType = extractSkinTypeFromText(text);
@@ -743,31 +1085,6 @@ function extractStructuredDataFromText(text) {
     };
 }
 
-// Helper function to extract conditions from text
-function extractConditionsFromText(text) {
-    const conditions = [];
-    const conditionKeywords = {
-        'acne': ['acne', 'pimple', 'breakout', 'blemish', 'comedone'],
-        'dark-spots': ['dark spot', 'hyperpigmentation', 'pigmentation', 'melasma', 'age spot', 'sun spot'],
-        'wrinkles': ['wrinkle', 'fine line', 'aging', 'age line', 'crow\'s feet'],
-        'redness': ['redness', 'red', 'irritation', 'inflammation', 'rosacea', 'erythema'],
-        'large-pores': ['large pore', 'pore', 'enlarged pore', 'open pore'],
-        'uneven-texture': ['uneven', 'texture', 'rough', 'bumpy', 'roughness'],
-        'dry': ['dry', 'dehydration', 'flaky', 'dryness', 'dehydrated'],
-        'oily': ['oily', 'sebum', 'greasy', 'oiliness', 'excess oil'],
-        'sensitive': ['sensitive', 'irritation', 'reactive', 'sensitivity']
-    };
-
-    const lowerText = text.toLowerCase();
-    for (const [condition, keywords] of Object.entries(conditionKeywords)) {
-        if (keywords.some(keyword => lowerText.includes(keyword))) {
-            conditions.push(condition);
-        }
-    }
-
-    return conditions;
-}
-
 // Helper function to extract skin type from text
 function extractSkinTypeFromText(text) {
     const lowerText = text.toLowerCase();
@@ -779,15 +1096,23 @@ function extractSkinTypeFromText(text) {
     return 'combination'; // default
 }
 
-// Calculate product match score (optimized for large databases)
-function calculateMatchScore(product, userConditions, userDescription, verbose = false) {
-    // Check cache first (conditions-specific, not budget-specific)
-    const cacheKey = generateScoreCacheKey(product.id, userConditions);
-    const cached = scoreCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.score;
-    }
+// Label for a hasIngredient confidence score
+function getMatchLabel(confidence) {
+    return confidence === 1 ? 'exact' : confidence >= 0.9 ? 'synonym' : 'fuzzy';
+}
+
+// Round point contributions for display
+function roundPoints(points) {
+    return Math.round(points * 10) / 10;
+}
 
+// Calculate product match score (optimized for large databases)
+// userConditions are condition keys or { condition, weight } entries from buildConditionWeights;
+// each condition's points are multiplied by its weight (plain keys weigh 1)
+// skinTypeFactor ({ skinType, weight } from resolveSkinType) adds the skin-type profile as its own factor
+// With explain = true, returns { score, explanation } describing every point contribution
+// Not cached here - go through scoreProducts to use the tenant's score cache
+function calculateMatchScore(tenant, product, userConditions, userDescription, verbose = false, explain = false, skinTypeFactor = null) {
     let score = 0;
     const maxScore = 100;
     const weights = {
@@ -795,56 +1120,97 @@ function calculateMatchScore(product, userConditions, userDescription, verbose =
         avoid: -25,          // Penalty per avoid ingredient
         conditionMatch: 15,  // Bonus if product targets condition
         nameMatch: 8,        // Bonus if condition in product name
-        concentration: 5     // Bonus for ingredient in first 5 ingredients
+        concentration: 5,    // Bonus for ingredient in first 5 ingredients
+        skinTypeBeneficial: 6,     // Points per ingredient suited to the skin type
+        skinTypeBeneficialCap: 18, // Skin type can't outweigh the conditions
+        skinTypeAvoid: -12         // Penalty per ingredient unsuited to the skin type
     };
 
-    // Get and preprocess product ingredients
-    const ingredientsMeta = product.meta_data?.find(meta => 
-        meta.key === 'ingredients' || meta.key === '_ingredients'
+    // Get and parse product ingredients (INCI-aware, falls back to description)
+    const { source: ingredientSource, parsed, ingredientSet, ingredientsList } = getProductIngredients(product);
+    const topFiveNames = parsed.ingredients.slice(0, 5).flatMap(entry => [entry.name, ...entry.aliases]);
+
+    const knowledgeBase = tenant.getKnowledgeBase();
+    const { synonyms } = knowledgeBase;
+
+    // Concentration evidence: declared percentages and the 1% line
+    const declaredPercentages = collectDeclaredPercentages(product, parsed, knowledgeBase);
+    const onePercentLine = findOnePercentLine(
+        parsed,
+        knowledgeBase.onePercentMarkers,
+        (names, marker) => hasIngredient(new Set(names), marker, false, synonyms)
     );
-    
-    let ingredientSet;
-    let ingredientsList = [];
-    
-    if (ingredientsMeta?.value) {
-        const rawIngredients = typeof ingredientsMeta.value === 'string'
-            ? ingredientsMeta.value
-            : ingredientsMeta.value.join(', ');
-        ingredientSet = preprocessIngredients(rawIngredients);
-        ingredientsList = Array.from(ingredientSet);
-    } else {
-        // Fallback to description
-        const descText = product.description?.toLowerCase() || '';
-        ingredientSet = preprocessIngredients(descText);
-        ingredientsList = Array.from(ingredientSet);
-    }
+    const concentrationCache = new Map();
+    const estimateConcentration = ingredient => {
+        if (concentrationCache.has(ingredient)) return concentrationCache.get(ingredient);
+        const declared = declaredPercentages.find(d => hasIngredient(new Set([d.name, ...d.aliases]), ingredient, false, synonyms));
+        const entry = parsed.ingredients.find(e => hasIngredient(new Set([e.name, ...e.aliases]), ingredient, false, synonyms));
+        const estimate = {
+            percentage: declared ? declared.percentage : null,
+            source: declared ? declared.source : null,
+            position: entry ? entry.position : null,
+            onePercentLine: onePercentLine && entry
+                ? (entry.position < onePercentLine ? 'above' : 'below')
+                : null
+        };
+        concentrationCache.set(ingredient, estimate);
+        return estimate;
+    };
 
-    // Track matches for debugging
+    // Track matches for debugging and score explanations
     let beneficialCount = 0;
     let avoidCount = 0;
-    const matchedBeneficial = [];
-    const matchedAvoid = [];
+    const conditionBreakdown = [];
 
     // Process each user condition
-    userConditions.forEach(condition => {
-        const conditionData = INGREDIENT_DATABASE[condition];
+    const weightedConditions = userConditions.map(entry =>
+        typeof entry === 'string' ? { condition: entry, weight: 1 } : entry
+    );
+    weightedConditions.forEach(({ condition, weight }) => {
+        const conditionData = knowledgeBase.conditions[condition];
         if (!conditionData) return;
 
+        const breakdown = { condition, weight, points: 0, weightedPoints: 0, helped: [], hurt: [], bonuses: [] };
+        conditionBreakdown.push(breakdown);
+
         // Check beneficial ingredients with concentration bonus and confidence scoring
         conditionData.beneficial.forEach((ingredient, index) => {
-            const confidence = hasIngredient(ingredientSet, ingredient, true);
+            const confidence = hasIngredient(ingredientSet, ingredient, true, synonyms);
             if (confidence > 0) {
-                let points = weights.beneficial * confidence; // Apply confidence multiplier
+                // Weight actives by declared or estimated concentration vs. the effective range
+                const effectiveRange = conditionData.activeRanges?.[ingredient] || null;
+                const concentration = estimateConcentration(ingredient);
+                const { factor, status } = getConcentrationFactor(
+                    concentration.percentage,
+                    effectiveRange,
+                    concentration.onePercentLine
+                );
+
+                let points = weights.beneficial * confidence * factor; // Apply confidence and concentration multipliers
+                const basePoints = points;
                 
                 // Bonus if ingredient appears in first 5 (higher concentration)
-                if (ingredientsList.slice(0, 5).some(ing => ing.includes(normalizeIngredient(ingredient)))) {
+                // Skipped when the concentration is known to be too low to work
+                const inTopFive = factor >= 1 && topFiveNames.some(ing => ing.includes(normalizeIngredient(ingredient)));
+                if (inTopFive) {
                     points += weights.concentration;
                 }
                 
-                score += points;
+                breakdown.points += points;
                 beneficialCount++;
-                const confidenceLabel = confidence === 1 ? 'exact' : confidence >= 0.9 ? 'synonym' : 'fuzzy';
-                matchedBeneficial.push(`${ingredient} (${condition}, ${confidenceLabel})`);
+                breakdown.helped.push({
+                    ingredient,
+                    match: getMatchLabel(confidence),
+                    confidence,
+                    points: roundPoints(basePoints),
+                    concentrationBonus: inTopFive ? weights.concentration : 0,
+                    concentration: {
+                        ...concentration,
+                        effectiveRange,
+                        status,
+                        factor
+                    }
+                });
             }
         });
 
@@ -852,29 +1218,33 @@ function calculateMatchScore(product, userConditions, userDescription, verbose =
         conditionData.avoid.forEach(ingredient => {
             // Special handling for alcohols - differentiate good vs bad
             if (ingredient.toLowerCase().includes('alcohol')) {
-                const isDryingAlcohol = DRYING_ALCOHOLS.some(bad => 
-                    hasIngredient(ingredientSet, bad)
+                const isDryingAlcohol = knowledgeBase.dryingAlcohols.some(bad => 
+                    hasIngredient(ingredientSet, bad, false, synonyms)
                 );
-                const isFattyAlcohol = FATTY_ALCOHOLS.some(good => 
-                    hasIngredient(ingredientSet, good)
+                const isFattyAlcohol = knowledgeBase.fattyAlcohols.some(good => 
+                    hasIngredient(ingredientSet, good, false, synonyms)
                 );
                 
                 // Only penalize if it's a drying alcohol, not fatty alcohol
                 if (isDryingAlcohol && !isFattyAlcohol) {
-                    score += weights.avoid;
+                    breakdown.points += weights.avoid;
                     avoidCount++;
-                    matchedAvoid.push(`${ingredient} (${condition}, drying)`);
+                    breakdown.hurt.push({ ingredient, match: 'drying', confidence: 1, points: weights.avoid });
                 }
                 // Skip penalty if it's a fatty alcohol
                 return;
             }
             
-            const confidence = hasIngredient(ingredientSet, ingredient, true);
+            const confidence = hasIngredient(ingredientSet, ingredient, true, synonyms);
             if (confidence > 0) {
-                score += weights.avoid * confidence; // Apply confidence to penalty
+                breakdown.points += weights.avoid * confidence; // Apply confidence to penalty
                 avoidCount++;
-                const confidenceLabel = confidence === 1 ? 'exact' : confidence >= 0.9 ? 'synonym' : 'fuzzy';
-                matchedAvoid.push(`${ingredient} (${condition}, ${confidenceLabel})`);
+                breakdown.hurt.push({
+                    ingredient,
+                    match: getMatchLabel(confidence),
+                    confidence,
+                    points: roundPoints(weights.avoid * confidence)
+                });
             }
         });
 
@@ -884,35 +1254,112 @@ function calculateMatchScore(product, userConditions, userDescription, verbose =
         
         if (productNameLower.includes(condition.replace('-', ' ')) || 
             productNameLower.includes(condition)) {
-            score += weights.nameMatch;
+            breakdown.points += weights.nameMatch;
+            breakdown.bonuses.push({ reason: 'Condition named in product name', points: weights.nameMatch });
         }
         
         if (productDescLower.includes(condition.replace('-', ' ')) || 
             productDescLower.includes(condition)) {
-            score += weights.conditionMatch;
+            breakdown.points += weights.conditionMatch;
+            breakdown.bonuses.push({ reason: 'Condition mentioned in product description', points: weights.conditionMatch });
         }
+
+        // Weight the condition by severity, source and confidence
+        score += breakdown.points * weight;
+        breakdown.weightedPoints = roundPoints(breakdown.points * weight);
+        breakdown.points = roundPoints(breakdown.points);
     });
 
+    // Skin type scores as its own factor, separate from conditions
+    let skinTypeBreakdown = null;
+    const skinTypeProfile = skinTypeFactor?.skinType && knowledgeBase.skinTypes?.[skinTypeFactor.skinType];
+    if (skinTypeProfile && skinTypeFactor.weight > 0) {
+        skinTypeBreakdown = {
+            skinType: skinTypeFactor.skinType,
+            weight: skinTypeFactor.weight,
+            points: 0,
+            weightedPoints: 0,
+            helped: [],
+            hurt: []
+        };
+
+        let beneficialPoints = 0;
+        skinTypeProfile.beneficial.forEach(ingredient => {
+            const confidence = hasIngredient(ingredientSet, ingredient, true, synonyms);
+            if (confidence > 0) {
+                const points = weights.skinTypeBeneficial * confidence;
+                beneficialPoints += points;
+                skinTypeBreakdown.helped.push({ ingredient, match: getMatchLabel(confidence), confidence, points: roundPoints(points) });
+            }
+        });
+
+        let avoidPoints = 0;
+        skinTypeProfile.avoid.forEach(ingredient => {
+            const confidence = hasIngredient(ingredientSet, ingredient, true, synonyms);
+            if (confidence > 0) {
+                const points = weights.skinTypeAvoid * confidence;
+                avoidPoints += points;
+                skinTypeBreakdown.hurt.push({ ingredient, match: getMatchLabel(confidence), confidence, points: roundPoints(points) });
+            }
+        });
+
+        const skinTypePoints = Math.min(beneficialPoints, weights.skinTypeBeneficialCap) + avoidPoints;
+        score += skinTypePoints * skinTypeFactor.weight;
+        skinTypeBreakdown.points = roundPoints(skinTypePoints);
+        skinTypeBreakdown.weightedPoints = roundPoints(skinTypePoints * skinTypeFactor.weight);
+    }
+
+    const rawPoints = score;
+    const multipliers = [];
+
     // Quality multiplier based on ingredient count (more complete formulas score better)
     if (ingredientsList.length > 10) {
         score *= 1.1; // 10% bonus for complete ingredient list
+        multipliers.push({ reason: 'Complete ingredient list (more than 10 ingredients)', factor: 1.1 });
     }
 
+    const preClampScore = score;
+
     // Normalize score to 0-100 range
     score = Math.max(0, Math.min(maxScore, score));
 
-    // Cache the result
-    scoreCache.set(cacheKey, {
-        score: Math.round(score),
-        timestamp: Date.now()
-    });
+    const explanation = {
+        rawPoints: roundPoints(rawPoints),
+        multipliers,
+        beforeClamp: roundPoints(preClampScore),
+        clamped: preClampScore !== score,
+        finalScore: Math.round(score),
+        ingredientSource,
+        mayContain: parsed.mayContain.map(entry => entry.name),
+        onePercentLine,
+        conditions: conditionBreakdown,
+        skinType: skinTypeBreakdown
+    };
 
     // Only log if explicitly verbose and score is significant
     if (verbose && score >= 60) {
-        log(`   🎯 ${product.name}: ${Math.round(score)}% (✅${beneficialCount} ❌${avoidCount})`);
+        logger.debug('Product scored', { productId: product.id, score: Math.round(score), beneficialCount, avoidCount });
     }
 
-    return Math.round(score);
+    return explain ? { score: Math.round(score), explanation } : Math.round(score);
+}
+
+// Score products through the tenant's score cache (conditions-specific, not budget-specific)
+// -> { results: [{ score, explanation }] in product order, cacheHits }
+// One batched lookup per call, so a Redis store costs a single round trip; new scores
+// are stored in the background
+async function scoreProducts(tenant, products, userConditions, userDescription, skinTypeFactor = null) {
+    const keys = products.map(product => generateScoreCacheKey(product.id, userConditions, skinTypeFactor));
+    const cached = await tenant.scoreCache.getMany(keys);
+    const fresh = [];
+    const results = products.map((product, index) => {
+        if (cached[index]) return cached[index];
+        const result = calculateMatchScore(tenant, product, userConditions, userDescription, false, true, skinTypeFactor);
+        fresh.push({ key: keys[index], value: result });
+        return result;
+    });
+    tenant.scoreCache.setMany(fresh);
+    return { results, cacheHits: products.length - fresh.length };
 }
 
 // Get relevant product categories based on conditions
@@ -939,324 +1386,1086 @@ function getRelevantCategories(conditions) {
     return Array.from(categories);
 }
 
-// Main analyze endpoint
-app.post('/api/analyze', async (req, res) => {
-    try {
-        const { image, conditions, budget, description } = req.body;
-
-        console.log('\n🔍 ========== NEW ANALYSIS REQUEST ==========');
+// Extract the display ingredient list from product meta_data
+// Uses the INCI parser so "1,2-Hexanediol" or "Water (Aqua), Glycerin" aren't mis-split
+function extractIngredientList(product) {
+    const ingredientsMeta = product.meta_data?.find(meta =>
+        meta.key === 'ingredients' || meta.key === '_ingredients'
+    );
+    
+    return ingredientsMeta?.value
+        ? parseInciList(ingredientsMeta.value).ingredients.map(entry => entry.display)
+        : [];
+}
 
-        // Validate all inputs first
-        console.log('✅ Validating input data...');
-        
-        // Validate conditions
-        const conditionsValidation = validateConditions(conditions);
-        if (!conditionsValidation.valid) {
-            console.log(`❌ Conditions validation failed: ${conditionsValidation.error}`);
-            return res.status(400).json({ error: conditionsValidation.error });
+// Reduce a product to the shape expected by the frontend
+function reduceProduct(p) {
+    // Clean and normalize ingredients (remove escaped quotes)
+    const cleanedIngredients = (p.ingredients || []).map(ing => {
+        if (typeof ing === 'string') {
+            return ing.replace(/^['"]|['"]$/g, '').trim();
         }
+        return ing;
+    }).filter(Boolean);
 
-        // Validate budget
-        const budgetValidation = validateBudget(budget);
-        if (!budgetValidation.valid) {
-            console.log(`❌ Budget validation failed: ${budgetValidation.error}`);
-            return res.status(400).json({ error: budgetValidation.error });
-        }
+    const imagesArr = (p.images || []).map(img => {
+        if (!img) return null;
+        if (typeof img === 'string') return { src: img };
+        return { src: img.src || img.url || img.thumbnail || '' };
+    }).filter(Boolean);
 
-        // Validate description
-        const descriptionValidation = validateDescription(description);
-        if (!descriptionValidation.valid) {
-            console.log(`❌ Description validation failed: ${descriptionValidation.error}`);
-            return res.status(400).json({ error: descriptionValidation.error });
+    const firstImage = imagesArr.length > 0 ? (imagesArr[0].src || '') : (p.image || '');
+
+    return {
+        id: p.id,
+        name: p.name || p.title || '',
+        price: p.price || p.regular_price || null,
+        matchScore: typeof p.matchScore === 'number' ? p.matchScore : (p.match_score || 0),
+        categories: p.categories || p.category || [],
+        ingredients: cleanedIngredients,
+        permalink: p.permalink || p.url || p.link || '',
+        url: p.url || p.permalink || p.link || '',
+        images: imagesArr,
+        image: firstImage,
+        short_description: p.short_description || (p.description ? p.description.replace(/<[^>]+>/g, '').slice(0, 200) : ''),
+        rating: p.average_rating || p.rating || 0,
+        rating_count: p.rating_count || 0,
+        reviews_count: p.rating_count || 0,
+        ...(p.targeting ? { targeting: p.targeting } : {}),
+        ...(p.scoreExplanation ? { scoreExplanation: p.scoreExplanation } : {})
+    };
+}
+
+// Validate an /api/analyze request (JSON or multipart) before any work starts
+// Returns { valid: true, input } or { valid: false, status, error }
+function validateAnalyzeRequest(req, res) {
+    // multipart/form-data: the photo is req.file, other fields are strings
+    const isMultipart = Boolean(req.is('multipart/form-data'));
+    if (isMultipart) {
+        const formValidation = parseAnalyzeFormFields(req.body);
+        if (!formValidation.valid) {
+            return { valid: false, status: 400, error: formValidation.error };
         }
+        req.body = formValidation.fields;
+    }
+
+    const { image, conditions, budget, description, conditionSeverity, skinType } = req.body;
+    const explain = req.body.explain === true || req.query.explain === 'true';
+
+    // Validate all inputs first
+    // Validate conditions
+    const conditionsValidation = validateConditions(conditions);
+    if (!conditionsValidation.valid) {
+        logger.info('Analysis request rejected', { field: 'conditions', reason: conditionsValidation.error });
+        return { valid: false, status: 400, error: conditionsValidation.error };
+    }
+
+    // Validate budget
+    const budgetValidation = validateBudget(budget, req.tenant.budgetRanges);
+    if (!budgetValidation.valid) {
+        logger.info('Analysis request rejected', { field: 'budget', reason: budgetValidation.error });
+        return { valid: false, status: 400, error: budgetValidation.error };
+    }
+
+    // Validate description
+    const descriptionValidation = validateDescription(description);
+    if (!descriptionValidation.valid) {
+        logger.info('Analysis request rejected', { field: 'description', reason: descriptionValidation.error });
+        return { valid: false, status: 400, error: descriptionValidation.error };
+    }
 
-        // Validate image
+    // Validate optional per-condition severity
+    const severityValidation = validateConditionSeverity(conditionSeverity, conditions);
+    if (!severityValidation.valid) {
+        logger.info('Analysis request rejected', { field: 'conditionSeverity', reason: severityValidation.error });
+        return { valid: false, status: 400, error: severityValidation.error };
+    }
+
+    // Validate optional skin type
+    const skinTypeValidation = validateSkinType(skinType);
+    if (!skinTypeValidation.valid) {
+        logger.info('Analysis request rejected', { field: 'skinType', reason: skinTypeValidation.error });
+        return { valid: false, status: 400, error: skinTypeValidation.error };
+    }
+
+    // Validate image - an uploaded file or a base64 string
+    let imageBuffer;
+    if (isMultipart) {
+        if (!req.file || req.file.buffer.length === 0) {
+            logger.info('Analysis request rejected', { field: 'image', reason: 'no image file uploaded' });
+            return { valid: false, status: 400, error: 'Image is required. Please upload a face selfie' };
+        }
+        imageBuffer = req.file.buffer;
+    } else {
         const imageValidation = validateImage(image);
         if (!imageValidation.valid) {
-            console.log(`❌ Image validation failed: ${imageValidation.error}`);
-            return res.status(400).json({ error: imageValidation.error });
+            logger.info('Analysis request rejected', { field: 'image', reason: imageValidation.error });
+            return { valid: false, status: 400, error: imageValidation.error };
         }
+        imageBuffer = decodeBase64Image(image);
+    }
 
-        log(`📋 User Conditions: ${conditions.join(', ')}`);
-        log(`💰 Budget Range: ${budget || 'Any'}`);
-        log(`📝 Description: ${description ? description.substring(0, 100) + '...' : 'None'}`);
-        log(`🖼️  Image Provided: Yes (${(image.length * 3 / 4 / 1024).toFixed(2)}KB)`);
+    // The real format comes from the file's magic bytes, not its name or declared type
+    const imageFormat = detectImageFormat(imageBuffer);
+    if (!imageFormat) {
+        logger.info('Analysis request rejected', { field: 'image', reason: 'unrecognized format' });
+        return { valid: false, status: 415, error: 'Unsupported image format. Please upload a JPEG, PNG, WebP or HEIC photo' };
+    }
 
-        // Validate that image is a human face
-        console.log('🔎 Validating face image...');
-        const faceValidation = await validateFaceSelfie(image);
-        
-        if (!faceValidation.isValid) {
-            console.log(`❌ Face validation failed: ${faceValidation.message}`);
-            return res.status(400).json({ 
-                error: 'Invalid image - Please upload a clear photo of your face. The image must show a human face clearly.'
-            });
-        }
-        console.log(`✅ Face validation passed: ${faceValidation.message}`);
+    // Budgets match case-insensitively; without one the whole catalog is considered
+    const normalizedBudget = budget ? budget.toLowerCase() : null;
 
-        // Optimize image
-        let optimizedImage;
-        if (image) {
-            optimizedImage = await optimizeImage(image);
-        }
+    logger.info('Analysis request accepted', {
+        conditions,
+        budget: normalizedBudget,
+        description,
+        imageFormat: IMAGE_FORMATS[imageFormat],
+        upload: isMultipart ? 'multipart' : 'base64'
+    });
+    logger.debug('Analysis image', { imageBytes: imageBuffer.length });
 
-        // Analyze skin image using OpenAI
-        let skinAnalysis = null;
-        if (image && optimizedImage) {
-            skinAnalysis = await analyzeSkinImage(optimizedImage);
-            
-            // Merge AI-detected conditions with user-selected conditions
-            if (skinAnalysis.detectedConditions && skinAnalysis.detectedConditions.length > 0) {
-                const aiConditions = skinAnalysis.detectedConditions;
-                const combinedConditions = [...new Set([...conditions, ...aiConditions])];
-                console.log('AI detected conditions:', aiConditions);
-                console.log('Combined conditions:', combinedConditions);
-                // Use combined conditions for better matching
-                conditions.push(...aiConditions.filter(c => !conditions.includes(c)));
-            }
+    return {
+        valid: true,
+        input: {
+            tenant: req.tenant,
+            imageBuffer,
+            imageFormat,
+            conditions,
+            budget: normalizedBudget,
+            description,
+            conditionSeverity,
+            skinType,
+            explain,
+            // Refresh last match scores on the shopper's wishlist (never issues a new session)
+            wishlistOwner: resolveWishlistOwner(req, res, { issueSession: false }).owner
         }
+    };
+}
 
-        // Get relevant categories
-        const relevantCategories = getRelevantCategories(conditions);
-
-        // Fetch ALL products from WooCommerce with budget-based caching
-        // This way ALL users benefit from the same cache regardless of conditions
-        let allProducts = [];
-        const productCacheKey = generateProductCacheKey(budget);
+// Stages reported to job clients, in order
+const ANALYSIS_STAGES = ['validating', 'analyzing', 'matching', 'suggesting'];
 
-        // Check product cache first (budget-based, NOT condition-based)
-        const cachedProducts = productCache.get(productCacheKey);
-        if (cachedProducts && Date.now() - cachedProducts.timestamp < PRODUCT_CACHE_TTL) {
-            allProducts = cachedProducts.data;
-            log(`\n📦 Using cached products: ${allProducts.length} products (Cache Hit!)`);
-        } else {
-            // Fetch fresh products from WooCommerce
-            try {
-                const fetchStartTime = Date.now();
-                
-                // Strategy: Fetch ALL skincare products once, cache globally
-                // Then filter dynamically based on user conditions
-                
-                // Check category cache
-                let categories = categoryCache.get('all_categories');
-                if (!categories || Date.now() - categories.timestamp >= PRODUCT_CACHE_TTL) {
-                    const categoryResponse = await WooCommerce.get('products/categories', {
-                        per_page: 100
-                    });
-                    categories = { data: categoryResponse.data, timestamp: Date.now() };
-                    categoryCache.set('all_categories', categories);
-                }
+// Errors the client should see: HTTP status, a stable code for clients to branch on,
+// the message and extra response fields
+function analysisError(status, code, message, details = {}) {
+    return Object.assign(new Error(message), { status, code, details });
+}
 
-                // Fetch ALL skincare products (not filtered by condition-specific categories)
-                // This ensures all users benefit from the same cache
-                const productsResponse = await WooCommerce.get('products', {
-                    per_page: 100,
-                    status: 'publish'
-                });
-                allProducts = productsResponse.data;
+// Cancellation is checked between steps; an AI call already in flight finishes
+// but its result is discarded
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw Object.assign(new Error('Analysis cancelled'), { cancelled: true });
+    }
+}
 
-                // Remove duplicates by ID
-                const uniqueProducts = Array.from(
-                    new Map(allProducts.map(p => [p.id, p])).values()
-                );
-                allProducts = uniqueProducts;
+// Run the analysis for a validated request and resolve to the response body
+//   onStage(stage)        - called as each of ANALYSIS_STAGES starts
+//   onResult(type, data)  - partial results as they are ready: faceValidation,
+//                           skinAnalysis, products, suggestions
+//   onPerformance(stats)  - before resolving: { processingTime, productCacheHit, productsScored,
+//                           scoreCacheHits } for the performance headers
+//   signal                - AbortSignal for cancellation
+async function runAnalysis(input, { onStage = () => {}, onResult = () => {}, onPerformance = () => {}, signal = null } = {}) {
+    const startedAt = Date.now();
+    const { tenant, imageBuffer, imageFormat, budget, description, conditionSeverity, skinType, explain, wishlistOwner } = input;
+    const conditions = [...input.conditions];
+    const userConditions = [...conditions]; // Before AI-detected conditions are merged in
+
+    onStage('validating');
+
+    // Local quality gate - rejects unusable selfies before any AI call,
+    // and still applies when the AI provider is unavailable
+    const endImageTimer = analysisStageDuration.startTimer({ stage: 'image_processing' });
+    let imageQuality;
+    try {
+        imageQuality = await assessImageQuality(imageBuffer, IMAGE_QUALITY_THRESHOLDS);
+    } catch (error) {
+        logger.info('Analysis image could not be decoded', { imageFormat, error });
+        // Prebuilt sharp/libheif decodes AVIF but not every HEVC-coded HEIC
+        if (imageFormat === 'heif') {
+            throw analysisError(415, 'heic_unsupported', 'This HEIC photo could not be decoded. Please upload it as JPEG (iPhone: Settings > Camera > Formats > Most Compatible)');
+        }
+        throw analysisError(400, 'image_unreadable', 'Invalid image - the image could not be read');
+    }
+    logger.debug('Image quality', imageQuality.metrics);
+    if (IMAGE_QUALITY_GATE && !imageQuality.passed) {
+        logger.info('Image quality check failed', { issues: imageQuality.issues.map(issue => issue.code) });
+        throw analysisError(
+            400,
+            'image_quality',
+            `Image quality too low - ${imageQuality.issues.map(issue => issue.message.toLowerCase()).join(', ')}`,
+            { reasons: imageQuality.issues }
+        );
+    }
 
-                // Cache the results (shared across ALL condition combinations)
-                productCache.set(productCacheKey, {
-                    data: allProducts,
-                    timestamp: Date.now()
-                });
+    // Optimize image - validation and analysis both use the optimized image,
+    // so they share one fingerprint for the AI result cache
+    let optimizedImage;
+    let imageFingerprint;
+    try {
+        optimizedImage = await optimizeImage(imageBuffer);
+        imageFingerprint = await computeImageFingerprint(Buffer.from(optimizedImage, 'base64'));
+    } catch (error) {
+        logger.info('Analysis image could not be decoded', { imageFormat, error });
+        throw analysisError(400, 'image_unreadable', 'Invalid image - the image could not be read');
+    }
+    endImageTimer();
 
-                const fetchTime = Date.now() - fetchStartTime;
-                log(`\n📦 WooCommerce Products Fetched: ${allProducts.length} products (${fetchTime}ms, Cache Miss)`);
+    // Validate that image is a human face
+    const faceValidation = await timeStage('face_validation', () => validateFaceSelfie(optimizedImage, imageFingerprint, tenant));
+    
+    if (!faceValidation.isValid) {
+        logger.info('Face validation failed', { aiOutput: faceValidation.message });
+        throw analysisError(400, 'not_a_face', 'Invalid image - Please upload a clear photo of your face. The image must show a human face clearly.');
+    }
+    logger.info('Face validation passed', { cached: faceValidation.cached || false });
+    throwIfCancelled(signal);
+    onResult('faceValidation', {
+        isValid: true,
+        message: faceValidation.message,
+        ...(faceValidation.cached ? { cached: faceValidation.cached } : {}),
+        imageQuality: imageQuality.metrics
+    });
+    onStage('analyzing');
 
-            } catch (error) {
-                console.error('WooCommerce API Error:', error.response?.data || error.message);
-                return res.status(500).json({ error: 'Failed to fetch products from WooCommerce' });
-            }
+    // Analyze skin image using the AI provider
+    let skinAnalysis = null;
+    if (optimizedImage) {
+        skinAnalysis = await timeStage('ai_analysis', () => analyzeSkinImage(optimizedImage, imageFingerprint, tenant));
+        
+        // Merge AI-detected conditions with user-selected conditions
+        if (skinAnalysis.detectedConditions && skinAnalysis.detectedConditions.length > 0) {
+            const aiConditions = skinAnalysis.detectedConditions;
+            logger.debug('Merging AI-detected conditions', { aiOutput: aiConditions });
+            // Use combined conditions for better matching
+            conditions.push(...aiConditions.filter(c => !conditions.includes(c)));
         }
+    }
+
+    throwIfCancelled(signal);
+    onResult('skinAnalysis', { skinAnalysis });
+    onStage('matching');
 
-        // Filter by budget
-        const budgetRange = BUDGET_RANGES[budget];
-        const productsInBudget = allProducts.filter(product => {
-            const price = parseFloat(product.price);
-            return price >= budgetRange.min && price <= budgetRange.max;
+    // Skin type: the shopper's choice (or confirmation) wins over the AI's
+    const resolvedSkinType = resolveSkinType({
+        userSkinType: skinType,
+        aiSkinType: skinAnalysis?.skinTypeDetected ? skinAnalysis.skinType : null,
+        aiConfidence: skinAnalysis?.confidence
+    });
+    const skinTypeFactor = resolvedSkinType.skinType
+        ? { skinType: resolvedSkinType.skinType, weight: resolvedSkinType.weight }
+        : null;
+    logger.debug('Skin type resolved', resolvedSkinType);
+
+    // Weight each condition by severity, source (user vs AI) and confidence
+    const conditionWeights = buildConditionWeights({
+        userConditions,
+        userSeverity: conditionSeverity,
+        aiDetails: skinAnalysis?.conditionDetails,
+        aiConfidence: skinAnalysis?.confidence,
+        skinType: resolvedSkinType.skinType
+    });
+    const scoringConditions = conditionWeights.map(({ condition, weight }) => ({ condition, weight }));
+    logger.debug('Condition weights', { conditionWeights });
+
+    // Get relevant categories
+    const relevantCategories = getRelevantCategories(conditions);
+
+    // Read products from the local catalog snapshot with budget-based caching
+    // This way ALL users benefit from the same cache regardless of conditions
+    const endCatalogTimer = analysisStageDuration.startTimer({ stage: 'catalog_fetch' });
+    let allProducts = [];
+    let catalog;
+    try {
+        catalog = await tenant.catalogSync.getSnapshot();
+        allProducts = catalog.products;
+    } catch (error) {
+        logger.error('Catalog snapshot unavailable', { error });
+        throw analysisError(503, 'catalog_unavailable', 'Product catalog is not available yet. Please try again shortly');
+    }
+
+    // Filter by budget (cached per budget + snapshot version); no budget keeps every product
+    const budgetRange = budget ? tenant.budgetRanges[budget] : null;
+    const productCacheKey = generateProductCacheKey(budget);
+    let productsInBudget;
+    const cachedProducts = await tenant.productCache.get(productCacheKey);
+    const productCacheHit = Boolean(cachedProducts && cachedProducts.version === catalog.version &&
+        Date.now() - cachedProducts.timestamp < PRODUCT_CACHE_TTL);
+    if (productCacheHit) {
+        productsInBudget = cachedProducts.data;
+    } else {
+        productsInBudget = budgetRange ? allProducts.filter(product => isInBudget(product, budgetRange)) : allProducts;
+        await tenant.productCache.set(productCacheKey, {
+            data: productsInBudget,
+            budget,
+            version: catalog.version,
+            timestamp: Date.now()
         });
+    }
 
-        log(`💰 Products in budget range ($${budgetRange.min}-$${budgetRange.max}): ${productsInBudget.length}`);
+    endCatalogTimer();
+    logger.info('Products in budget', {
+        budget,
+        productsInBudget: productsInBudget.length,
+        catalogProducts: allProducts.length,
+        catalogVersion: catalog.version,
+        productCache: productCacheHit ? 'hit' : 'miss'
+    });
 
-        // Calculate match scores efficiently with per-condition caching
-        log(`\n⚡ Scoring ${productsInBudget.length} products for conditions: [${conditions.join(', ')}]`);
-        const startTime = Date.now();
-        let scoreCacheHits = 0;
-        
-        const productsWithScores = productsInBudget.map(product => {
-            // Extract ingredients from meta_data
-            const ingredientsMeta = product.meta_data?.find(meta =>
-                meta.key === 'ingredients' || meta.key === '_ingredients'
-            );
-            
-            const ingredients = ingredientsMeta?.value
-                ? (typeof ingredientsMeta.value === 'string'
-                    ? ingredientsMeta.value.split(',').map(i => i.trim())
-                    : ingredientsMeta.value)
-                : [];
-
-            // Check if score is cached for this product + condition combination
-            const scoreCacheKey = generateScoreCacheKey(product.id, conditions);
-            const cachedScore = scoreCache.get(scoreCacheKey);
-            if (cachedScore && Date.now() - cachedScore.timestamp < CACHE_TTL) {
-                scoreCacheHits++;
-            }
+    // Calculate match scores efficiently with per-condition caching
+    const startTime = Date.now();
+    const endScoringTimer = analysisStageDuration.startTimer({ stage: 'scoring' });
+    // Cached per product + condition combination
+    const { results: scoreResults, cacheHits: scoreCacheHits } =
+        await scoreProducts(tenant, productsInBudget, scoringConditions, description, skinTypeFactor);
 
-            // Calculate match score with optimized algorithm (uses cache internally)
-            const matchScore = calculateMatchScore(product, conditions, description, false);
+    const productsWithScores = productsInBudget.map((product, index) => {
+        const ingredients = extractIngredientList(product);
+        const { score, explanation } = scoreResults[index];
 
+        if (explain) {
             return {
                 ...product,
-                matchScore,
+                matchScore: score,
+                scoreExplanation: explanation,
                 ingredients
             };
+        }
+
+        return {
+            ...product,
+            matchScore: score,
+            ingredients
+        };
+    });
+
+    const processingTime = Date.now() - startTime;
+    endScoringTimer();
+    logger.info('Products scored', {
+        conditions,
+        productsScored: productsWithScores.length,
+        scoreCacheHits,
+        durationMs: processingTime
+    });
+
+    // Refresh last match scores on the shopper's wishlist
+    if (wishlistOwner) {
+        const scoredAt = new Date().toISOString();
+        const scoredConditions = [...conditions].sort();
+        const scores = new Map(productsWithScores.map(p => [p.id, {
+            lastMatchScore: p.matchScore,
+            scoredConditions,
+            scoredAt
+        }]));
+        tenant.wishlistStorage.updateScores(wishlistOwner, scores).catch(error => {
+            logger.error('Wishlist score refresh error', { error });
         });
+    }
 
-        const processingTime = Date.now() - startTime;
-        const cacheHitRate = ((scoreCacheHits / productsWithScores.length) * 100).toFixed(1);
-        log(`✅ Scored ${productsWithScores.length} products in ${processingTime}ms (${(processingTime / productsWithScores.length).toFixed(1)}ms/product)`)
-        log(`   💾 Score cache hits: ${scoreCacheHits}/${productsWithScores.length} (${cacheHitRate}% hit rate)`);
+    // Filter out products with zero match score
+    const productsWithScore = productsWithScores.filter(product => product.matchScore >= 40);
 
-        // Filter out products with zero match score
-        const productsWithScore = productsWithScores.filter(product => product.matchScore >= 40);
-        
-        log(`\n🔢 Match Score Filtering:`);
-        log(`   Products before filtering: ${productsWithScores.length}`);
-        log(`   Products with score > 0: ${productsWithScore.length}`);
-        log(`   Products filtered out (score = 0): ${productsWithScores.length - productsWithScore.length}`);
 
-        // Sort by match score
-        productsWithScore.sort((a, b) => b.matchScore - a.matchScore);
+    // Sort by match score
+    productsWithScore.sort((a, b) => b.matchScore - a.matchScore);
 
-        // Return top products (max 12, but only those with score > 0)
-        const topProducts = productsWithScore.slice(0, 12);
-        
-        if (topProducts.length > 0) {
-            log(`\n🏆 Top ${topProducts.length} Products (by match score, score > 0):`);
-            topProducts.forEach((product, index) => {
-                log(`   ${index + 1}. ${product.name} - Score: ${Math.round(product.matchScore)}% - Ingredients: ${product.ingredients.length > 0 ? product.ingredients.slice(0, 3).join(', ') + (product.ingredients.length > 3 ? '...' : '') : 'None'}`);
-            });
-        } else {
-            log(`\n⚠️  No products found with match score > 0`);
-            log(`   This might indicate:`);
-            log(`   - Products don't have matching ingredients for selected conditions`);
-            log(`   - Products are missing ingredient data`);
-            log(`   - Try adjusting conditions or budget range`);
+    // Return top products (max 12, but only those with score > 0)
+    const topProducts = productsWithScore.slice(0, 12);
+    
+    if (topProducts.length === 0) {
+        // No matching ingredients for these conditions, missing ingredient data, or a narrow budget
+        logger.warn('No products scored 40 or more', { conditions, budget, productsScored: productsWithScores.length });
+    }
+    // Debug-only dump of the ranking
+    logger.debug('Top products', {
+        matched: productsWithScore.length,
+        topProducts: topProducts.map(product => ({
+            id: product.id,
+            name: product.name,
+            matchScore: product.matchScore,
+            ingredients: product.ingredients.slice(0, 3)
+        }))
+    });
+
+    // Where to apply each product, from the per-zone analysis (spot vs full-face)
+    const knowledgeBase = tenant.getKnowledgeBase();
+    const zoneCoverage = getConditionCoverage(skinAnalysis?.zones);
+    topProducts.forEach(product => {
+        const targeting = getProductTargeting(product, zoneCoverage, knowledgeBase);
+        if (targeting) product.targeting = targeting;
+    });
+
+    // Reduce product payload to shape expected by the frontend
+    const reducedProducts = topProducts.map(reduceProduct);
+
+    // Flag ingredient conflicts between the recommended products
+    const interactions = checkInteractions(topProducts.map(product => ({
+        id: product.id,
+        name: product.name,
+        ingredientSet: getProductIngredients(product).ingredientSet
+    })), knowledgeBase);
+    if (interactions.conflicts.length > 0) {
+        logger.info('Ingredient conflicts between recommended products', { conflicts: interactions.conflicts.length });
+    }
+
+    throwIfCancelled(signal);
+    onResult('products', {
+        ...(tenant.currency ? { currency: tenant.currency } : {}),
+        skinType: resolvedSkinType,
+        conditionWeights,
+        products: reducedProducts,
+        interactions,
+        totalFound: allProducts.length
+    });
+    onStage('suggesting');
+
+    // Ensure we have a finalAnalysis object to pass to suggestion generator
+    const finalAnalysis = skinAnalysis || {
+        detectedConditions: conditions || [],
+        skinType: 'combination',
+        confidence: 0.8,
+        observations: [],
+        recommendations: []
+    };
+
+    // Generate lifestyle suggestions (non-blocking if no AI provider is configured)
+    let suggestions = [];
+    try {
+        suggestions = await timeStage('suggestions', () => getLifestyleSuggestions(finalAnalysis, description));
+    } catch (e) {
+        // already logged in in function
+        suggestions = [];
+    }
+
+    throwIfCancelled(signal);
+    onResult('suggestions', { suggestions });
+    onPerformance({
+        processingTime: Date.now() - startedAt,
+        productCacheHit,
+        productsScored: productsWithScores.length,
+        scoreCacheHits
+    });
+
+    return {
+        success: true,
+        skinAnalysis: finalAnalysis,
+        skinType: resolvedSkinType,
+        imageQuality: imageQuality.metrics,
+        conditionWeights,
+        ...(tenant.currency ? { currency: tenant.currency } : {}),
+        products: reducedProducts,
+        interactions,
+        suggestions,
+        totalFound: allProducts.length
+    };
+}
+
+// Rate limit the analysis endpoints - per key for a known X-API-Key (API_KEYS or a
+// tenant's key), otherwise per IP
+// Throttled requests get 429 with Retry-After (seconds)
+function limitAnalyzeRequests(req, res, next) {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    const apiKey = req.get('X-API-Key');
+    let client;
+    let result;
+    if (apiKey) {
+        const keyName = API_KEYS.get(apiKey) || (tenants.isApiKey(apiKey) ? `tenant:${req.tenant.id}` : null);
+        if (!keyName) {
+            return res.status(401).json({ error: 'Invalid API key' });
         }
-        // end of processing
+        client = `API key "${keyName}"`;
+        result = apiKeyRateLimiter.hit(keyName);
+    } else {
+        client = `IP ${req.ip}`;
+        result = ipRateLimiter.hit(req.ip);
+    }
 
-        // Ensure we have a finalAnalysis object to pass to suggestion generator
-        const finalAnalysis = skinAnalysis || {
-            detectedConditions: conditions || [],
-            skinType: 'combination',
-            confidence: 0.8,
-            observations: [],
-            recommendations: []
-        };
+    res.set({ 'X-RateLimit-Limit': String(result.limit), 'X-RateLimit-Remaining': String(result.remaining) });
+    if (!result.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        logger.warn('Rate limit reached', { limit: result.limit, window: result.window, client });
+        return res.status(429).set('Retry-After', String(retryAfter)).json({
+            error: `Too many analysis requests. Please try again in ${retryAfter} seconds`,
+            retryAfter
+        });
+    }
+    next();
+}
 
-        // Generate lifestyle suggestions (non-blocking if OpenAI not configured)
-        let suggestions = [];
-        try {
-            suggestions = await getLifestyleSuggestions(finalAnalysis, description);
-        } catch (e) {
-            // already logged in in function
-            suggestions = [];
+// Performance headers of a synchronous analysis
+// X-Cache-Status: HIT when the budget's products and every score came from cache,
+// MISS when nothing did, PARTIAL otherwise
+function getPerformanceHeaders({ processingTime, productCacheHit, productsScored, scoreCacheHits }) {
+    const allScoresCached = scoreCacheHits === productsScored;
+    let cacheStatus = 'PARTIAL';
+    if (productCacheHit && allScoresCached) cacheStatus = 'HIT';
+    if (!productCacheHit && scoreCacheHits === 0) cacheStatus = 'MISS';
+    return {
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Cache-Status': cacheStatus,
+        'X-Products-Scored': String(productsScored),
+        'X-Score-Cache-Hit-Rate': `${productsScored > 0 ? Math.round((scoreCacheHits / productsScored) * 100) : 0}%`
+    };
+}
+
+// Main analyze endpoint (synchronous - see /api/analyze/jobs for the job mode)
+app.post('/api/analyze', limitAnalyzeRequests, parseMultipartImage, async (req, res) => {
+    try {
+        const validation = validateAnalyzeRequest(req, res);
+        if (!validation.valid) {
+            return res.status(validation.status).json({ error: validation.error });
+        }
+
+        const result = await runAnalysis(validation.input, {
+            onPerformance: stats => res.set(getPerformanceHeaders(stats))
+        });
+        res.json(result);
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        logger.error('Analysis error', { error });
+        res.status(500).json({ error: 'Failed to analyze and fetch products' });
+    }
+});
+
+// Analysis jobs - same input as /api/analyze, answered at once with a job id to poll,
+// so slow AI calls don't run into proxy timeouts
+const analysisJobs = createJobQueue({
+    stages: ANALYSIS_STAGES,
+    ttl: (parseInt(process.env.ANALYSIS_JOB_TTL_MINUTES, 10) || 15) * 60 * 1000,
+    maxConcurrent: parseInt(process.env.ANALYSIS_JOB_CONCURRENCY, 10) || 2,
+    maxJobs: parseInt(process.env.ANALYSIS_JOB_MAX, 10) || 100
+});
+
+app.post('/api/analyze/jobs', limitAnalyzeRequests, parseMultipartImage, (req, res) => {
+    try {
+        const validation = validateAnalyzeRequest(req, res);
+        if (!validation.valid) {
+            return res.status(validation.status).json({ error: validation.error });
         }
 
-        // Reduce product payload to shape expected by the frontend
-        const reducedProducts = topProducts.map(p => {
-            // Clean and normalize ingredients (remove escaped quotes)
-            const cleanedIngredients = (p.ingredients || []).map(ing => {
-                if (typeof ing === 'string') {
-                    return ing.replace(/^['"]|['"]$/g, '').trim();
+        // Jobs run after the request is answered, so they carry its context along
+        const context = { requestId: req.id, tenant: req.tenant.id };
+        const job = analysisJobs.submit(({ jobId, onStage, signal }) =>
+            runWithLogContext({ ...context, jobId }, () => runAnalysis(validation.input, { onStage, signal })).catch(error => {
+                if (!error.status && !error.cancelled) {
+                    logger.error('Analysis job error', { ...context, jobId, error });
                 }
-                return ing;
-            }).filter(Boolean);
+                throw error;
+            }),
+            { tenantId: req.tenant.id }
+        );
+        logger.info('Analysis job queued', { jobId: job.id });
+        res.status(202).location(`/api/analyze/jobs/${job.id}`).json({ success: true, job });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Analysis job error', { error });
+        res.status(500).json({ error: 'Failed to start analysis job' });
+    }
+});
+
+app.get('/api/analyze/jobs/:jobId', (req, res) => {
+    const job = analysisJobs.get(req.params.jobId, req.tenant.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    res.json({ success: true, job });
+});
+
+app.delete('/api/analyze/jobs/:jobId', (req, res) => {
+    try {
+        const job = analysisJobs.cancel(req.params.jobId, req.tenant.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or expired' });
+        }
+        logger.info('Analysis job cancelled', { jobId: job.id });
+        res.json({ success: true, job });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Cancel job error', { error });
+        res.status(500).json({ error: 'Failed to cancel analysis job' });
+    }
+});
+
+// Streaming analysis - same input as /api/analyze, answered with server-sent events as
+// each part of the result is ready:
+//   stage          { stage }                                   - a stage started
+//   faceValidation { isValid, message, imageQuality }
+//   skinAnalysis   { skinAnalysis }
+//   products       { skinType, conditionWeights, products, interactions, totalFound }
+//   suggestions    { suggestions }
+//   summary        { success, detectedConditions, skinType, productCount, totalFound, suggestionCount, durationMs }
+//   error          { code, status, message, ...details }       - always the last event
+const SSE_HEARTBEAT_INTERVAL = 15 * 1000;
+
+function validationErrorCode(status) {
+    return status === 415 ? 'unsupported_image_format' : 'invalid_request';
+}
+
+app.post('/api/analyze/stream', limitAnalyzeRequests, parseMultipartImage, async (req, res) => {
+    const startedAt = Date.now();
+    let heartbeat = null;
+
+    // Headers are sent once the request is validated, because validation can still set
+    // response headers (Wishlist-Session); an early validation error opens the stream itself
+    function openStream() {
+        if (res.headersSent) return;
+        // no-transform keeps the compression middleware from buffering events;
+        // X-Accel-Buffering does the same for nginx
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Comment lines keep idle connections open through proxies while the AI is busy
+        heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+    }
+
+    let eventId = 0;
+    function send(event, data) {
+        if (res.writableEnded) return;
+        openStream();
+        res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Stop working for a client that went away
+    const controller = new AbortController();
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            logger.info('Streaming client disconnected, cancelling analysis');
+            controller.abort();
+        }
+    });
+
+    try {
+        const validation = validateAnalyzeRequest(req, res);
+        if (!validation.valid) {
+            send('error', { code: validationErrorCode(validation.status), status: validation.status, message: validation.error });
+            return res.end();
+        }
+        openStream();
+
+        const result = await runAnalysis(validation.input, {
+            onStage: stage => send('stage', { stage }),
+            onResult: send,
+            signal: controller.signal
+        });
+
+        send('summary', {
+            success: true,
+            detectedConditions: result.skinAnalysis.detectedConditions || [],
+            skinType: result.skinType,
+            productCount: result.products.length,
+            totalFound: result.totalFound,
+            suggestionCount: result.suggestions.length,
+            durationMs: Date.now() - startedAt
+        });
+        res.end();
+
+    } catch (error) {
+        if (error.cancelled) return;
+        if (error.status) {
+            send('error', { code: error.code, status: error.status, message: error.message, ...error.details });
+        } else {
+            logger.error('Streaming analysis error', { error });
+            send('error', { code: 'internal_error', status: 500, message: 'Failed to analyze and fetch products' });
+        }
+        res.end();
+    }
+});
+
+// Build an AM/PM routine (cleanser, treatment, moisturizer, SPF) within a total budget
+app.post('/api/routine', async (req, res) => {
+    try {
+        const { conditions, totalBudget, description, skinType, zones } = req.body;
+
+        const conditionsValidation = validateConditions(conditions);
+        if (!conditionsValidation.valid) {
+            return res.status(400).json({ error: conditionsValidation.error });
+        }
+        const totalBudgetValidation = validateTotalBudget(totalBudget);
+        if (!totalBudgetValidation.valid) {
+            return res.status(400).json({ error: totalBudgetValidation.error });
+        }
+        const descriptionValidation = validateDescription(description);
+        if (!descriptionValidation.valid) {
+            return res.status(400).json({ error: descriptionValidation.error });
+        }
+        const skinTypeValidation = validateSkinType(skinType);
+        if (!skinTypeValidation.valid) {
+            return res.status(400).json({ error: skinTypeValidation.error });
+        }
+        const skinTypeFactor = skinType ? { skinType, weight: 1 } : null;
+
+        // Optional per-zone analysis (skinAnalysis.zones from /api/analyze) for targeting
+        let zoneCoverage = {};
+        if (zones !== undefined) {
+            const zonesResult = normalizeZones(zones);
+            if (zonesResult.errors.length > 0) {
+                return res.status(400).json({ error: `Invalid zones: ${zonesResult.errors.join('; ')}` });
+            }
+            zoneCoverage = getConditionCoverage(zonesResult.zones);
+        }
 
-            const imagesArr = (p.images || []).map(img => {
-                if (!img) return null;
-                if (typeof img === 'string') return { src: img };
-                return { src: img.src || img.url || img.thumbnail || '' };
-            }).filter(Boolean);
+        let catalog;
+        try {
+            catalog = await req.tenant.catalogSync.getSnapshot();
+        } catch (error) {
+            logger.warn('Catalog snapshot unavailable', { error });
+            return res.status(503).json({ error: 'Product catalog is not available yet. Please try again shortly' });
+        }
+
+        logger.info('Building routine', { conditions, totalBudget, description });
+        const startTime = Date.now();
 
-            const firstImage = imagesArr.length > 0 ? (imagesArr[0].src || '') : (p.image || '');
+        const knowledgeBase = req.tenant.getKnowledgeBase();
+        const { results: scoreResults } = await scoreProducts(req.tenant, catalog.products, conditions, description, skinTypeFactor);
+        const scored = catalog.products.map((product, index) => ({
+            product,
+            matchScore: scoreResults[index].score,
+            ingredientSet: getProductIngredients(product).ingredientSet
+        }));
+
+        const activeTerms = (knowledgeBase.interactionRules || [])
+            .flatMap(rule => rule.type === 'stack' ? rule.ingredients : [...rule.a, ...rule.b]);
+        const shortlists = buildShortlists(scored, {
+            relevantCategories: getRelevantCategories(conditions),
+            activeTerms,
+            matchScore: (ingredientSet, term) => hasIngredient(ingredientSet, term, true, knowledgeBase.synonyms)
+        });
 
+        // Low-severity interactions are reported but don't block a pairing
+        const toInteractionProduct = candidate => ({
+            id: candidate.id,
+            name: candidate.product.name,
+            ingredientSet: candidate.ingredientSet
+        });
+        const { picks, totalPrice } = selectRoutine(shortlists, totalBudget, (a, b) =>
+            checkInteractions([toInteractionProduct(a), toInteractionProduct(b)], knowledgeBase)
+                .conflicts.some(conflict => conflict.severity !== 'low')
+        );
+
+        const layout = layoutRoutine(picks);
+        const toStep = ({ step, slot, candidate }) => {
+            const targeting = getProductTargeting(candidate.product, zoneCoverage, knowledgeBase, step);
             return {
-                id: p.id,
-                name: p.name || p.title || '',
-                price: p.price || p.regular_price || null,
-                matchScore: typeof p.matchScore === 'number' ? p.matchScore : (p.match_score || 0),
-                categories: p.categories || p.category || [],
-                ingredients: cleanedIngredients,
-                permalink: p.permalink || p.url || p.link || '',
-                url: p.url || p.permalink || p.link || '',
-                images: imagesArr,
-                image: firstImage,
-                short_description: p.short_description || (p.description ? p.description.replace(/<[^>]+>/g, '').slice(0, 200) : ''),
-                rating: p.average_rating || p.rating || 0,
-                rating_count: p.rating_count || 0,
-                reviews_count: p.rating_count || 0
+                step,
+                slot,
+                ...(targeting ? { application: targeting.application, zones: targeting.zones } : {}),
+                product: reduceProduct({
+                    ...candidate.product,
+                    matchScore: candidate.matchScore,
+                    ingredients: extractIngredientList(candidate.product)
+                })
             };
+        };
+        const uniqueCandidates = routine => Array.from(
+            new Map(layout[routine].map(entry => [entry.candidate.id, toInteractionProduct(entry.candidate)])).values()
+        );
+
+        const missingSteps = ROUTINE_SLOTS
+            .filter(slot => !picks[slot.id])
+            .map(slot => ({
+                slot: slot.id,
+                reason: shortlists[slot.id].length === 0
+                    ? 'No matching products in the catalog'
+                    : 'Nothing fits the remaining budget without conflicts'
+            }));
+
+        logger.info('Routine built', {
+            durationMs: Date.now() - startTime,
+            slotsFilled: ROUTINE_SLOTS.length - missingSteps.length,
+            slots: ROUTINE_SLOTS.length,
+            totalPrice
         });
 
         res.json({
             success: true,
-            skinAnalysis: finalAnalysis,
-            products: reducedProducts,
-            suggestions,
-            totalFound: allProducts.length
+            conditions,
+            skinType: skinType || null,
+            totalBudget,
+            ...(req.tenant.currency ? { currency: req.tenant.currency } : {}),
+            totalPrice,
+            remainingBudget: Math.round((totalBudget - totalPrice) * 100) / 100,
+            routine: {
+                am: layout.am.map(toStep),
+                pm: layout.pm.map(toStep)
+            },
+            missingSteps,
+            interactions: {
+                am: checkInteractions(uniqueCandidates('am'), knowledgeBase),
+                pm: checkInteractions(uniqueCandidates('pm'), knowledgeBase)
+            }
         });
 
     } catch (error) {
-        console.error('Analysis error:', error);
-        res.status(500).json({ error: 'Failed to analyze and fetch products' });
+        logger.error('Routine error', { error });
+        res.status(500).json({ error: 'Failed to build routine' });
+    }
+});
+
+// Cart helpers
+function validateQuantity(quantity) {
+    if (quantity === undefined) {
+        return { valid: true }; // Defaults to 1
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+        return { valid: false, error: 'Quantity must be a whole number between 1 and 99' };
+    }
+    return { valid: true };
+}
+
+// Send a cart result, handing the (possibly new) token back to the client
+// (a local cart has no token until its first item is added)
+function sendCart(res, result, message) {
+    if (result.token) res.set('Cart-Token', result.token);
+    res.json({
+        success: true,
+        ...(message ? { message } : {}),
+        cartToken: result.token,
+        cart: result.cart
+    });
+}
+
+// Map Store API / provider errors to a client response
+function handleCartError(res, error, fallbackMessage) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message;
+    logger.error(fallbackMessage, { error, wooCommerceError: message });
+    if (status >= 400 && status < 500) {
+        return res.status(status).json({ error: message || fallbackMessage });
+    }
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// Get cart contents and totals
+app.get('/api/cart', async (req, res) => {
+    try {
+        const result = await req.tenant.cartProvider.getCart(req.get('Cart-Token'));
+        sendCart(res, result);
+    } catch (error) {
+        handleCartError(res, error, 'Failed to load cart');
     }
 });
 
 // Add to Cart endpoint
 app.post('/api/cart/add', async (req, res) => {
     try {
-        const { productId } = req.body;
+        const { productId, variationId, variation, quantity } = req.body;
+
+        const id = parseInt(productId, 10);
+        if (!id) {
+            return res.status(400).json({ error: 'productId is required' });
+        }
+        const quantityValidation = validateQuantity(quantity);
+        if (!quantityValidation.valid) {
+            return res.status(400).json({ error: quantityValidation.error });
+        }
+        if (variation !== undefined && !Array.isArray(variation)) {
+            return res.status(400).json({ error: 'Variation must be an array of { attribute, value }' });
+        }
+
+        // Make sure the product (and variation) is actually in the catalog
+        const product = req.tenant.catalogSync.getProduct(id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (product.type === 'variable' && !variationId) {
+            return res.status(400).json({ error: 'variationId is required for variable products' });
+        }
+        if (variationId && !(product.variations || []).some(v => v.id === parseInt(variationId, 10))) {
+            return res.status(400).json({ error: 'Variation does not belong to this product' });
+        }
+
+        const result = await req.tenant.cartProvider.addItem(req.get('Cart-Token'), {
+            id: variationId ? parseInt(variationId, 10) : id,
+            quantity: quantity || 1,
+            variation
+        });
+        sendCart(res, result, 'Product added to cart');
+
+    } catch (error) {
+        handleCartError(res, error, 'Failed to add product to cart');
+    }
+});
 
-        // In a real implementation, you would:
-        // 1. Get or create a cart for the user (using session/cookie)
-        // 2. Add the product to WooCommerce cart via API
+// Update cart item quantity
+app.post('/api/cart/update', async (req, res) => {
+    try {
+        const { key, quantity } = req.body;
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Cart item key is required' });
+        }
+        if (quantity === undefined) {
+            return res.status(400).json({ error: 'Quantity is required' });
+        }
+        const quantityValidation = validateQuantity(quantity);
+        if (!quantityValidation.valid) {
+            return res.status(400).json({ error: quantityValidation.error });
+        }
 
-        // For now, return success (requires WooCommerce cart session management)
+        const result = await req.tenant.cartProvider.updateItem(req.get('Cart-Token'), key, quantity);
+        sendCart(res, result, 'Cart updated');
+    } catch (error) {
+        handleCartError(res, error, 'Failed to update cart');
+    }
+});
+
+// Remove cart item
+app.post('/api/cart/remove', async (req, res) => {
+    try {
+        const { key } = req.body;
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Cart item key is required' });
+        }
+
+        const result = await req.tenant.cartProvider.removeItem(req.get('Cart-Token'), key);
+        sendCart(res, result, 'Product removed from cart');
+    } catch (error) {
+        handleCartError(res, error, 'Failed to remove product from cart');
+    }
+});
+
+// Checkout redirect URL for the current cart
+app.get('/api/cart/checkout', async (req, res) => {
+    try {
+        const result = await req.tenant.cartProvider.getCart(req.get('Cart-Token'));
+        if (result.cart.items.length === 0) {
+            return res.status(400).json({ error: 'Cart is empty' });
+        }
+
+        res.set('Cart-Token', result.token);
         res.json({
             success: true,
-            message: 'Product added to cart'
+            cartToken: result.token,
+            checkoutUrl: buildCheckoutUrl(
+                req.tenant.config.woocommerce.url,
+                result.cart,
+                req.tenant.config.woocommerce.checkoutPath
+            )
         });
+    } catch (error) {
+        handleCartError(res, error, 'Failed to build checkout URL');
+    }
+});
 
+// Resolve the wishlist owner for a request
+// Signed WooCommerce customer ids win; otherwise an anonymous session id is used (and issued if missing)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function resolveWishlistOwner(req, res, { issueSession = true } = {}) {
+    const customerId = req.get('X-Customer-Id');
+    if (customerId) {
+        const signature = req.get('X-Customer-Signature');
+        if (!verifyCustomerSignature(customerId, signature, req.tenant.config.wishlistCustomerSecret)) {
+            return { error: 'Invalid customer signature' };
+        }
+        return { owner: `customer:${customerId}` };
+    }
+
+    let sessionId = req.get('Wishlist-Session');
+    if (!sessionId || !UUID_PATTERN.test(sessionId)) {
+        if (!issueSession) return { owner: null };
+        sessionId = crypto.randomUUID();
+    }
+    res.set('Wishlist-Session', sessionId);
+    return { owner: `session:${sessionId}`, sessionId };
+}
+
+// Enrich wishlist items with current product data from the tenant's catalog snapshot
+function enrichWishlist(tenant, items) {
+    return items.map(item => {
+        const product = tenant.catalogSync.getProduct(item.productId);
+        return {
+            productId: item.productId,
+            addedAt: item.addedAt,
+            lastMatchScore: item.lastMatchScore ?? null,
+            scoredConditions: item.scoredConditions || [],
+            scoredAt: item.scoredAt || null,
+            available: Boolean(product),
+            product: product
+                ? reduceProduct({ ...product, ingredients: extractIngredientList(product), matchScore: item.lastMatchScore })
+                : null
+        };
+    });
+}
+
+// Get wishlist
+app.get('/api/wishlist', async (req, res) => {
+    try {
+        const { owner, sessionId, error } = resolveWishlistOwner(req, res);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        const items = await req.tenant.wishlistStorage.list(owner);
+        res.json({
+            success: true,
+            ...(sessionId ? { sessionId } : {}),
+            items: enrichWishlist(req.tenant, items)
+        });
     } catch (error) {
-        console.error('Add to cart error:', error);
-        res.status(500).json({ error: 'Failed to add product to cart' });
+        logger.error('Get wishlist error', { error, wooCommerceError: error.response?.data?.message });
+        res.status(500).json({ error: 'Failed to load wishlist' });
     }
 });
 
 // Add to Wishlist endpoint
 app.post('/api/wishlist/add', async (req, res) => {
     try {
-        const { productId } = req.body;
+        const { productId, conditions } = req.body;
 
-        // In a real implementation with WooCommerce:
-        // Use a wishlist plugin API or custom implementation
-        // For example, YITH WooCommerce Wishlist has REST API endpoints
+        const id = parseInt(productId, 10);
+        if (!id) {
+            return res.status(400).json({ error: 'productId is required' });
+        }
+        const product = req.tenant.catalogSync.getProduct(id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const { owner, sessionId, error } = resolveWishlistOwner(req, res);
+        if (error) {
+            return res.status(401).json({ error });
+        }
 
+        const item = { productId: id, addedAt: new Date().toISOString() };
+
+        // Record the match score for the conditions the shopper was browsing with
+        if (conditions !== undefined) {
+            const conditionsValidation = validateConditions(conditions);
+            if (!conditionsValidation.valid) {
+                return res.status(400).json({ error: conditionsValidation.error });
+            }
+            const { results } = await scoreProducts(req.tenant, [product], [...conditions], '');
+            item.lastMatchScore = results[0].score;
+            item.scoredConditions = [...conditions].sort();
+            item.scoredAt = item.addedAt;
+        }
+
+        const items = await req.tenant.wishlistStorage.add(owner, item);
         res.json({
             success: true,
-            message: 'Product added to wishlist'
+            message: 'Product added to wishlist',
+            ...(sessionId ? { sessionId } : {}),
+            items: enrichWishlist(req.tenant, items)
         });
 
     } catch (error) {
-        console.error('Add to wishlist error:', error);
+        logger.error('Add to wishlist error', { error, wooCommerceError: error.response?.data?.message });
         res.status(500).json({ error: 'Failed to add to wishlist' });
     }
 });
@@ -1266,23 +2475,572 @@ app.post('/api/wishlist/remove', async (req, res) => {
     try {
         const { productId } = req.body;
 
+        const id = parseInt(productId, 10);
+        if (!id) {
+            return res.status(400).json({ error: 'productId is required' });
+        }
+
+        const { owner, sessionId, error } = resolveWishlistOwner(req, res);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        const items = await req.tenant.wishlistStorage.remove(owner, id);
         res.json({
             success: true,
-            message: 'Product removed from wishlist'
+            message: 'Product removed from wishlist',
+            ...(sessionId ? { sessionId } : {}),
+            items: enrichWishlist(req.tenant, items)
         });
 
     } catch (error) {
-        console.error('Remove from wishlist error:', error);
+        logger.error('Remove from wishlist error', { error, wooCommerceError: error.response?.data?.message });
         res.status(500).json({ error: 'Failed to remove from wishlist' });
     }
 });
 
+// Validate the product list for an interaction check
+// Entries are catalog products ({ productId }) or the shopper's own ({ name, ingredients })
+function validateInteractionProducts(products) {
+    if (!Array.isArray(products) || products.length < 2) {
+        return { valid: false, error: 'At least two products are required' };
+    }
+    if (products.length > 20) {
+        return { valid: false, error: 'Too many products. Maximum 20 allowed' };
+    }
+    for (const [index, entry] of products.entries()) {
+        if (!entry || typeof entry !== 'object') {
+            return { valid: false, error: `products[${index}] must be an object` };
+        }
+        if (entry.productId !== undefined) {
+            if (!parseInt(entry.productId, 10)) {
+                return { valid: false, error: `products[${index}].productId must be a product id` };
+            }
+            continue;
+        }
+        const { ingredients } = entry;
+        const isText = typeof ingredients === 'string' && ingredients.trim().length > 0;
+        const isList = Array.isArray(ingredients) && ingredients.length > 0 && ingredients.every(i => typeof i === 'string');
+        if (!isText && !isList) {
+            return { valid: false, error: `products[${index}] needs a productId or an ingredients list` };
+        }
+        if ((isText ? ingredients.length : ingredients.join(', ').length) > 10000) {
+            return { valid: false, error: `products[${index}].ingredients is too long (max 10000 characters)` };
+        }
+    }
+    return { valid: true };
+}
+
+// Check a shopper's own product list for ingredient conflicts
+app.post('/api/interactions/check', (req, res) => {
+    try {
+        const { products } = req.body;
+
+        const validation = validateInteractionProducts(products);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const checked = [];
+        for (const [index, entry] of products.entries()) {
+            if (entry.productId !== undefined) {
+                const product = req.tenant.catalogSync.getProduct(parseInt(entry.productId, 10));
+                if (!product) {
+                    return res.status(404).json({ error: `Product ${entry.productId} not found` });
+                }
+                checked.push({
+                    id: product.id,
+                    name: product.name,
+                    ingredientSet: getProductIngredients(product).ingredientSet
+                });
+            } else {
+                checked.push({
+                    id: null,
+                    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim().slice(0, 200) : `Product ${index + 1}`,
+                    ingredientSet: preprocessIngredients(entry.ingredients)
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            productsChecked: checked.length,
+            ...checkInteractions(checked, req.tenant.getKnowledgeBase())
+        });
+
+    } catch (error) {
+        logger.error('Interaction check error', { error });
+        res.status(500).json({ error: 'Failed to check ingredient interactions' });
+    }
+});
+
+// Admin guard - requires X-Admin-Key to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+    if (req.get('X-Admin-Key') !== adminKey) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    next();
+}
+
+// Catalog sync status endpoint
+app.get('/api/catalog/status', requireAdmin, (req, res) => {
+    const tenant = getAdminTenant(req);
+    if (!tenant) {
+        return res.status(404).json({ error: 'Unknown store' });
+    }
+    res.json({ success: true, tenant: tenant.id, catalog: tenant.catalogSync.getStatus() });
+});
+
+// Trigger a full catalog resync
+app.post('/api/catalog/sync', requireAdmin, async (req, res) => {
+    const tenant = getAdminTenant(req);
+    if (!tenant) {
+        return res.status(404).json({ error: 'Unknown store' });
+    }
+    try {
+        await tenant.catalogSync.sync();
+        res.json({ success: true, tenant: tenant.id, catalog: tenant.catalogSync.getStatus() });
+    } catch (error) {
+        res.status(502).json({ error: 'Catalog sync failed', details: tenant.catalogSync.getStatus().lastError });
+    }
+});
+
+// Tenants served by this deployment (no credentials)
+app.get('/api/admin/tenants', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        tenants: tenants.list().map(tenant => ({
+            id: tenant.id,
+            name: tenant.config.name,
+            hosts: tenant.config.hosts,
+            apiKeys: tenant.config.apiKeys.length,
+            storeUrl: tenant.config.woocommerce.url,
+            currency: tenant.currency || null,
+            budgetRanges: tenant.budgetRanges,
+            ingredientOverrides: Object.keys(tenant.config.ingredientOverrides || {}),
+            catalog: tenant.catalogSync.getStatus(),
+            caches: {
+                products: tenant.productCache.getStats(),
+                scores: tenant.scoreCache.getStats()
+            }
+        }))
+    });
+});
+
+// Map knowledge base errors to a client response
+function handleKnowledgeBaseError(res, error) {
+    if (error.validationErrors) {
+        return res.status(422).json({ error: error.message, details: error.validationErrors });
+    }
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Ingredient knowledge base error', { error });
+    res.status(500).json({ error: 'Failed to update ingredient knowledge base' });
+}
+
+// Who made an admin change (recorded in history)
+function getAdminActor(req) {
+    return req.get('X-Admin-User') || 'admin';
+}
+
+// Ingredient knowledge base admin API
+// Changes apply to the global knowledge base; ?tenant=<id> shows it with that tenant's overrides
+app.get('/api/admin/ingredients', requireAdmin, (req, res) => {
+    if (req.query.tenant) {
+        const tenant = tenants.get(String(req.query.tenant));
+        if (!tenant) {
+            return res.status(404).json({ error: 'Unknown store' });
+        }
+        return res.json({ success: true, tenant: tenant.id, knowledgeBase: tenant.getKnowledgeBase() });
+    }
+    res.json({ success: true, knowledgeBase: ingredientKnowledgeBase.get() });
+});
+
+app.get('/api/admin/ingredients/history', requireAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ success: true, history: ingredientKnowledgeBase.getHistory(limit) });
+});
+
+app.get('/api/admin/ingredients/conditions/:condition', requireAdmin, (req, res) => {
+    const conditionData = ingredientKnowledgeBase.get().conditions[req.params.condition];
+    if (!conditionData) {
+        return res.status(404).json({ error: `Unknown condition: ${req.params.condition}` });
+    }
+    res.json({ success: true, condition: req.params.condition, ...conditionData });
+});
+
+app.post('/api/admin/ingredients/conditions/:condition/:list', requireAdmin, (req, res) => {
+    try {
+        const { ingredient } = req.body;
+        if (!ingredient || typeof ingredient !== 'string') {
+            return res.status(400).json({ error: 'ingredient is required' });
+        }
+        const kb = ingredientKnowledgeBase.addIngredient(req.params.condition, req.params.list, ingredient, getAdminActor(req));
+        res.status(201).json({ success: true, version: kb.version, ...kb.conditions[req.params.condition] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.put('/api/admin/ingredients/conditions/:condition/:list/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const { ingredient } = req.body;
+        if (!ingredient || typeof ingredient !== 'string') {
+            return res.status(400).json({ error: 'ingredient is required' });
+        }
+        const kb = ingredientKnowledgeBase.renameIngredient(
+            req.params.condition, req.params.list, req.params.ingredient, ingredient, getAdminActor(req)
+        );
+        res.json({ success: true, version: kb.version, ...kb.conditions[req.params.condition] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.delete('/api/admin/ingredients/conditions/:condition/:list/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.removeIngredient(
+            req.params.condition, req.params.list, req.params.ingredient, getAdminActor(req)
+        );
+        res.json({ success: true, version: kb.version, ...kb.conditions[req.params.condition] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.put('/api/admin/ingredients/synonyms/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.setSynonyms(req.params.ingredient, req.body.synonyms, getAdminActor(req));
+        res.json({ success: true, version: kb.version, synonyms: kb.synonyms });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.delete('/api/admin/ingredients/synonyms/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.removeSynonyms(req.params.ingredient, getAdminActor(req));
+        res.json({ success: true, version: kb.version, synonyms: kb.synonyms });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+// Ingredient classes: fattyAlcohols, dryingAlcohols, onePercentMarkers
+app.post('/api/admin/ingredients/classes/:class', requireAdmin, (req, res) => {
+    try {
+        const { ingredient } = req.body;
+        if (!ingredient || typeof ingredient !== 'string') {
+            return res.status(400).json({ error: 'ingredient is required' });
+        }
+        const kb = ingredientKnowledgeBase.addClassIngredient(req.params.class, ingredient, getAdminActor(req));
+        res.status(201).json({ success: true, version: kb.version, [req.params.class]: kb[req.params.class] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.put('/api/admin/ingredients/classes/:class/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const { ingredient } = req.body;
+        if (!ingredient || typeof ingredient !== 'string') {
+            return res.status(400).json({ error: 'ingredient is required' });
+        }
+        const kb = ingredientKnowledgeBase.renameClassIngredient(
+            req.params.class, req.params.ingredient, ingredient, getAdminActor(req)
+        );
+        res.json({ success: true, version: kb.version, [req.params.class]: kb[req.params.class] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.delete('/api/admin/ingredients/classes/:class/:ingredient', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.removeClassIngredient(req.params.class, req.params.ingredient, getAdminActor(req));
+        res.json({ success: true, version: kb.version, [req.params.class]: kb[req.params.class] });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.put('/api/admin/ingredients/interaction-rules/:id', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.setInteractionRule(req.params.id, req.body, getAdminActor(req));
+        res.json({ success: true, version: kb.version, interactionRules: kb.interactionRules });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+app.delete('/api/admin/ingredients/interaction-rules/:id', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.removeInteractionRule(req.params.id, getAdminActor(req));
+        res.json({ success: true, version: kb.version, interactionRules: kb.interactionRules });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+// Hot reload after editing the store file by hand
+app.post('/api/admin/ingredients/reload', requireAdmin, (req, res) => {
+    try {
+        const kb = ingredientKnowledgeBase.load();
+        res.json({ success: true, version: kb.version });
+    } catch (error) {
+        handleKnowledgeBaseError(res, error);
+    }
+});
+
+// Score, product and category caches - hit/miss counters per tenant and the shared store
+const TENANT_CACHES = ['scores', 'products', 'categories'];
+
+function getTenantCaches(tenant) {
+    return { scores: tenant.scoreCache, products: tenant.productCache, categories: tenant.categoryCache };
+}
+
+// ?tenant= picks one tenant; all of them otherwise
+function getCacheTenants(req) {
+    if (!req.query.tenant) return tenants.list();
+    const tenant = tenants.get(String(req.query.tenant));
+    return tenant ? [tenant] : null;
+}
+
+app.get('/api/cache-stats', requireAdmin, async (req, res) => {
+    try {
+        const selected = getCacheTenants(req);
+        if (!selected) {
+            return res.status(404).json({ error: 'Unknown store' });
+        }
+
+        const { namespaces, ...store } = await cacheStore.getStats();
+        const caches = {};
+        selected.forEach(tenant => {
+            caches[tenant.id] = {};
+            Object.entries(getTenantCaches(tenant)).forEach(([name, cache]) => {
+                caches[tenant.id][name] = { ...cache.getStats(), ...namespaces?.[cache.namespace] };
+            });
+        });
+
+        res.json({ success: true, store, tenants: caches });
+    } catch (error) {
+        logger.error('Cache stats error', { error });
+        res.status(503).json({ error: 'Cache store is unavailable' });
+    }
+});
+
+// Flush caches - every tenant and cache by default, narrowed with ?tenant= and ?cache=
+app.post('/api/cache/flush', requireAdmin, async (req, res) => {
+    const selected = getCacheTenants(req);
+    if (!selected) {
+        return res.status(404).json({ error: 'Unknown store' });
+    }
+    const names = req.query.cache ? [String(req.query.cache)] : TENANT_CACHES;
+    if (!names.every(name => TENANT_CACHES.includes(name))) {
+        return res.status(400).json({ error: `cache must be one of: ${TENANT_CACHES.join(', ')}` });
+    }
+
+    const flushed = {};
+    for (const tenant of selected) {
+        const caches = getTenantCaches(tenant);
+        flushed[tenant.id] = {};
+        for (const name of names) {
+            flushed[tenant.id][name] = await caches[name].clear();
+        }
+    }
+    logger.info('Caches flushed', { caches: names, tenants: selected.map(tenant => tenant.id) });
+    res.json({ success: true, flushed });
+});
+
+// AI result cache - hit metrics and flush
+app.get('/api/admin/ai-cache', requireAdmin, (req, res) => {
+    res.json({ success: true, ...aiResultCache.getStats() });
+});
+
+app.delete('/api/admin/ai-cache', requireAdmin, (req, res) => {
+    const flushed = aiResultCache.flush();
+    logger.info('AI result cache flushed', { flushed });
+    res.json({ success: true, flushed });
+});
+
+// AI spend against the daily/monthly budgets
+app.get('/api/admin/ai-budget', requireAdmin, (req, res) => {
+    res.json({ success: true, ...aiBudget.getStatus() });
+});
+
+// Rate limiter counters for the analysis endpoints
+app.get('/api/admin/rate-limits', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        enabled: RATE_LIMIT_ENABLED,
+        ip: ipRateLimiter.getStats(),
+        apiKeys: { names: Array.from(API_KEYS.values()), ...apiKeyRateLimiter.getStats() }
+    });
+});
+
+// WooCommerce webhook receiver - live cache invalidation for products and categories
+app.post('/api/webhooks/woocommerce', async (req, res) => {
+    try {
+        // WooCommerce sends a form-encoded ping (not JSON) when a webhook is first saved
+        if (!req.rawBody) {
+            return res.json({ success: true, message: 'Webhook ping received' });
+        }
+
+        // The sending store names itself in X-WC-Webhook-Source
+        const tenant = tenants.findByStoreUrl(req.get('X-WC-Webhook-Source')) ||
+            tenants.resolve({ host: req.hostname });
+        if (!tenant) {
+            return res.status(404).json({ error: 'Unknown store' });
+        }
+        addLogContext({ tenant: tenant.id });
+
+        const secret = tenant.config.woocommerce.webhookSecret;
+        if (!secret) {
+            return res.status(503).json({ error: 'Webhook secret is not configured' });
+        }
+        if (!verifyWebhookSignature(req.rawBody, req.get('X-WC-Webhook-Signature'), secret)) {
+            logger.warn('Webhook signature verification failed');
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+
+        const topic = parseWebhookTopic(req.get('X-WC-Webhook-Topic'));
+        if (!topic) {
+            return res.json({ success: true, message: 'Webhook ping received' });
+        }
+
+        const payload = req.body || {};
+        logger.info('Webhook received', { topic: req.get('X-WC-Webhook-Topic') });
+
+        // Before the first snapshot (and with no sync running to replay onto) there is
+        // nothing to patch; the first full sync picks the change up
+        const { version: catalogVersion, syncing } = tenant.catalogSync.getStatus();
+        const catalogLoaded = catalogVersion > 0 || syncing;
+
+        if (topic.resource === 'product') {
+            // Variation updates arrive as their own product; patch the parent instead
+            const isVariation = payload.type === 'variation' || payload.parent_id > 0;
+            const productId = isVariation ? payload.parent_id : payload.id;
+            if (!productId) {
+                return res.status(400).json({ error: 'Webhook payload has no product id' });
+            }
+            if (!catalogLoaded) {
+                logger.info('Product change skipped, no catalog snapshot yet', { productId });
+                return res.json({ success: true, productId, action: 'skipped' });
+            }
+
+            let product = null;
+            if (topic.event === 'deleted') {
+                tenant.catalogSync.removeProduct(productId);
+            } else if (isVariation) {
+                product = await tenant.catalogSync.refreshProduct(productId);
+            } else {
+                product = await tenant.catalogSync.upsertProduct(payload);
+            }
+
+            const version = tenant.catalogSync.getStatus().version;
+            await patchProductCache(tenant, productId, product, version);
+            const evicted = await evictProductScores(tenant, productId);
+            logger.info(product ? 'Product patched' : 'Product removed', { productId, evictedScores: evicted });
+
+            return res.json({ success: true, productId, action: product ? 'patched' : 'removed' });
+        }
+
+        if (topic.resource === 'product_cat') {
+            // Action-style topics only carry the term id in "arg"
+            const categoryId = payload.id || parseInt(payload.arg, 10);
+            if (!categoryId) {
+                return res.status(400).json({ error: 'Webhook payload has no category id' });
+            }
+            if (!catalogLoaded) {
+                logger.info('Category change skipped, no catalog snapshot yet', { categoryId });
+                return res.json({ success: true, categoryId, action: 'skipped' });
+            }
+
+            if (topic.event === 'deleted') {
+                tenant.catalogSync.removeCategory(categoryId);
+            } else {
+                const category = payload.name
+                    ? payload
+                    : (await tenant.wooCommerce.get(`products/categories/${categoryId}`)).data;
+                tenant.catalogSync.upsertCategory(category);
+            }
+            await tenant.categoryCache.clear();
+            logger.info('Category cache cleared', { categoryId, event: topic.event });
+
+            return res.json({ success: true, categoryId, action: topic.event });
+        }
+
+        res.json({ success: true, message: `Ignored webhook topic ${topic.resource}.${topic.event}` });
+
+    } catch (error) {
+        logger.error('Webhook error', { error, wooCommerceError: error.response?.data?.message });
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', message: 'Skincare Analyzer API is running' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT} — API healthy at /api/health`);
+// Prometheus scrape endpoint - open unless METRICS_TOKEN is set, then it needs
+// Authorization: Bearer <token>
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    try {
+        res.set('Content-Type', metrics.contentType).send(await metrics.render());
+    } catch (error) {
+        logger.error('Metrics error', { error });
+        res.status(500).json({ error: 'Failed to render metrics' });
+    }
 });
+
+// Load the ingredient knowledge base (fails fast if the file is invalid or a tenant's
+// ingredient overrides don't merge into a valid knowledge base)
+ingredientKnowledgeBase.load();
+if (tenants.list().length > 1) {
+    logger.info('Serving tenants', { tenants: tenants.list().map(tenant => tenant.id) });
+}
+
+// Each tenant's last catalog snapshot, so requests can be served before the first sync
+tenants.list().forEach(tenant => tenant.catalogSync.loadSnapshot());
+
+// Background work and the listener - only when run as the server, so tests can load the app
+function start() {
+    // A cache store that can't be reached only costs cache misses, so this is a warning
+    cacheStore.getStats()
+        .then(stats => logger.info('Cache store ready', { backend: stats.backend, ...(stats.server ? { server: stats.server } : {}) }))
+        .catch(error => logger.warn('Cache store unavailable, running uncached', { error }));
+
+    // Keep every tenant's catalog fresh in the background
+    tenants.list().forEach(tenant => {
+        tenant.catalogSync.sync().catch(() => {
+            // already logged in catalogSync
+        });
+    });
+    setInterval(() => {
+        tenants.list().forEach(tenant => {
+            tenant.catalogSync.sync().catch(() => {});
+        });
+    }, CATALOG_SYNC_INTERVAL);
+
+    // Clean cache every 10 minutes
+    setInterval(cleanExpiredCache, 10 * 60 * 1000);
+
+    return app.listen(PORT, () => {
+        logger.info('Server running', { port: PORT, url: `http://localhost:${PORT}`, logLevel: logger.level });
+    });
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, tenants, start };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { consoleLogger } = require('./logger');
+
+// AI spend budget - daily and monthly caps in USD
+//
+// Cost is computed from the token counts each provider call reports (response.usage)
+// and the model's price list below. Totals are kept per UTC day and month in a small
+// JSON file, so a restart doesn't reset the month. When a cap is reached the caller
+// skips the AI steps (see trackSpend / check) until the period rolls over.
+// Calls already in flight when the cap is hit still complete, so spend can overshoot
+// by a few calls.
+
+// USD per 1M tokens; models are matched by the longest prefix of response.model
+// ("gpt-4o-2024-08-06" -> gpt-4o)
+const MODEL_PRICING = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'fixture': { input: 0, output: 0 }
+};
+
+// Unknown models are charged at the gpt-4o rate rather than for free
+const UNKNOWN_MODEL_PRICE = MODEL_PRICING['gpt-4o'];
+
+const KEEP_DAYS = 31;
+const KEEP_MONTHS = 12;
+
+function emptyTotals() {
+    return { cost: 0, calls: 0, promptTokens: 0, completionTokens: 0, byTask: {} };
+}
+
+function roundCost(cost) {
+    return Math.round(cost * 10000) / 10000;
+}
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+//   filePath      - where totals are kept
+//   dailyLimit    - USD per UTC day (null = no cap)
+//   monthlyLimit  - USD per UTC month (null = no cap)
+//   price         - { input, output } per 1M tokens for every model (self-hosted servers),
+//                   instead of MODEL_PRICING
+//   logger        - see services/logger.js
+function createAiBudget({ filePath, dailyLimit = null, monthlyLimit = null, price = null, logger = consoleLogger }) {
+    let totals = null;
+    const warnedModels = new Set();
+
+    function load() {
+        if (totals) return totals;
+        try {
+            totals = fs.existsSync(filePath)
+                ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+                : { days: {}, months: {} };
+        } catch (error) {
+            logger.error('AI budget load error', { error });
+            totals = { days: {}, months: {} };
+        }
+        return totals;
+    }
+
+    function persist() {
+        // Only recent periods are kept
+        Object.keys(totals.days).sort().slice(0, -KEEP_DAYS).forEach(key => delete totals.days[key]);
+        Object.keys(totals.months).sort().slice(0, -KEEP_MONTHS).forEach(key => delete totals.months[key]);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(totals));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function priceFor(model) {
+        if (price) return price;
+        const name = String(model || '');
+        const match = Object.keys(MODEL_PRICING)
+            .filter(prefix => name.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        if (match) return MODEL_PRICING[match];
+        if (!warnedModels.has(name)) {
+            warnedModels.add(name);
+            logger.warn('No price known for AI model, charging the gpt-4o rate', { model: name });
+        }
+        return UNKNOWN_MODEL_PRICE;
+    }
+
+    // USD cost of one call from its usage
+    function costOf(model, usage) {
+        const { input, output } = priceFor(model);
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+        return (promptTokens * input + completionTokens * output) / 1000000;
+    }
+
+    function add(entry, task, cost, usage) {
+        entry.cost += cost;
+        entry.calls++;
+        entry.promptTokens += usage?.prompt_tokens || 0;
+        entry.completionTokens += usage?.completion_tokens || 0;
+        if (!entry.byTask[task]) entry.byTask[task] = { calls: 0, cost: 0 };
+        entry.byTask[task].calls++;
+        entry.byTask[task].cost += cost;
+    }
+
+    // Record one provider call -> its cost in USD
+    function record(task, { model, usage }) {
+        const now = new Date();
+        const cost = costOf(model, usage);
+        const { days, months } = load();
+        if (!days[dayKey(now)]) days[dayKey(now)] = emptyTotals();
+        if (!months[monthKey(now)]) months[monthKey(now)] = emptyTotals();
+        add(days[dayKey(now)], task, cost, usage);
+        add(months[monthKey(now)], task, cost, usage);
+        // The call is already paid for: a write failure must not fail it, and the in-memory
+        // totals keep enforcing the caps until the next successful write
+        try {
+            persist();
+        } catch (error) {
+            logger.error('AI budget persist error', { error });
+        }
+        return cost;
+    }
+
+    function periods(now = new Date()) {
+        const { days, months } = load();
+        return [
+            {
+                period: 'daily',
+                limit: dailyLimit,
+                spent: days[dayKey(now)]?.cost || 0,
+                resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+            },
+            {
+                period: 'monthly',
+                limit: monthlyLimit,
+                spent: months[monthKey(now)]?.cost || 0,
+                resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+            }
+        ];
+    }
+
+    // { exhausted: false } or { exhausted: true, period, limit, spent, resetsAt }
+    function check() {
+        const reached = periods().find(entry => entry.limit !== null && entry.spent >= entry.limit);
+        if (!reached) return { exhausted: false };
+        return {
+            exhausted: true,
+            period: reached.period,
+            limit: reached.limit,
+            spent: roundCost(reached.spent),
+            resetsAt: reached.resetsAt.toISOString()
+        };
+    }
+
+    function summarize(entry) {
+        if (!entry) return emptyTotals();
+        const byTask = {};
+        Object.entries(entry.byTask).forEach(([task, taskTotals]) => {
+            byTask[task] = { calls: taskTotals.calls, cost: roundCost(taskTotals.cost) };
+        });
+        return { ...entry, cost: roundCost(entry.cost), byTask };
+    }
+
+    function getStatus() {
+        const now = new Date();
+        const { days, months } = load();
+        const budgets = {};
+        periods(now).forEach(({ period, limit, spent, resetsAt }) => {
+            budgets[period] = {
+                limit,
+                spent: roundCost(spent),
+                remaining: limit === null ? null : roundCost(Math.max(limit - spent, 0)),
+                resetsAt: resetsAt.toISOString()
+            };
+        });
+        return {
+            ...check(),
+            budgets,
+            today: summarize(days[dayKey(now)]),
+            thisMonth: summarize(months[monthKey(now)])
+        };
+    }
+
+    return { record, check, getStatus, costOf };
+}
+
+// Wrap a provider so every call's usage is recorded against the budget
+// onRecord(task, response, cost) sees every recorded call (metrics)
+function trackSpend(provider, budget, onRecord = () => {}) {
+    function tracked(task, method) {
+        return async (...args) => {
+            const response = await method(...args);
+            onRecord(task, response, budget.record(task, response));
+            return response;
+        };
+    }
+    return {
+        ...provider,
+        validateFace: tracked('faceValidation', provider.validateFace),
+        analyzeSkin: tracked('skinAnalysis', provider.analyzeSkin),
+        suggest: tracked('suggestions', provider.suggest)
+    };
+}
+
+module.exports = {
+    createAiBudget,
+    trackSpend,
+    MODEL_PRICING
+};
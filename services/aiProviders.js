@@ -0,0 +1,213 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+// Vision/LLM providers share one interface, one method per AI task:
+//   validateFace(imageData), analyzeSkin(imageData), suggest({ analysis, description })
+// imageData is base64 JPEG without the data: prefix. Each call resolves to
+// { content, model, usage } - the raw model text is parsed by the caller, so every
+// provider goes through the same JSON/text fallbacks.
+
+const AI_TASKS = ['faceValidation', 'skinAnalysis', 'suggestions'];
+
+const DEFAULT_PROMPTS = {
+    faceValidation: {
+        system: 'You are an image validator. Check if the uploaded image is a clear photo of a human face (selfie, front-facing face photo). Respond with ONLY a JSON object in this format: {"isHumanFace": true/false, "reason": "explanation"}',
+        user: 'Is this a clear photo of a human face? Respond with ONLY a JSON object: {"isHumanFace": true/false, "reason": "brief reason"}'
+    },
+    skinAnalysis: {
+        system: `You are a dermatology AI assistant. Analyze skin images and identify:
+1. Visible skin conditions (acne, dark spots, wrinkles, redness, large pores, uneven texture, dryness, oiliness, sensitivity)
+2. How severe each condition is (mild, moderate, severe) and how confident you are that it is present (0.0-1.0)
+3. Skin type (oily, dry, combination, sensitive, normal)
+4. Overall skin health assessment
+5. Specific concerns visible in the image
+6. Where each condition appears, by facial zone: forehead, t-zone (nose and between the brows), cheeks, chin
+
+IMPORTANT: You MUST respond with ONLY a valid JSON object, no markdown formatting, no code blocks, no extra text. The response must be parseable JSON.
+
+Return a JSON object with this exact structure:
+{
+  "detectedConditions": [
+    { "name": "acne", "severity": "moderate", "confidence": 0.9 },
+    { "name": "oily", "severity": "mild", "confidence": 0.7 }
+  ],
+  "skinType": "combination",
+  "confidence": 0.85,
+  "observations": ["Visible acne lesions", "Oily T-zone"],
+  "recommendations": ["Use salicylic acid cleanser", "Apply niacinamide serum"],
+  "zones": [
+    { "zone": "t-zone", "conditions": [{ "name": "oily", "severity": "moderate", "confidence": 0.8 }] },
+    { "zone": "chin", "conditions": [{ "name": "acne", "severity": "moderate", "confidence": 0.9 }] },
+    { "zone": "cheeks", "conditions": [] }
+  ]
+}`,
+        user: 'Analyze this skin image and provide a detailed assessment. Focus on identifying skin conditions, skin type, and any visible concerns. Respond with ONLY a valid JSON object in this format: {"detectedConditions": [{"name": "", "severity": "mild|moderate|severe", "confidence": 0.0}], "skinType": "", "confidence": 0.0, "observations": [], "recommendations": [], "zones": [{"zone": "forehead|t-zone|cheeks|chin", "conditions": [{"name": "", "severity": "mild|moderate|severe", "confidence": 0.0}]}]}. Do not use markdown code blocks or any formatting.'
+    },
+    suggestions: {
+        system: 'You are a dermatology assistant. Given a skin analysis JSON and optional user description, produce up to 6 concise, practical diet and lifestyle suggestions tailored to the detected skin conditions and skin type. Keep suggestions short (one sentence each).',
+        // {{analysis}} and {{description}} are filled in per request
+        user: 'Analysis: {{analysis}}\nUser description: "{{description}}"\n\nProvide suggestions as a simple list, one per line.'
+    }
+};
+
+const DEFAULT_OPTIONS = {
+    faceValidation: { maxTokens: 100, temperature: 0.1 },
+    skinAnalysis: { maxTokens: 500, temperature: 0.3 },
+    suggestions: { maxTokens: 300, temperature: 0.2 }
+};
+
+function fillTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Merge per-provider overrides ({ models, prompts, options }) over the defaults
+function resolveTaskConfig(overrides = {}, defaultModel) {
+    const tasks = {};
+    AI_TASKS.forEach(task => {
+        tasks[task] = {
+            model: overrides.models?.[task] || overrides.model || defaultModel,
+            prompts: { ...DEFAULT_PROMPTS[task], ...overrides.prompts?.[task] },
+            ...DEFAULT_OPTIONS[task],
+            ...overrides.options?.[task]
+        };
+    });
+    return tasks;
+}
+
+// OpenAI chat completions - also used for OpenAI-compatible servers via baseURL
+// jsonMode sends response_format json_object for skin analysis; many self-hosted
+// servers reject it, so it is off by default for them
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, jsonMode = true, defaultModel = 'gpt-4o', config }) {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+    const tasks = resolveTaskConfig(config, defaultModel);
+
+    async function complete(task, messages, extra = {}) {
+        const { model, maxTokens, temperature } = tasks[task];
+        const response = await client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...extra
+        });
+        return {
+            content: response.choices?.[0]?.message?.content || '',
+            model: response.model || model,
+            usage: response.usage || null
+        };
+    }
+
+    function imageMessages(task, imageData) {
+        const { prompts } = tasks[task];
+        return [
+            { role: 'system', content: prompts.system },
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompts.user },
+                    { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageData}` } }
+                ]
+            }
+        ];
+    }
+
+    return {
+        name,
+        validateFace: imageData => complete('faceValidation', imageMessages('faceValidation', imageData)),
+        analyzeSkin: imageData => complete(
+            'skinAnalysis',
+            imageMessages('skinAnalysis', imageData),
+            jsonMode ? { response_format: { type: 'json_object' } } : {}
+        ),
+        suggest: ({ analysis, description }) => {
+            const { prompts } = tasks.suggestions;
+            return complete('suggestions', [
+                { role: 'system', content: prompts.system },
+                {
+                    role: 'user',
+                    content: fillTemplate(prompts.user, {
+                        analysis: JSON.stringify(analysis),
+                        description: (description || '').replace(/"/g, "'")
+                    })
+                }
+            ]);
+        }
+    };
+}
+
+// Deterministic fixture provider for staging and tests - no network, no cost
+// Fixtures are raw model outputs per task; one is picked by hashing the input,
+// so the same image always gets the same answer
+function createFixtureProvider({ fixturesPath }) {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    AI_TASKS.forEach(task => {
+        if (!Array.isArray(fixtures[task]) || fixtures[task].length === 0) {
+            throw new Error(`AI fixtures file ${fixturesPath} needs a non-empty "${task}" array`);
+        }
+    });
+
+    function pick(task, input) {
+        const options = fixtures[task];
+        const hash = crypto.createHash('sha256').update(String(input)).digest();
+        const entry = options[hash.readUInt32BE(0) % options.length];
+        return {
+            content: typeof entry === 'string' ? entry : JSON.stringify(entry),
+            model: 'fixture',
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        };
+    }
+
+    return {
+        name: 'fixture',
+        validateFace: async imageData => pick('faceValidation', imageData),
+        analyzeSkin: async imageData => pick('skinAnalysis', imageData),
+        suggest: async ({ analysis, description }) => pick('suggestions', JSON.stringify({ analysis, description }))
+    };
+}
+
+function readProviderConfig(configPath, providerName) {
+    if (!configPath) return {};
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return config[providerName] || {};
+}
+
+// Pick the provider from the environment (null when AI is not configured)
+//   AI_PROVIDER=openai             - API_KEY
+//   AI_PROVIDER=openai-compatible  - AI_BASE_URL, AI_API_KEY (optional), AI_JSON_MODE
+//   AI_PROVIDER=fixture            - AI_FIXTURES_PATH
+// Without AI_PROVIDER, OpenAI is used when API_KEY is set (previous behaviour)
+function createAiProviderFromEnv(env, { defaultFixturesPath }) {
+    const providerName = env.AI_PROVIDER || (env.API_KEY ? 'openai' : null);
+    if (!providerName) return null;
+
+    const config = readProviderConfig(env.AI_PROVIDER_CONFIG_PATH, providerName);
+    if (env.AI_MODEL) config.model = env.AI_MODEL;
+
+    switch (providerName) {
+        case 'openai':
+            if (!env.API_KEY) throw new Error('AI_PROVIDER=openai requires API_KEY');
+            return createOpenAIProvider({ apiKey: env.API_KEY, config });
+        case 'openai-compatible':
+            if (!env.AI_BASE_URL) throw new Error('AI_PROVIDER=openai-compatible requires AI_BASE_URL');
+            return createOpenAIProvider({
+                name: 'openai-compatible',
+                apiKey: env.AI_API_KEY || env.API_KEY || 'not-needed',
+                baseURL: env.AI_BASE_URL,
+                jsonMode: env.AI_JSON_MODE === 'true',
+                config
+            });
+        case 'fixture':
+            return createFixtureProvider({ fixturesPath: env.AI_FIXTURES_PATH || defaultFixturesPath });
+        default:
+            throw new Error(`Unknown AI_PROVIDER "${providerName}". Use openai, openai-compatible or fixture`);
+    }
+}
+
+module.exports = {
+    createOpenAIProvider,
+    createFixtureProvider,
+    createAiProviderFromEnv,
+    DEFAULT_PROMPTS,
+    AI_TASKS
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Cache for AI face validation and skin analysis results
+//
+// Keyed by a fingerprint of the optimizeImage output, so resubmitting the same selfie
+// with a different budget or condition set skips the AI calls. Only hashes and results
+// are kept - never pixels:
+//   contentHash    - sha256 of the optimized JPEG (exact resubmissions)
+//   perceptualHash - 64-bit difference hash (dHash) that survives re-encoding and resizing;
+//                    a hit needs a Hamming distance <= maxPerceptualDistance (0, the
+//                    default, turns near matches off)
+
+// Fingerprint an optimized image buffer
+async function computeImageFingerprint(imageBuffer) {
+    const contentHash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+
+    // dHash: 9x8 grayscale, one bit per horizontal neighbour comparison
+    const pixels = await sharp(imageBuffer)
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+
+    return { contentHash, perceptualHash: hash.toString(16).padStart(16, '0') };
+}
+
+function countBits(value) {
+    let count = 0;
+    while (value > 0n) {
+        count += Number(value & 1n);
+        value >>= 1n;
+    }
+    return count;
+}
+
+function hammingDistance(a, b) {
+    return countBits(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+}
+
+// Flat or nearly flat images hash to (almost) all zeros or ones and would match
+// each other, so they only ever get exact hits
+const MIN_DISTINCT_BITS = 8;
+
+function isDistinctive(perceptualHash) {
+    const bits = countBits(BigInt(`0x${perceptualHash}`));
+    return bits >= MIN_DISTINCT_BITS && bits <= 64 - MIN_DISTINCT_BITS;
+}
+
+// In-memory result cache with a TTL; the oldest entries are evicted past maxEntries
+// namespace separates providers (a fixture answer must never be served as an OpenAI one)
+function createAiResultCache({ ttl, maxEntries = 5000, maxPerceptualDistance = 0 }) {
+    const entries = new Map();
+    const stats = new Map();
+
+    function statsFor(task) {
+        if (!stats.has(task)) {
+            stats.set(task, { hits: 0, perceptualHits: 0, misses: 0, stores: 0, evictions: 0, expired: 0 });
+        }
+        return stats.get(task);
+    }
+
+    function isExpired(entry) {
+        return Date.now() >= entry.expiresAt;
+    }
+
+    // Returns { result, match: 'exact' | 'perceptual' } or null
+    function get(task, namespace, fingerprint) {
+        const taskStats = statsFor(task);
+        const prefix = `${namespace}:${task}:`;
+
+        const exact = entries.get(prefix + fingerprint.contentHash);
+        if (exact && !isExpired(exact)) {
+            taskStats.hits++;
+            return { result: exact.result, match: 'exact' };
+        }
+
+        if (maxPerceptualDistance > 0 && isDistinctive(fingerprint.perceptualHash)) {
+            for (const [key, entry] of entries.entries()) {
+                if (!key.startsWith(prefix) || isExpired(entry)) continue;
+                if (hammingDistance(entry.perceptualHash, fingerprint.perceptualHash) <= maxPerceptualDistance) {
+                    taskStats.perceptualHits++;
+                    return { result: entry.result, match: 'perceptual' };
+                }
+            }
+        }
+
+        taskStats.misses++;
+        return null;
+    }
+
+    function set(task, namespace, fingerprint, result) {
+        const key = `${namespace}:${task}:${fingerprint.contentHash}`;
+        entries.delete(key); // Re-insert so it becomes the newest
+        entries.set(key, {
+            perceptualHash: fingerprint.perceptualHash,
+            result,
+            expiresAt: Date.now() + ttl
+        });
+        statsFor(task).stores++;
+
+        while (entries.size > maxEntries) {
+            const oldestKey = entries.keys().next().value;
+            entries.delete(oldestKey);
+            statsFor(oldestKey.split(':')[1]).evictions++;
+        }
+    }
+
+    function cleanExpired() {
+        let cleaned = 0;
+        for (const [key, entry] of entries.entries()) {
+            if (isExpired(entry)) {
+                entries.delete(key);
+                statsFor(key.split(':')[1]).expired++;
+                cleaned++;
+            }
+        }
+        return cleaned;
+    }
+
+    function getStats() {
+        const tasks = {};
+        stats.forEach((taskStats, task) => {
+            const lookups = taskStats.hits + taskStats.perceptualHits + taskStats.misses;
+            tasks[task] = {
+                ...taskStats,
+                hitRate: lookups > 0 ? Math.round(((taskStats.hits + taskStats.perceptualHits) / lookups) * 1000) / 10 : 0
+            };
+        });
+        return {
+            size: entries.size,
+            maxEntries,
+            ttlMinutes: Math.round(ttl / 60000),
+            maxPerceptualDistance,
+            tasks
+        };
+    }
+
+    function flush() {
+        const size = entries.size;
+        entries.clear();
+        return size;
+    }
+
+    return { get, set, cleanExpired, getStats, flush };
+}
+
+module.exports = {
+    createAiResultCache,
+    computeImageFingerprint,
+    hammingDistance
+};
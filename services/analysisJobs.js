@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+
+// In-memory queue for long-running analysis jobs
+//
+// A job runs `run({ jobId, onStage, signal })` and reports progress through its stages.
+// At most maxConcurrent jobs run at once; the rest wait in submission order.
+// Finished jobs (completed, failed, cancelled) are kept for `ttl` so the client can
+// collect the result, then dropped. A job still unfinished `ttl` after submission is
+// treated as stuck: it is cancelled and dropped too.
+// Jobs belong to the tenant that submitted them; other tenants can't see or cancel them.
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function createJobQueue({ stages, ttl, maxConcurrent = 2, maxJobs = 100 }) {
+    const jobs = new Map();
+    const waiting = [];
+    let running = 0;
+
+    function toIso(timestamp) {
+        return timestamp ? new Date(timestamp).toISOString() : null;
+    }
+
+    // Public view of a job - never includes the request input
+    function view(job) {
+        const done = job.stages.filter(stage => stage.status === 'done').length;
+        return {
+            id: job.id,
+            status: job.status,
+            stage: job.stage,
+            progress: Math.round((done / job.stages.length) * 100),
+            stages: job.stages.map(stage => ({
+                name: stage.name,
+                status: stage.status,
+                startedAt: toIso(stage.startedAt),
+                completedAt: toIso(stage.completedAt)
+            })),
+            createdAt: toIso(job.createdAt),
+            updatedAt: toIso(job.updatedAt),
+            finishedAt: toIso(job.finishedAt),
+            expiresAt: toIso(job.expiresAt),
+            ...(job.status === 'queued' ? { queuePosition: waiting.indexOf(job) + 1 } : {}),
+            ...(job.result ? { result: job.result } : {}),
+            ...(job.error ? { error: job.error } : {})
+        };
+    }
+
+    function isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    function setStage(job, name) {
+        if (isFinished(job)) return;
+        const now = Date.now();
+        job.stages.forEach(stage => {
+            if (stage.status === 'running') {
+                stage.status = 'done';
+                stage.completedAt = now;
+            }
+        });
+        const stage = job.stages.find(entry => entry.name === name);
+        if (stage) {
+            stage.status = 'running';
+            stage.startedAt = now;
+        }
+        job.stage = name;
+        job.updatedAt = now;
+    }
+
+    function finish(job, status) {
+        const now = Date.now();
+        job.stages.forEach(stage => {
+            if (stage.status === 'running') {
+                stage.status = status === 'completed' ? 'done' : status;
+                stage.completedAt = now;
+            }
+        });
+        job.status = status;
+        job.updatedAt = now;
+        job.finishedAt = now;
+        job.expiresAt = now + ttl;
+        job.run = null; // Release the request input (image) for garbage collection
+    }
+
+    async function start(job) {
+        running++;
+        job.status = 'running';
+        job.updatedAt = Date.now();
+        try {
+            const result = await job.run({ jobId: job.id, onStage: name => setStage(job, name), signal: job.controller.signal });
+            if (!isFinished(job)) {
+                job.result = result;
+                finish(job, 'completed');
+            }
+        } catch (error) {
+            if (!isFinished(job)) {
+                job.error = error.status
+                    ? { status: error.status, message: error.message, ...error.details }
+                    : { status: 500, message: 'Analysis failed' };
+                finish(job, 'failed');
+            }
+        } finally {
+            running--;
+            pump();
+        }
+    }
+
+    function pump() {
+        while (running < maxConcurrent && waiting.length > 0) {
+            start(waiting.shift());
+        }
+    }
+
+    // Queue a job for a tenant -> its public view
+    function submit(run, { tenantId = null } = {}) {
+        if (jobs.size >= maxJobs) cleanExpired();
+        if (jobs.size >= maxJobs) {
+            throw Object.assign(new Error('Too many analysis jobs in progress. Please try again shortly'), { status: 503 });
+        }
+
+        const now = Date.now();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            stage: null,
+            stages: stages.map(name => ({ name, status: 'pending', startedAt: null, completedAt: null })),
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            expiresAt: now + ttl,
+            result: null,
+            error: null,
+            controller: new AbortController(),
+            tenantId,
+            run
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        const submitted = view(job);
+        // Start on the next tick so the submit response goes out first
+        setImmediate(pump);
+        return submitted;
+    }
+
+    // A job of another tenant is reported as missing, like an unknown id
+    function find(id, tenantId) {
+        const job = jobs.get(id);
+        if (!job || job.tenantId !== (tenantId ?? null)) return null;
+        if (Date.now() >= job.expiresAt) {
+            expire(job);
+            return null;
+        }
+        return job;
+    }
+
+    function get(id, tenantId) {
+        const job = find(id, tenantId);
+        return job ? view(job) : null;
+    }
+
+    // Cancel a queued or running job -> its view; null if unknown, throws 409 if finished
+    function cancel(id, tenantId) {
+        const job = find(id, tenantId);
+        if (!job) return null;
+        if (isFinished(job)) {
+            throw Object.assign(new Error(`Job is already ${job.status}`), { status: 409 });
+        }
+        const queuedAt = waiting.indexOf(job);
+        if (queuedAt !== -1) waiting.splice(queuedAt, 1);
+        job.controller.abort();
+        finish(job, 'cancelled');
+        return view(job);
+    }
+
+    function expire(job) {
+        if (!isFinished(job)) {
+            const queuedAt = waiting.indexOf(job);
+            if (queuedAt !== -1) waiting.splice(queuedAt, 1);
+            job.controller.abort();
+        }
+        jobs.delete(job.id);
+    }
+
+    function cleanExpired() {
+        const now = Date.now();
+        let cleaned = 0;
+        for (const job of Array.from(jobs.values())) {
+            if (now >= job.expiresAt) {
+                expire(job);
+                cleaned++;
+            }
+        }
+        return cleaned;
+    }
+
+    function getStats() {
+        const byStatus = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+        jobs.forEach(job => {
+            byStatus[job.status]++;
+        });
+        return { total: jobs.size, maxConcurrent, maxJobs, ttlMinutes: Math.round(ttl / 60000), ...byStatus };
+    }
+
+    return { submit, get, cancel, cleanExpired, getStats };
+}
+
+module.exports = {
+    createJobQueue
+};
@@ -0,0 +1,479 @@
+const net = require('net');
+const { consoleLogger } = require('./logger');
+
+// Cache stores for scores, budget-filtered products and categories
+//
+// A store holds JSON-serializable values under namespaced keys ("<tenant>:scores", ...)
+// with a TTL per entry. Every method is async so the in-process LRU and Redis are
+// interchangeable:
+//   memory - LRU bounded by entry count and by an estimate of memory used (the size of
+//            each value as JSON); lost on restart and private to the process. Values are
+//            kept as JSON like in Redis, so every read is a copy a caller can't corrupt
+//            the cache through
+//   redis  - any server speaking the Redis protocol; shared by every instance and kept
+//            across restarts. Eviction is the server's job (maxmemory-policy)
+//
+// createCache wraps a store for one namespace and counts hits and misses. A failing
+// store never fails a request: lookups count as misses and stores are dropped.
+
+// In-process LRU store
+function createMemoryCacheStore({ maxEntries = 50000, maxBytes = 256 * 1024 * 1024 }) {
+    const entries = new Map(); // namespace:key -> { namespace, json, bytes, expiresAt }, oldest first
+    const namespaceStats = new Map();
+    let totalBytes = 0;
+
+    function statsFor(namespace) {
+        if (!namespaceStats.has(namespace)) {
+            namespaceStats.set(namespace, { entries: 0, bytes: 0, evictions: 0, expired: 0 });
+        }
+        return namespaceStats.get(namespace);
+    }
+
+    function remove(fullKey, reason) {
+        const entry = entries.get(fullKey);
+        if (!entry) return false;
+        entries.delete(fullKey);
+        totalBytes -= entry.bytes;
+        const stats = statsFor(entry.namespace);
+        stats.entries--;
+        stats.bytes -= entry.bytes;
+        if (reason) stats[reason]++;
+        return true;
+    }
+
+    function read(namespace, key, now) {
+        const fullKey = `${namespace}:${key}`;
+        const entry = entries.get(fullKey);
+        if (!entry) return null;
+        if (now >= entry.expiresAt) {
+            remove(fullKey, 'expired');
+            return null;
+        }
+        // Re-insert so it becomes the most recently used
+        entries.delete(fullKey);
+        entries.set(fullKey, entry);
+        return JSON.parse(entry.json);
+    }
+
+    function write(namespace, { key, value, ttl }) {
+        const fullKey = `${namespace}:${key}`;
+        const json = JSON.stringify(value);
+        const bytes = Buffer.byteLength(json);
+        remove(fullKey);
+        if (bytes > maxBytes) return;
+
+        entries.set(fullKey, { namespace, json, bytes, expiresAt: Date.now() + ttl });
+        totalBytes += bytes;
+        const stats = statsFor(namespace);
+        stats.entries++;
+        stats.bytes += bytes;
+
+        while (entries.size > maxEntries || totalBytes > maxBytes) {
+            remove(entries.keys().next().value, 'evictions');
+        }
+    }
+
+    async function get(namespace, keys) {
+        const now = Date.now();
+        return keys.map(key => read(namespace, key, now));
+    }
+
+    // items: [{ key, value, ttl }]
+    async function set(namespace, items) {
+        items.forEach(item => write(namespace, item));
+    }
+
+    async function del(namespace, keys) {
+        return keys.filter(key => remove(`${namespace}:${key}`)).length;
+    }
+
+    async function deleteByPrefix(namespace, prefix) {
+        const fullPrefix = `${namespace}:${prefix}`;
+        let deleted = 0;
+        for (const fullKey of Array.from(entries.keys())) {
+            if (fullKey.startsWith(fullPrefix) && remove(fullKey)) deleted++;
+        }
+        return deleted;
+    }
+
+    function cleanExpired() {
+        const now = Date.now();
+        let cleaned = 0;
+        for (const [fullKey, entry] of Array.from(entries.entries())) {
+            if (now >= entry.expiresAt && remove(fullKey, 'expired')) cleaned++;
+        }
+        return cleaned;
+    }
+
+    async function getStats() {
+        const namespaces = {};
+        namespaceStats.forEach((stats, namespace) => {
+            namespaces[namespace] = { ...stats };
+        });
+        return {
+            backend: 'memory',
+            entries: entries.size,
+            maxEntries,
+            memoryBytes: totalBytes,
+            maxMemoryBytes: maxBytes,
+            evictions: Array.from(namespaceStats.values()).reduce((sum, stats) => sum + stats.evictions, 0),
+            namespaces
+        };
+    }
+
+    return {
+        backend: 'memory',
+        get,
+        set,
+        delete: del,
+        deleteByPrefix,
+        cleanExpired,
+        getStats,
+        close: async () => {}
+    };
+}
+
+// RESP encoding of one command
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return out;
+}
+
+// Parse one RESP reply from buffer at offset -> { value, offset } or null when incomplete
+// Error replies are returned as Error values
+function parseReply(buffer, offset) {
+    if (offset >= buffer.length) return null;
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+            const values = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                values.push(item.value);
+                position = item.offset;
+            }
+            return { value: values, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected reply type "${type}" from Redis`);
+    }
+}
+
+// Minimal Redis client - one pipelined connection, replies matched in order
+// Commands fail fast while the server is unreachable; a new connection is tried
+// on the next command once retryDelay has passed
+function createRedisConnection({ url, commandTimeout = 1000, retryDelay = 5000, logger = consoleLogger }) {
+    const target = new URL(url);
+    const host = target.hostname || '127.0.0.1';
+    const port = parseInt(target.port, 10) || 6379;
+    const password = target.password ? decodeURIComponent(target.password) : null;
+    const username = target.username ? decodeURIComponent(target.username) : null;
+    const db = parseInt(target.pathname.slice(1), 10) || 0;
+
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+    let lastFailure = 0;
+
+    function failAll(error) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+    }
+
+    function disconnect(error) {
+        if (socket) {
+            socket.destroy();
+            socket = null;
+        }
+        buffer = Buffer.alloc(0);
+        lastFailure = Date.now();
+        failAll(error);
+    }
+
+    function onData(chunk) {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+        let offset = 0;
+        let reply;
+        try {
+            while (pending.length > 0 && (reply = parseReply(buffer, offset))) {
+                offset = reply.offset;
+                const request = pending.shift();
+                clearTimeout(request.timer);
+                if (reply.value instanceof Error) request.reject(reply.value);
+                else request.resolve(reply.value);
+            }
+        } catch (error) {
+            return disconnect(error);
+        }
+        buffer = buffer.subarray(offset);
+    }
+
+    function connect() {
+        socket = net.createConnection({ host, port });
+        socket.setNoDelay(true);
+        socket.on('data', onData);
+        socket.on('error', error => {
+            logger.error('Redis connection error', { server: `${host}:${port}`, error });
+            disconnect(new Error(`Redis unavailable: ${error.message}`));
+        });
+        socket.on('close', () => {
+            if (socket) disconnect(new Error('Redis connection closed'));
+        });
+
+        // Queued ahead of any command, so nothing runs unauthenticated or on the wrong db
+        if (password) send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+        if (db) send(['SELECT', db]).catch(() => {});
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            const request = { resolve, reject };
+            request.timer = setTimeout(() => {
+                // A late reply would be matched to the wrong command, so start over
+                disconnect(new Error(`Redis command ${args[0]} timed out after ${commandTimeout}ms`));
+            }, commandTimeout);
+            pending.push(request);
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function command(...args) {
+        if (!socket) {
+            if (Date.now() - lastFailure < retryDelay) {
+                return Promise.reject(new Error(`Redis unavailable (${host}:${port})`));
+            }
+            connect();
+        }
+        return send(args);
+    }
+
+    function close() {
+        if (socket) {
+            socket.end();
+            socket = null;
+        }
+        failAll(new Error('Redis connection closed'));
+    }
+
+    return { command, close, address: `${host}:${port}${db ? `/${db}` : ''}` };
+}
+
+// Escape SCAN MATCH pattern characters
+function escapePattern(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// Values are stored as JSON strings with a PX expiry under keyPrefix + namespace:key
+function createRedisCacheStore({ url, keyPrefix = 'skincare:', commandTimeout = 1000, logger = consoleLogger }) {
+    const connection = createRedisConnection({ url, commandTimeout, logger });
+
+    function fullKey(namespace, key) {
+        return `${keyPrefix}${namespace}:${key}`;
+    }
+
+    async function get(namespace, keys) {
+        if (keys.length === 0) return [];
+        const values = await connection.command('MGET', ...keys.map(key => fullKey(namespace, key)));
+        return values.map(value => (value === null ? null : JSON.parse(value)));
+    }
+
+    // Pipelined on the one connection, so a batch costs a single round trip
+    async function set(namespace, items) {
+        await Promise.all(items.map(({ key, value, ttl }) =>
+            connection.command('SET', fullKey(namespace, key), JSON.stringify(value), 'PX', Math.max(Math.round(ttl), 1))
+        ));
+    }
+
+    async function del(namespace, keys) {
+        if (keys.length === 0) return 0;
+        return connection.command('DEL', ...keys.map(key => fullKey(namespace, key)));
+    }
+
+    async function deleteByPrefix(namespace, prefix) {
+        const pattern = `${escapePattern(fullKey(namespace, prefix))}*`;
+        let cursor = '0';
+        let deleted = 0;
+        do {
+            const [nextCursor, keys] = await connection.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+            if (keys.length > 0) deleted += await connection.command('DEL', ...keys);
+            cursor = nextCursor;
+        } while (cursor !== '0');
+        return deleted;
+    }
+
+    // Read "field:value" lines of an INFO section
+    function parseInfo(info) {
+        const fields = {};
+        String(info).split('\r\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0 && !line.startsWith('#')) fields[line.slice(0, index)] = line.slice(index + 1);
+        });
+        return fields;
+    }
+
+    async function getStats() {
+        const [keys, stats, memory] = await Promise.all([
+            connection.command('DBSIZE'),
+            connection.command('INFO', 'stats').then(parseInfo),
+            connection.command('INFO', 'memory').then(parseInfo)
+        ]);
+        const number = value => (value === undefined ? null : Number(value));
+        return {
+            backend: 'redis',
+            server: connection.address,
+            keyPrefix,
+            // Server-wide figures, including keys this service didn't write
+            entries: keys,
+            memoryBytes: number(memory.used_memory),
+            maxMemoryBytes: number(memory.maxmemory),
+            evictionPolicy: memory.maxmemory_policy || null,
+            evictions: number(stats.evicted_keys),
+            expired: number(stats.expired_keys)
+        };
+    }
+
+    return {
+        backend: 'redis',
+        get,
+        set,
+        delete: del,
+        deleteByPrefix,
+        // Redis expires keys itself
+        cleanExpired: () => 0,
+        getStats,
+        close: async () => connection.close()
+    };
+}
+
+// One namespace of a store with its own TTL and hit/miss counters
+function createCache({ store, namespace, ttl, logger = consoleLogger }) {
+    const stats = { hits: 0, misses: 0, sets: 0, deletes: 0, errors: 0 };
+
+    function failed(operation, error) {
+        stats.errors++;
+        logger.error(`Cache ${operation} error`, { namespace, error });
+    }
+
+    // Values in key order, null for misses
+    async function getMany(keys) {
+        try {
+            const values = await store.get(namespace, keys);
+            values.forEach(value => {
+                if (value === null) stats.misses++;
+                else stats.hits++;
+            });
+            return values;
+        } catch (error) {
+            failed('read', error);
+            stats.misses += keys.length;
+            return keys.map(() => null);
+        }
+    }
+
+    async function get(key) {
+        return (await getMany([key]))[0];
+    }
+
+    // items: [{ key, value, ttl? }]
+    async function setMany(items) {
+        if (items.length === 0) return;
+        try {
+            await store.set(namespace, items.map(item => ({ ...item, ttl: item.ttl || ttl })));
+            stats.sets += items.length;
+        } catch (error) {
+            failed('write', error);
+        }
+    }
+
+    async function set(key, value, entryTtl) {
+        return setMany([{ key, value, ttl: entryTtl }]);
+    }
+
+    async function remove(action, run) {
+        try {
+            const deleted = await run();
+            stats.deletes += deleted;
+            return deleted;
+        } catch (error) {
+            failed(action, error);
+            return 0;
+        }
+    }
+
+    function getStats() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            ...stats,
+            hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 10 : 0,
+            ttlSeconds: Math.round(ttl / 1000)
+        };
+    }
+
+    return {
+        namespace,
+        get,
+        getMany,
+        set,
+        setMany,
+        delete: key => remove('delete', () => store.delete(namespace, [key])),
+        deleteByPrefix: prefix => remove('delete', () => store.deleteByPrefix(namespace, prefix)),
+        clear: () => remove('flush', () => store.deleteByPrefix(namespace, '')),
+        getStats
+    };
+}
+
+// CACHE_BACKEND=memory (default) or redis
+function createCacheStoreFromEnv(env, { logger = consoleLogger } = {}) {
+    const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+    if (backend === 'redis') {
+        return createRedisCacheStore({
+            url: env.REDIS_URL || 'redis://127.0.0.1:6379',
+            keyPrefix: env.CACHE_KEY_PREFIX !== undefined ? env.CACHE_KEY_PREFIX : 'skincare:',
+            commandTimeout: parseInt(env.REDIS_COMMAND_TIMEOUT_MS, 10) || 1000,
+            logger
+        });
+    }
+    if (backend !== 'memory') {
+        throw new Error(`Unknown CACHE_BACKEND "${env.CACHE_BACKEND}" (use memory or redis)`);
+    }
+    return createMemoryCacheStore({
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 50000,
+        maxBytes: (parseInt(env.CACHE_MAX_MEMORY_MB, 10) || 256) * 1024 * 1024
+    });
+}
+
+module.exports = {
+    createMemoryCacheStore,
+    createRedisCacheStore,
+    createCache,
+    createCacheStoreFromEnv
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Cart providers share one interface so routes don't care where the cart lives:
+//   getCart(token), addItem(token, item), updateItem(token, key, quantity), removeItem(token, key)
+// Each call resolves to { token, cart } where token is the (possibly new) cart token
+
+// Convert Store API minor-unit prices ("1299" with minor unit 2) to numbers
+function fromMinorUnits(value, minorUnit = 2) {
+    const amount = parseInt(value, 10);
+    if (!Number.isFinite(amount)) return 0;
+    return amount / Math.pow(10, minorUnit);
+}
+
+// Reduce a Store API cart to the shape the frontend uses
+function normalizeStoreApiCart(cart) {
+    const totals = cart.totals || {};
+    const minorUnit = totals.currency_minor_unit ?? 2;
+
+    return {
+        items: (cart.items || []).map(item => {
+            const prices = item.prices || {};
+            const itemMinorUnit = prices.currency_minor_unit ?? minorUnit;
+            return {
+                key: item.key,
+                id: item.id,
+                name: item.name,
+                quantity: item.quantity,
+                variation: (item.variation || []).map(v => ({ attribute: v.attribute, value: v.value })),
+                price: fromMinorUnits(prices.price, itemMinorUnit),
+                lineTotal: fromMinorUnits(item.totals?.line_total, itemMinorUnit),
+                image: item.images?.[0]?.src || '',
+                permalink: item.permalink || ''
+            };
+        }),
+        itemsCount: cart.items_count || 0,
+        totals: {
+            subtotal: fromMinorUnits(totals.total_items, minorUnit),
+            discount: fromMinorUnits(totals.total_discount, minorUnit),
+            shipping: fromMinorUnits(totals.total_shipping, minorUnit),
+            tax: fromMinorUnits(totals.total_tax, minorUnit),
+            total: fromMinorUnits(totals.total_price, minorUnit),
+            currency: totals.currency_code || ''
+        }
+    };
+}
+
+// WooCommerce Store API provider - carts live in WooCommerce, keyed by Cart-Token
+function createStoreApiCart({ storeUrl, timeout = 10000 }) {
+    const client = axios.create({
+        baseURL: `${String(storeUrl).replace(/\/$/, '')}/wp-json/wc/store/v1`,
+        timeout
+    });
+
+    async function request(method, endpoint, token, data) {
+        const response = await client.request({
+            method,
+            url: endpoint,
+            data,
+            headers: token ? { 'Cart-Token': token } : {}
+        });
+        return {
+            token: response.headers['cart-token'] || token,
+            cart: normalizeStoreApiCart(response.data)
+        };
+    }
+
+    // The Store API rejects writes without a Cart-Token (or Nonce), so a new shopper's
+    // first write fetches the cart once to be issued a token
+    async function write(endpoint, token, data) {
+        const cartToken = token || (await request('get', '/cart')).token;
+        return request('post', endpoint, cartToken, data);
+    }
+
+    return {
+        name: 'store-api',
+        getCart: token => request('get', '/cart', token),
+        addItem: (token, { id, quantity, variation }) =>
+            write('/cart/add-item', token, { id, quantity, variation }),
+        updateItem: (token, key, quantity) =>
+            write('/cart/update-item', token, { key, quantity }),
+        removeItem: (token, key) =>
+            write('/cart/remove-item', token, { key })
+    };
+}
+
+// Local in-memory stand-in for the Store API (development, staging and tests)
+// Prices come from the catalog snapshot; carts are lost on restart
+function createLocalCart({ getProduct, findVariation, currency = '', cartTtl = 48 * 60 * 60 * 1000 }) {
+    const carts = new Map();
+
+    // Unknown or missing tokens get an empty cart that is only stored (and given a
+    // token) once an item is added, so reading carts can't fill the map
+    function loadCart(token) {
+        const existing = token && carts.get(token);
+        if (existing) {
+            existing.updatedAt = Date.now();
+            return { token, items: existing.items };
+        }
+        return { token: null, items: [] };
+    }
+
+    function storeCart(cart) {
+        if (cart.token) return cart;
+        const token = crypto.randomUUID();
+        carts.set(token, { items: cart.items, updatedAt: Date.now() });
+        return { token, items: cart.items };
+    }
+
+    function findPriced(id) {
+        const product = getProduct(id);
+        if (product) return { product, price: parseFloat(product.price) || 0 };
+
+        const match = findVariation(id);
+        if (match) return { ...match, price: parseFloat(match.variation.price) || 0 };
+        return null;
+    }
+
+    function buildCart(items) {
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        return {
+            items: items.map(item => ({ ...item, lineTotal: item.price * item.quantity })),
+            itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
+            totals: {
+                subtotal,
+                discount: 0,
+                shipping: 0,
+                tax: 0,
+                total: subtotal,
+                currency
+            }
+        };
+    }
+
+    function notFound(message) {
+        const error = new Error(message);
+        error.response = { status: 404, data: { message } };
+        return error;
+    }
+
+    return {
+        name: 'local',
+        async getCart(token) {
+            const cart = loadCart(token);
+            return { token: cart.token, cart: buildCart(cart.items) };
+        },
+        async addItem(token, { id, quantity, variation }) {
+            const priced = findPriced(id);
+            if (!priced) throw notFound(`Product ${id} not found`);
+
+            const cart = storeCart(loadCart(token));
+            const key = crypto
+                .createHash('md5')
+                .update(`${id}:${JSON.stringify(variation || [])}`)
+                .digest('hex');
+            const existing = cart.items.find(item => item.key === key);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                cart.items.push({
+                    key,
+                    id,
+                    name: priced.product.name,
+                    quantity,
+                    variation: variation || priced.variation?.attributes.map(a => ({ attribute: a.name, value: a.option })) || [],
+                    price: priced.price,
+                    image: priced.variation?.image || priced.product.images?.[0]?.src || '',
+                    permalink: priced.product.permalink || ''
+                });
+            }
+            return { token: cart.token, cart: buildCart(cart.items) };
+        },
+        async updateItem(token, key, quantity) {
+            const cart = loadCart(token);
+            const item = cart.items.find(i => i.key === key);
+            if (!item) throw notFound('Cart item not found');
+            item.quantity = quantity;
+            return { token: cart.token, cart: buildCart(cart.items) };
+        },
+        async removeItem(token, key) {
+            const cart = loadCart(token);
+            const index = cart.items.findIndex(i => i.key === key);
+            if (index < 0) throw notFound('Cart item not found');
+            cart.items.splice(index, 1);
+            return { token: cart.token, cart: buildCart(cart.items) };
+        },
+        // Drop carts that haven't been touched within the TTL
+        cleanExpired() {
+            const now = Date.now();
+            let cleaned = 0;
+            for (const [token, entry] of carts.entries()) {
+                if (now - entry.updatedAt >= cartTtl) {
+                    carts.delete(token);
+                    cleaned++;
+                }
+            }
+            return cleaned;
+        }
+    };
+}
+
+// Build a shareable WooCommerce checkout link (/checkout-link/?products=ID:QTY,...)
+// that recreates the cart in the shopper's browser session
+function buildCheckoutUrl(storeUrl, cart, checkoutPath = '/checkout-link/') {
+    const products = cart.items.map(item => `${item.id}:${item.quantity}`).join(',');
+    const base = `${String(storeUrl || '').replace(/\/$/, '')}${checkoutPath}`;
+    return `${base}?products=${products}`;
+}
+
+module.exports = {
+    createStoreApiCart,
+    createLocalCart,
+    buildCheckoutUrl,
+    normalizeStoreApiCart
+};
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { consoleLogger } = require('./logger');
+
+// WooCommerce caps per_page at 100, so the full catalog has to be walked page by page
+const PAGE_SIZE = 100;
+
+// Only the variation fields the analyzer and cart actually need
+function reduceVariation(variation) {
+    return {
+        id: variation.id,
+        sku: variation.sku || '',
+        price: variation.price || variation.regular_price || '',
+        regular_price: variation.regular_price || '',
+        sale_price: variation.sale_price || '',
+        attributes: (variation.attributes || []).map(attr => ({
+            name: attr.name,
+            option: attr.option
+        })),
+        stock_status: variation.stock_status || 'instock',
+        purchasable: variation.purchasable !== false,
+        image: variation.image?.src || '',
+        meta_data: variation.meta_data || []
+    };
+}
+
+// Fetch every page of a WooCommerce collection endpoint using X-WP-TotalPages
+async function fetchAllPages(wooCommerce, endpoint, params = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+        const response = await wooCommerce.get(endpoint, {
+            ...params,
+            per_page: PAGE_SIZE,
+            page
+        });
+        items.push(...(response.data || []));
+
+        const headerPages = parseInt(response.headers?.['x-wp-totalpages'], 10);
+        totalPages = Number.isFinite(headerPages) ? headerPages : page;
+        page++;
+    } while (page <= totalPages);
+
+    return items;
+}
+
+// Variable products carry no usable price of their own until variations are attached
+function applyVariations(product, variations) {
+    const purchasable = variations.filter(v => v.purchasable && v.stock_status !== 'outofstock');
+    const prices = (purchasable.length > 0 ? purchasable : variations)
+        .map(v => parseFloat(v.price))
+        .filter(p => Number.isFinite(p));
+
+    const result = { ...product, variations };
+    if (prices.length > 0) {
+        result.min_price = Math.min(...prices);
+        result.max_price = Math.max(...prices);
+        if (!product.price) {
+            result.price = String(result.min_price);
+        }
+    }
+    return result;
+}
+
+// Snapshot edits made by webhooks - applied to the live snapshot, and replayed onto
+// the one a running sync is building
+function applyProduct(target, product) {
+    const index = target.products.findIndex(p => p.id === product.id);
+    if (index >= 0) {
+        target.products[index] = product;
+    } else {
+        target.products.push(product);
+    }
+}
+
+function applyProductRemoval(target, productId) {
+    const before = target.products.length;
+    target.products = target.products.filter(p => p.id !== productId);
+    return target.products.length !== before;
+}
+
+function applyCategory(target, category) {
+    const index = target.categories.findIndex(c => c.id === category.id);
+    if (index >= 0) {
+        target.categories[index] = category;
+    } else {
+        target.categories.push(category);
+    }
+    // Keep the embedded category names on products in step
+    target.products.forEach(product => {
+        (product.categories || []).forEach(cat => {
+            if (cat.id === category.id) {
+                cat.name = category.name;
+                cat.slug = category.slug;
+            }
+        });
+    });
+}
+
+function applyCategoryRemoval(target, categoryId) {
+    target.categories = target.categories.filter(c => c.id !== categoryId);
+    target.products.forEach(product => {
+        product.categories = (product.categories || []).filter(cat => cat.id !== categoryId);
+    });
+}
+
+// Create a catalog sync instance that keeps a local snapshot of the published catalog
+function createCatalogSync({ wooCommerce, snapshotPath, logger = consoleLogger }) {
+    let snapshot = null;
+    let syncPromise = null;
+    let lastError = null;
+    // Webhook edits made while a sync runs (null when none is running); the sync fetched
+    // its pages before or during them, so they are replayed onto its result
+    let pendingChanges = null;
+
+    // Apply an edit to the live snapshot and keep it for a running sync
+    // Returns whether the live snapshot changed
+    function applyChange(change) {
+        if (pendingChanges) pendingChanges.push(change);
+        if (!snapshot) return false;
+        const changed = change(snapshot) !== false;
+        if (changed) {
+            snapshot.version++;
+            saveSnapshot();
+        }
+        return changed;
+    }
+
+    // Load the last snapshot from disk so a restart doesn't need a full resync
+    function loadSnapshot() {
+        if (!snapshotPath || !fs.existsSync(snapshotPath)) return null;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            logger.info('Loaded catalog snapshot', { products: snapshot.products.length, syncedAt: snapshot.syncedAt });
+        } catch (error) {
+            logger.error('Catalog snapshot load error', { error });
+            snapshot = null;
+        }
+        return snapshot;
+    }
+
+    function saveSnapshot() {
+        if (!snapshotPath || !snapshot) return;
+        try {
+            fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+            // Write then rename so a crash never leaves a half-written snapshot
+            const tmpPath = `${snapshotPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+            fs.renameSync(tmpPath, snapshotPath);
+        } catch (error) {
+            logger.error('Catalog snapshot save error', { error });
+        }
+    }
+
+    async function runSync() {
+        const startTime = Date.now();
+        logger.info('Syncing WooCommerce catalog');
+        pendingChanges = [];
+
+        const [products, categories] = await Promise.all([
+            fetchAllPages(wooCommerce, 'products', { status: 'publish' }),
+            fetchAllPages(wooCommerce, 'products/categories')
+        ]);
+
+        // Variations are fetched one parent at a time to stay within API rate limits
+        const syncedProducts = [];
+        let variationCount = 0;
+        for (const product of products) {
+            if (product.type === 'variable') {
+                const variations = await fetchAllPages(wooCommerce, `products/${product.id}/variations`, {
+                    status: 'publish'
+                });
+                variationCount += variations.length;
+                syncedProducts.push(applyVariations(product, variations.map(reduceVariation)));
+            } else {
+                syncedProducts.push(product);
+            }
+        }
+
+        // Remove duplicates by ID
+        const uniqueProducts = Array.from(
+            new Map(syncedProducts.map(p => [p.id, p])).values()
+        );
+
+        const synced = {
+            version: (snapshot?.version || 0) + 1,
+            syncedAt: new Date().toISOString(),
+            products: uniqueProducts,
+            categories
+        };
+        const replayed = pendingChanges.length;
+        pendingChanges.forEach(change => change(synced));
+        pendingChanges = null;
+
+        snapshot = synced;
+        lastError = null;
+        saveSnapshot();
+
+        logger.info('Catalog synced', {
+            products: snapshot.products.length,
+            variations: variationCount,
+            categories: snapshot.categories.length,
+            replayedChanges: replayed,
+            durationMs: Date.now() - startTime
+        });
+        return snapshot;
+    }
+
+    // Start a sync, or join the one already running
+    function sync() {
+        if (!syncPromise) {
+            syncPromise = runSync()
+                .catch(error => {
+                    lastError = error.response?.data?.message || error.message;
+                    logger.error('Catalog sync error', { error, wooCommerceError: error.response?.data?.message });
+                    throw error;
+                })
+                .finally(() => {
+                    syncPromise = null;
+                    pendingChanges = null;
+                });
+        }
+        return syncPromise;
+    }
+
+    // Patch a single product into the snapshot (used by webhooks)
+    // Returns the stored product, or null if it is no longer published
+    async function upsertProduct(product) {
+        if (!snapshot && !pendingChanges) return null;
+        if (product.status && product.status !== 'publish') {
+            removeProduct(product.id);
+            return null;
+        }
+
+        let stored = product;
+        if (product.type === 'variable') {
+            const variations = await fetchAllPages(wooCommerce, `products/${product.id}/variations`, {
+                status: 'publish'
+            });
+            stored = applyVariations(product, variations.map(reduceVariation));
+        }
+
+        applyChange(target => applyProduct(target, stored));
+        return stored;
+    }
+
+    // Refetch one product from WooCommerce and patch it into the snapshot
+    async function refreshProduct(productId) {
+        try {
+            const response = await wooCommerce.get(`products/${productId}`);
+            return upsertProduct(response.data);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                removeProduct(productId);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    function removeProduct(productId) {
+        return applyChange(target => applyProductRemoval(target, productId));
+    }
+
+    function upsertCategory(category) {
+        applyChange(target => applyCategory(target, category));
+    }
+
+    function removeCategory(categoryId) {
+        applyChange(target => applyCategoryRemoval(target, categoryId));
+    }
+
+    function getProduct(productId) {
+        return snapshot?.products.find(p => p.id === productId) || null;
+    }
+
+    // Resolve a variation id to its parent product and variation
+    function findVariation(variationId) {
+        if (!snapshot) return null;
+        for (const product of snapshot.products) {
+            const variation = (product.variations || []).find(v => v.id === variationId);
+            if (variation) return { product, variation };
+        }
+        return null;
+    }
+
+    // Return the current snapshot, waiting for the first sync only if none exists yet
+    async function getSnapshot() {
+        if (snapshot) return snapshot;
+        return sync();
+    }
+
+    function getStatus() {
+        return {
+            version: snapshot?.version || 0,
+            syncedAt: snapshot?.syncedAt || null,
+            products: snapshot?.products.length || 0,
+            variations: snapshot
+                ? snapshot.products.reduce((sum, p) => sum + (p.variations?.length || 0), 0)
+                : 0,
+            categories: snapshot?.categories.length || 0,
+            syncing: syncPromise !== null,
+            lastError
+        };
+    }
+
+    return {
+        loadSnapshot,
+        sync,
+        getSnapshot,
+        getStatus,
+        getProduct,
+        findVariation,
+        upsertProduct,
+        refreshProduct,
+        removeProduct,
+        upsertCategory,
+        removeCategory
+    };
+}
+
+module.exports = {
+    createCatalogSync,
+    fetchAllPages
+};
@@ -0,0 +1,149 @@
+const { parseInciList } = require('./inciParser');
+
+// Concentration estimation for scoring
+//
+// Declared percentages win ("10% Niacinamide" in the name, an actives meta field, or
+// "Niacinamide 10%" in the ingredient list). Without one, an ingredient's position is
+// compared to the "1% line": the first preservative/fragrance-type ingredient, which is
+// almost always used at 1% or less, so everything listed after it is at most ~1%.
+
+const ACTIVES_META_KEYS = ['actives', '_actives', 'active_ingredients', '_active_ingredients'];
+
+// "10% Niacinamide", "2% BHA + 1% Zinc", "Retinol 0.5%", "Vitamin C Serum 0.01%"
+// Up to three words after / four words before the number are captured; extra words
+// ("serum") are harmless because matching uses word boundaries
+const LEADING_PERCENT_PATTERN = /(\d+(?:[.,]\d+)?)\s*%\s+([a-z][a-z\-]*(?:\s+[a-z][a-z\-]*){0,2})/gi;
+const TRAILING_PERCENT_PATTERN = /((?:[a-z][a-z\-]*\s+){0,3}[a-z][a-z\-]*)\s+(\d+(?:[.,]\d+)?)\s*%/gi;
+
+// Words that can follow a percentage without naming an ingredient ("0.5% in Squalane")
+const NON_INGREDIENT_WORDS = new Set(['in', 'with', 'and', 'of', 'for', 'off', 'more', 'less', 'extra']);
+
+// Every ingredient name the knowledge base knows (lists, ranges and synonyms) as
+// word-boundary patterns, built once per knowledge base
+const knownIngredientPatterns = new WeakMap();
+
+function getKnownIngredientPatterns(knowledgeBase) {
+    if (!knownIngredientPatterns.has(knowledgeBase)) {
+        const names = new Set();
+        const addProfile = profile => {
+            [...(profile.beneficial || []), ...(profile.avoid || []), ...Object.keys(profile.activeRanges || {})]
+                .forEach(ingredient => names.add(ingredient));
+        };
+        Object.values(knowledgeBase.conditions || {}).forEach(addProfile);
+        Object.values(knowledgeBase.skinTypes || {}).forEach(addProfile);
+        Object.entries(knowledgeBase.synonyms || {}).forEach(([ingredient, variants]) => {
+            names.add(ingredient);
+            variants.forEach(variant => names.add(variant));
+        });
+        knownIngredientPatterns.set(knowledgeBase, Array.from(names, ingredient =>
+            new RegExp(`\\b${String(ingredient).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`)
+        ));
+    }
+    return knownIngredientPatterns.get(knowledgeBase);
+}
+
+// Words before a trailing percentage, trimmed to the shortest run next to the number
+// that names a known ingredient ("vitamin c serum" rather than "organic vitamin c serum");
+// all of them when none does
+function pickTrailingName(words, knowledgeBase) {
+    const candidates = words.trim().split(/\s+/);
+    if (knowledgeBase) {
+        const patterns = getKnownIngredientPatterns(knowledgeBase);
+        for (let count = 1; count < candidates.length; count++) {
+            const window = candidates.slice(-count).join(' ');
+            if (patterns.some(pattern => pattern.test(window))) return window;
+        }
+    }
+    return candidates.join(' ');
+}
+
+// Pull declared percentages out of a product name
+// Both "10% X" and "X 10%" readings are kept; only readings that match a known
+// ingredient ever affect scoring
+function extractNamePercentages(name, knowledgeBase = null) {
+    const declared = [];
+    const text = String(name || '').toLowerCase();
+
+    for (const match of text.matchAll(LEADING_PERCENT_PATTERN)) {
+        if (NON_INGREDIENT_WORDS.has(match[2].split(/\s+/)[0])) continue;
+        declared.push({ name: match[2].trim(), percentage: parseFloat(match[1].replace(',', '.')), source: 'name' });
+    }
+    for (const match of text.matchAll(TRAILING_PERCENT_PATTERN)) {
+        declared.push({ name: pickTrailingName(match[1], knowledgeBase), percentage: parseFloat(match[2].replace(',', '.')), source: 'name' });
+    }
+    return declared.filter(d => Number.isFinite(d.percentage) && d.percentage <= 100);
+}
+
+// Collect every declared percentage for a product, most trusted source first:
+// actives meta field, then product name, then the ingredient list itself
+// The knowledge base (optional) narrows trailing name percentages to known ingredients
+function collectDeclaredPercentages(product, parsedIngredients, knowledgeBase = null) {
+    const declared = [];
+
+    const activesMeta = product.meta_data?.find(meta => ACTIVES_META_KEYS.includes(meta.key));
+    if (activesMeta?.value) {
+        parseInciList(activesMeta.value).ingredients
+            .filter(entry => entry.percentage !== null)
+            .forEach(entry => declared.push({
+                name: entry.name,
+                aliases: entry.aliases,
+                percentage: entry.percentage,
+                source: 'meta'
+            }));
+    }
+
+    extractNamePercentages(product.name, knowledgeBase).forEach(entry => declared.push({ ...entry, aliases: [] }));
+
+    parsedIngredients.ingredients
+        .filter(entry => entry.percentage !== null)
+        .forEach(entry => declared.push({
+            name: entry.name,
+            aliases: entry.aliases,
+            percentage: entry.percentage,
+            source: 'ingredients'
+        }));
+
+    return declared;
+}
+
+// Position (1-based) of the first 1%-line marker, or null when the list has none
+function findOnePercentLine(parsedIngredients, markers, matches) {
+    if (!markers || markers.length === 0) return null;
+    const entry = parsedIngredients.ingredients.find(ingredient =>
+        markers.some(marker => matches([ingredient.name, ...ingredient.aliases], marker))
+    );
+    return entry ? entry.position : null;
+}
+
+// Weight an active's points by how its concentration compares to the effective range
+// Returns { factor, status }
+function getConcentrationFactor(percentage, range, estimate) {
+    if (!range) {
+        return { factor: 1, status: 'no-range' };
+    }
+
+    if (percentage !== null && percentage !== undefined) {
+        if (percentage < range.min) return { factor: 0.25, status: 'below-effective' };
+        if (percentage > range.max) return { factor: 0.9, status: 'above-effective' };
+        return { factor: 1.25, status: 'effective' };
+    }
+
+    // No declared percentage: only the 1% line can tell us anything
+    if (estimate === 'below') {
+        // An active that needs more than 1% can't be effective after the 1% line
+        return range.min > 1
+            ? { factor: 0.3, status: 'below-effective-estimated' }
+            : { factor: 1, status: 'plausible-estimated' };
+    }
+    if (estimate === 'above') {
+        return { factor: 1, status: 'plausible-estimated' };
+    }
+    return { factor: 1, status: 'unknown' };
+}
+
+module.exports = {
+    extractNamePercentages,
+    collectDeclaredPercentages,
+    findOnePercentLine,
+    getConcentrationFactor
+};
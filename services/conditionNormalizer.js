@@ -0,0 +1,399 @@
+// Maps free-form AI output onto the supported vocabulary
+//
+// Vision models answer with names like "dark spots", "dryness", "Large pores" or
+// "oiliness", while scoring and the score cache use VALID_CONDITIONS keys
+// ("dark-spots", "dry", "large-pores", "oily"). Every AI analysis goes through
+// normalizeSkinAnalysis so unknown terms are reported instead of silently ignored.
+
+const VALID_CONDITIONS = [
+    'acne', 'dark-spots', 'wrinkles', 'redness', 'large-pores',
+    'uneven-texture', 'dry', 'oily', 'sensitive'
+];
+
+const SKIN_TYPES = ['oily', 'dry', 'combination', 'sensitive', 'normal'];
+
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const FACIAL_ZONES = ['forehead', 't-zone', 'cheeks', 'chin'];
+
+// Aliases are compared after normalizeTerm (lowercase, no hyphens, qualifiers removed)
+const CONDITION_ALIASES = {
+    'acne': ['acne', 'acne vulgaris', 'pimple', 'pimples', 'breakout', 'breakouts', 'blemish', 'blemishes',
+        'comedone', 'comedones', 'blackheads', 'whiteheads', 'papules', 'pustules', 'acne prone'],
+    'dark-spots': ['dark spots', 'dark spot', 'hyperpigmentation', 'pigmentation', 'melasma', 'age spots',
+        'sun spots', 'sunspots', 'post inflammatory hyperpigmentation', 'pih', 'discoloration', 'discolouration',
+        'uneven skin tone', 'uneven tone', 'dark marks', 'acne scars', 'acne marks'],
+    'wrinkles': ['wrinkles', 'wrinkle', 'fine lines', 'fine line', 'lines', 'aging', 'ageing', 'signs of aging',
+        'signs of ageing', 'crows feet', 'expression lines', 'loss of elasticity', 'sagging'],
+    'redness': ['redness', 'red patches', 'rosacea', 'erythema', 'inflammation', 'flushing', 'irritation',
+        'broken capillaries'],
+    'large-pores': ['large pores', 'enlarged pores', 'visible pores', 'open pores', 'pores', 'clogged pores'],
+    'uneven-texture': ['uneven texture', 'texture', 'rough texture', 'roughness', 'rough', 'bumpy', 'bumpy texture',
+        'dullness', 'dull', 'textured'],
+    'dry': ['dry', 'dryness', 'dehydration', 'dehydrated', 'flaky', 'flakiness', 'flaking', 'dry patches',
+        'tightness'],
+    'oily': ['oily', 'oiliness', 'excess oil', 'excess sebum', 'sebum', 'shine', 'shiny', 'greasy', 'oily t zone'],
+    'sensitive': ['sensitive', 'sensitivity', 'reactive', 'reactivity']
+};
+
+const SKIN_TYPE_ALIASES = {
+    'oily': ['oily', 'oil prone'],
+    'dry': ['dry'],
+    'combination': ['combination', 'combo', 'mixed', 'combination oily', 'combination dry'],
+    'sensitive': ['sensitive', 'reactive'],
+    'normal': ['normal', 'balanced']
+};
+
+// Compared after lowercasing with hyphens and underscores as spaces
+const ZONE_ALIASES = {
+    'forehead': ['forehead', 'brow', 'brows', 'temples', 'upper face'],
+    't-zone': ['t zone', 'tzone', 'nose', 'nasal area', 'between the brows', 'between brows', 'glabella', 'centre of face',
+        'center of face', 'central face'],
+    'cheeks': ['cheeks', 'cheek', 'left cheek', 'right cheek', 'both cheeks', 'cheekbones', 'cheek area'],
+    'chin': ['chin', 'jaw', 'jawline', 'around the mouth', 'mouth area', 'perioral', 'lower face']
+};
+
+// Words that describe degree or location rather than the condition itself
+const QUALIFIERS = ['mild', 'moderate', 'severe', 'slight', 'slightly', 'some', 'visible', 'minor', 'noticeable',
+    'significant', 'active', 'light', 'occasional', 'possible', 'facial', 'skin', 'on', 'the', 'cheeks', 'forehead',
+    'nose', 'chin'];
+
+const ANALYSIS_KEYS = ['detectedConditions', 'skinType', 'confidence', 'observations', 'recommendations', 'zones'];
+const MAX_LIST_ITEMS = 10;
+const MAX_TEXT_LENGTH = 300;
+
+function normalizeTerm(term) {
+    return String(term)
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[-_/]/g, ' ')
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !QUALIFIERS.includes(word))
+        .join(' ');
+}
+
+function buildLookup(aliases) {
+    const lookup = new Map();
+    for (const [key, terms] of Object.entries(aliases)) {
+        lookup.set(normalizeTerm(key), key);
+        terms.forEach(term => lookup.set(normalizeTerm(term), key));
+    }
+    return lookup;
+}
+
+const CONDITION_LOOKUP = buildLookup(CONDITION_ALIASES);
+const SKIN_TYPE_LOOKUP = buildLookup(SKIN_TYPE_ALIASES);
+
+// Map one AI term to a condition key, or null
+// "Mild acne" -> acne, "Dark Spots" -> dark-spots, "oily T-zone" -> oily
+function normalizeCondition(term) {
+    const normalized = normalizeTerm(term);
+    if (!normalized) return null;
+    if (CONDITION_LOOKUP.has(normalized)) return CONDITION_LOOKUP.get(normalized);
+    // "hyperpigmentation cheeks" or "acne breakouts": fall back to a whole-word alias
+    // when exactly one condition matches
+    const found = new Set();
+    for (const [alias, condition] of CONDITION_LOOKUP.entries()) {
+        if (new RegExp(`\\b${alias}\\b`).test(normalized)) found.add(condition);
+    }
+    return found.size === 1 ? Array.from(found)[0] : null;
+}
+
+function normalizeSkinType(term) {
+    const normalized = normalizeTerm(term);
+    return SKIN_TYPE_LOOKUP.get(normalized) || null;
+}
+
+// Zone names keep location words, so they skip normalizeTerm's qualifier removal
+const ZONE_LOOKUP = new Map(Object.entries(ZONE_ALIASES).flatMap(([zone, terms]) => terms.map(term => [term, zone])));
+
+function normalizeZone(term) {
+    const normalized = String(term).toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+    return ZONE_LOOKUP.get(normalized) || null;
+}
+
+// Map a list of AI terms, keeping the unmapped ones for reporting
+function normalizeConditions(terms) {
+    const conditions = [];
+    const mapped = [];
+    const unmapped = [];
+    (terms || []).forEach(term => {
+        const condition = normalizeCondition(term);
+        if (!condition) {
+            unmapped.push(String(term));
+            return;
+        }
+        if (normalizeTerm(term) !== normalizeTerm(condition)) {
+            mapped.push({ term: String(term), condition });
+        }
+        if (!conditions.includes(condition)) conditions.push(condition);
+    });
+    return { conditions, mapped, unmapped };
+}
+
+// Find conditions mentioned anywhere in free text (text-response fallback)
+// A "Conditions: a, b" line is mapped term by term so unknown terms are reported;
+// otherwise known aliases are searched for as whole words
+function extractConditionTerms(text) {
+    const listMatch = String(text || '').match(/(?:detected\s+)?conditions?\s*[:\-]\s*([^\n.]+)/i);
+    if (listMatch) {
+        return listMatch[1].split(/,|;|\band\b/).map(term => term.trim()).filter(Boolean);
+    }
+    const normalizedText = normalizeTerm(text);
+    const found = [];
+    for (const [alias, condition] of CONDITION_LOOKUP.entries()) {
+        if (!found.includes(condition) && new RegExp(`\\b${alias}\\b`).test(normalizedText)) {
+            found.push(condition);
+        }
+    }
+    return found;
+}
+
+// Confidence as a 0-1 number; percentages are converted but reported
+function parseConfidence(value, label, errors) {
+    let confidence = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+        errors.push(`${label} must be a number`);
+        return null;
+    }
+    if (confidence > 1 && confidence <= 100) {
+        errors.push(`${label} should be between 0 and 1 (percentage converted)`);
+        return confidence / 100;
+    }
+    if (confidence < 0 || confidence > 1) {
+        errors.push(`${label} must be between 0 and 1`);
+        return null;
+    }
+    return confidence;
+}
+
+// detectedConditions entries are plain terms ("acne") or
+// { name, severity: mild|moderate|severe, confidence: 0-1 }
+function validateDetectedConditions(value, errors, key = 'detectedConditions') {
+    if (value === undefined) {
+        errors.push(`${key} is required`);
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        errors.push(`${key} must be an array`);
+        return [];
+    }
+
+    const entries = [];
+    value.slice(0, MAX_LIST_ITEMS).forEach((item, index) => {
+        const label = `${key}[${index}]`;
+        if (typeof item === 'string' && item.trim()) {
+            entries.push({ term: item.trim(), severity: null, confidence: null });
+            return;
+        }
+        if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) {
+            errors.push(`${label} must be a string or an object with a name`);
+            return;
+        }
+        Object.keys(item)
+            .filter(key => !['name', 'severity', 'confidence'].includes(key))
+            .forEach(key => errors.push(`${label} has unexpected property "${key}"`));
+
+        let severity = null;
+        if (item.severity !== undefined) {
+            severity = String(item.severity).toLowerCase().trim();
+            if (!SEVERITIES.includes(severity)) {
+                errors.push(`${label}.severity must be one of: ${SEVERITIES.join(', ')}`);
+                severity = null;
+            }
+        }
+        const confidence = item.confidence !== undefined
+            ? parseConfidence(item.confidence, `${label}.confidence`, errors)
+            : null;
+        entries.push({ term: item.name.trim(), severity, confidence });
+    });
+    if (value.length > MAX_LIST_ITEMS) {
+        errors.push(`${key} has more than ${MAX_LIST_ITEMS} items`);
+    }
+    return entries;
+}
+
+// Add one validated detection to a condition -> detail map; several terms for one
+// condition keep the strongest severity and confidence
+function addDetection(details, { term, severity, confidence }, report) {
+    const condition = normalizeCondition(term);
+    if (!condition) {
+        if (!report.unmapped.includes(term)) report.unmapped.push(term);
+        return;
+    }
+    if (normalizeTerm(term) !== normalizeTerm(condition) &&
+        !report.mapped.some(entry => entry.term === term && entry.condition === condition)) {
+        report.mapped.push({ term, condition });
+    }
+    mergeDetail(details, { condition, severity, confidence });
+}
+
+function mergeDetail(details, { condition, severity, confidence }) {
+    const existing = details.get(condition);
+    if (!existing) {
+        details.set(condition, { condition, severity, confidence });
+        return;
+    }
+    if (severity && SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(existing.severity)) {
+        existing.severity = severity;
+    }
+    if (confidence !== null && (existing.confidence === null || confidence > existing.confidence)) {
+        existing.confidence = confidence;
+    }
+}
+
+// Strongest severity in a list of details (null when none is given)
+function strongestSeverity(details) {
+    return details.reduce((strongest, detail) =>
+        detail.severity && SEVERITIES.indexOf(detail.severity) > SEVERITIES.indexOf(strongest) ? detail.severity : strongest,
+    null);
+}
+
+// zones entries: { zone, conditions: [detectedConditions entries] }
+// -> [{ zone, severity, conditions: [{ condition, severity, confidence }] }] in FACIAL_ZONES order
+// Repeated zones ("left cheek", "right cheek") are merged
+function validateZones(value, errors, report) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        errors.push('zones must be an array');
+        return [];
+    }
+
+    const zones = new Map();
+    value.slice(0, MAX_LIST_ITEMS).forEach((item, index) => {
+        const label = `zones[${index}]`;
+        if (!item || typeof item !== 'object' || typeof item.zone !== 'string') {
+            errors.push(`${label} must be an object with a zone`);
+            return;
+        }
+        const zone = normalizeZone(item.zone);
+        if (!zone) {
+            errors.push(`${label}.zone "${item.zone}" is not one of: ${FACIAL_ZONES.join(', ')}`);
+            return;
+        }
+        Object.keys(item)
+            .filter(key => !['zone', 'conditions'].includes(key))
+            .forEach(key => errors.push(`${label} has unexpected property "${key}"`));
+
+        if (!zones.has(zone)) zones.set(zone, new Map());
+        validateDetectedConditions(item.conditions, errors, `${label}.conditions`)
+            .forEach(entry => addDetection(zones.get(zone), entry, report));
+    });
+
+    return FACIAL_ZONES.filter(zone => zones.has(zone)).map(zone => {
+        const conditions = Array.from(zones.get(zone).values());
+        return { zone, severity: strongestSeverity(conditions), conditions };
+    });
+}
+
+// Validate zones sent back by a client (e.g. the skinAnalysis.zones of an earlier
+// /api/analyze response, where conditions are { condition, severity, confidence }): { zones, errors }
+function normalizeZones(value) {
+    const errors = [];
+    const report = { mapped: [], unmapped: [] };
+    const toEntry = detail => {
+        if (!detail || typeof detail !== 'object' || detail.name !== undefined) return detail;
+        const entry = { name: detail.condition };
+        if (detail.severity !== null && detail.severity !== undefined) entry.severity = detail.severity;
+        if (detail.confidence !== null && detail.confidence !== undefined) entry.confidence = detail.confidence;
+        return entry;
+    };
+    const zones = validateZones(
+        Array.isArray(value)
+            ? value.map(item => (item && typeof item === 'object'
+                ? { zone: item.zone, conditions: Array.isArray(item.conditions) ? item.conditions.map(toEntry) : item.conditions }
+                : item))
+            : value,
+        errors,
+        report
+    );
+    report.unmapped.forEach(term => errors.push(`zone condition "${term}" is not a supported condition`));
+    return { zones, errors };
+}
+
+function validateStringArray(value, key, errors) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        errors.push(`${key} must be an array`);
+        return [];
+    }
+    const strings = value.filter(item => typeof item === 'string' && item.trim().length > 0);
+    if (strings.length !== value.length) {
+        errors.push(`${key} must only contain non-empty strings`);
+    }
+    if (strings.length > MAX_LIST_ITEMS) {
+        errors.push(`${key} has more than ${MAX_LIST_ITEMS} items`);
+    }
+    return strings.slice(0, MAX_LIST_ITEMS).map(item => item.trim().slice(0, MAX_TEXT_LENGTH));
+}
+
+// Validate a parsed AI analysis against the strict schema and normalize it
+// Returns the cleaned analysis (with conditionDetails: [{ condition, severity, confidence }])
+// plus a normalization report:
+//   { mapped: [{ term, condition }], unmapped: [terms], schemaErrors: [messages] }
+function normalizeSkinAnalysis(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push('analysis must be a JSON object');
+        raw = {};
+    }
+
+    Object.keys(raw)
+        .filter(key => !ANALYSIS_KEYS.includes(key) && key !== 'note')
+        .forEach(key => errors.push(`unexpected property "${key}"`));
+
+    // Map each entry; several terms for one condition keep the strongest severity and confidence
+    const report = { mapped: [], unmapped: [] };
+    const details = new Map();
+    validateDetectedConditions(raw.detectedConditions, errors)
+        .forEach(entry => addDetection(details, entry, report));
+
+    // A condition seen in any zone is a condition of the face, even if the model
+    // left it out of detectedConditions; the whole-face entry wins when both exist
+    const zoneDetails = new Map();
+    const zones = validateZones(raw.zones, errors, report);
+    zones.forEach(zone => zone.conditions.forEach(detail => {
+        if (!details.has(detail.condition)) mergeDetail(zoneDetails, { ...detail });
+    }));
+    zoneDetails.forEach((detail, condition) => details.set(condition, detail));
+
+    let skinType = null;
+    if (typeof raw.skinType !== 'string') {
+        errors.push('skinType must be a string');
+    } else {
+        skinType = normalizeSkinType(raw.skinType);
+        if (!skinType) {
+            errors.push(`skinType "${raw.skinType}" is not one of: ${SKIN_TYPES.join(', ')}`);
+        }
+    }
+
+    const confidence = parseConfidence(raw.confidence, 'confidence', errors);
+
+    return {
+        analysis: {
+            detectedConditions: Array.from(details.keys()),
+            conditionDetails: Array.from(details.values()),
+            skinType,
+            confidence,
+            observations: validateStringArray(raw.observations, 'observations', errors),
+            recommendations: validateStringArray(raw.recommendations, 'recommendations', errors),
+            zones
+        },
+        report: { mapped: report.mapped, unmapped: report.unmapped, schemaErrors: errors }
+    };
+}
+
+module.exports = {
+    VALID_CONDITIONS,
+    SKIN_TYPES,
+    SEVERITIES,
+    FACIAL_ZONES,
+    normalizeCondition,
+    normalizeConditions,
+    normalizeSkinType,
+    normalizeZone,
+    normalizeZones,
+    extractConditionTerms,
+    normalizeSkinAnalysis
+};
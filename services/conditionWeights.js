@@ -0,0 +1,90 @@
+// Per-condition scoring weights
+//
+// A condition's points in calculateMatchScore are multiplied by its weight:
+//   weight = source weight x severity weight (x confidence for AI-only detections)
+// Conditions the shopper picked keep full weight at the default severity, so user-only
+// requests score exactly as before; a faint AI guess counts for much less.
+
+const SEVERITY_WEIGHTS = { mild: 0.7, moderate: 1, severe: 1.3 };
+const SOURCE_WEIGHTS = { user: 1, both: 1, ai: 0.6 };
+const DEFAULT_SEVERITY = 'moderate';
+const DEFAULT_AI_CONFIDENCE = 0.5;
+
+// AI-only "oily"/"dry" detections that disagree with the skin type describe a zone
+// (an oily T-zone on combination skin), not the whole face, so they count half
+const SKIN_TYPE_CONDITIONS = ['oily', 'dry'];
+const ZONE_FACTOR = 0.5;
+
+function roundWeight(weight) {
+    return Math.round(weight * 100) / 100;
+}
+
+// Build [{ condition, source, severity, confidence, weight }]
+//   userConditions - keys the shopper selected
+//   userSeverity   - optional { condition: severity } from the shopper
+//   aiDetails      - conditionDetails from the normalized analysis
+//   aiConfidence   - overall analysis confidence, used when a detection has none
+//   skinType       - the resolved skin type (see resolveSkinType), if any
+function buildConditionWeights({ userConditions = [], userSeverity = {}, aiDetails = [], aiConfidence = null, skinType = null }) {
+    const weights = [];
+    const aiByCondition = new Map((aiDetails || []).map(detail => [detail.condition, detail]));
+
+    userConditions.forEach(condition => {
+        const ai = aiByCondition.get(condition);
+        const severity = userSeverity[condition] || ai?.severity || DEFAULT_SEVERITY;
+        const source = ai ? 'both' : 'user';
+        weights.push({
+            condition,
+            source,
+            severity,
+            confidence: 1, // The shopper confirmed it
+            weight: roundWeight(SOURCE_WEIGHTS[source] * SEVERITY_WEIGHTS[severity])
+        });
+    });
+
+    aiByCondition.forEach((detail, condition) => {
+        if (userConditions.includes(condition)) return;
+        const severity = detail.severity || DEFAULT_SEVERITY;
+        const confidence = detail.confidence ?? aiConfidence ?? DEFAULT_AI_CONFIDENCE;
+        const zoneOnly = Boolean(skinType) && SKIN_TYPE_CONDITIONS.includes(condition) && condition !== skinType;
+        weights.push({
+            condition,
+            source: 'ai',
+            severity,
+            confidence,
+            ...(zoneOnly ? { adjustedForSkinType: skinType } : {}),
+            weight: roundWeight(SOURCE_WEIGHTS.ai * SEVERITY_WEIGHTS[severity] * confidence * (zoneOnly ? ZONE_FACTOR : 1))
+        });
+    });
+
+    return weights;
+}
+
+// Skin type used for scoring: the shopper's choice wins, then the AI's (weighted by its
+// confidence). Without either there is no skin-type factor
+function resolveSkinType({ userSkinType = null, aiSkinType = null, aiConfidence = null }) {
+    if (userSkinType) {
+        return {
+            skinType: userSkinType,
+            source: aiSkinType === userSkinType ? 'both' : 'user',
+            aiSkinType,
+            weight: 1
+        };
+    }
+    if (aiSkinType) {
+        return {
+            skinType: aiSkinType,
+            source: 'ai',
+            aiSkinType,
+            weight: roundWeight(aiConfidence ?? DEFAULT_AI_CONFIDENCE)
+        };
+    }
+    return { skinType: null, source: 'none', aiSkinType: null, weight: 0 };
+}
+
+module.exports = {
+    buildConditionWeights,
+    resolveSkinType,
+    SEVERITY_WEIGHTS,
+    SOURCE_WEIGHTS
+};
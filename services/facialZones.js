@@ -0,0 +1,89 @@
+// Facial zones - overlay regions and routine/product targeting
+//
+// Zones come from the normalized skin analysis ({ zone, severity, conditions }).
+// A condition found in only a zone or two ("acne on the chin") calls for applying a
+// treatment to those zones, while one spread over most of the face calls for full-face use.
+// Spot treatments (patches, blemish gels) are always targeted.
+// Cleansers, moisturizers and sunscreen are always applied to the whole face.
+
+const { FACIAL_ZONES } = require('./conditionNormalizer');
+
+// Overlay regions for a centred, front-facing selfie, as fractions of the analyzed image
+// (x, y from the top left). The model reports zones, not coordinates, so these are a
+// template the frontend can draw - not detected landmarks.
+const ZONE_REGIONS = {
+    'forehead': [{ x: 0.28, y: 0.12, width: 0.44, height: 0.16 }],
+    't-zone': [{ x: 0.42, y: 0.28, width: 0.16, height: 0.30 }],
+    'cheeks': [
+        { x: 0.20, y: 0.40, width: 0.20, height: 0.22 },
+        { x: 0.60, y: 0.40, width: 0.20, height: 0.22 }
+    ],
+    'chin': [{ x: 0.38, y: 0.72, width: 0.24, height: 0.14 }]
+};
+
+// Conditions in at most this many zones are treated as localized
+const MAX_LOCALIZED_ZONES = 2;
+
+// Products made for targeted use on blemishes
+const SPOT_TREATMENT_KEYWORDS = ['spot treatment', 'spot corrector', 'spot gel', 'spot serum', 'pimple patch',
+    'blemish patch', 'acne patch', 'spot patch', 'spot on', 'targeted treatment', 'blemish stick'];
+
+const FULL_FACE_STEPS = ['cleanser', 'moisturizer', 'spf'];
+
+// Zones with their overlay regions, for the response
+function withRegions(zones) {
+    return (zones || []).map(zone => ({ ...zone, regions: ZONE_REGIONS[zone.zone] }));
+}
+
+// { condition: { zones, extent: 'localized' | 'widespread' } } for conditions seen in any zone
+function getConditionCoverage(zones) {
+    const byCondition = new Map();
+    (zones || []).forEach(zone => zone.conditions.forEach(({ condition }) => {
+        if (!byCondition.has(condition)) byCondition.set(condition, []);
+        byCondition.get(condition).push(zone.zone);
+    }));
+
+    const coverage = {};
+    byCondition.forEach((conditionZones, condition) => {
+        coverage[condition] = {
+            zones: FACIAL_ZONES.filter(zone => conditionZones.includes(zone)),
+            extent: conditionZones.length <= MAX_LOCALIZED_ZONES ? 'localized' : 'widespread'
+        };
+    });
+    return coverage;
+}
+
+function isSpotTreatment(product) {
+    const text = [
+        String(product.name || ''),
+        ...(product.categories || []).map(c => String(c.name || ''))
+    ].join(' | ').toLowerCase();
+    return SPOT_TREATMENT_KEYWORDS.some(keyword => text.includes(keyword));
+}
+
+// Where to apply a product: { application: 'targeted' | 'full-face', zones }
+//   addressedConditions - conditions the product has beneficial ingredients for
+//   step                - routine step (classifyProductStep), if known
+// null when the analysis has no zone data for any addressed condition
+function targetProduct(product, { addressedConditions, coverage, step = null }) {
+    const covered = addressedConditions.filter(condition => coverage[condition]);
+    if (covered.length === 0) return null;
+
+    const zones = FACIAL_ZONES.filter(zone => covered.some(condition => coverage[condition].zones.includes(zone)));
+    if (FULL_FACE_STEPS.includes(step)) {
+        return { application: 'full-face', zones };
+    }
+    const localized = covered.every(condition => coverage[condition].extent === 'localized');
+    return {
+        application: isSpotTreatment(product) || localized ? 'targeted' : 'full-face',
+        zones
+    };
+}
+
+module.exports = {
+    ZONE_REGIONS,
+    withRegions,
+    getConditionCoverage,
+    isSpotTreatment,
+    targetProduct
+};
@@ -0,0 +1,180 @@
+const sharp = require('sharp');
+
+// Local selfie quality gate - runs before any AI call, and keeps running when the
+// AI provider is missing or failing (face validation fails open)
+//
+// Checks:
+//   resolution - the shorter side of the uploaded image
+//   exposure   - mean luminance and the share of crushed shadows / blown highlights
+//   focus      - variance of the Laplacian (edge response); low means blurry
+//   colour     - channel balance; skin is red-dominant, so green/blue dominance or
+//                extreme red means a filter or coloured light, and no chroma at all
+//                means a black-and-white photo
+
+const ANALYSIS_SIZE = 512; // Metrics are measured at a fixed scale so thresholds hold for any upload
+
+const DEFAULT_THRESHOLDS = {
+    minDimension: 256,
+    minBrightness: 50,
+    maxBrightness: 215,
+    maxShadowClip: 0.6,     // Share of pixels at or below SHADOW_LEVEL
+    maxHighlightClip: 0.35, // Share of pixels at or above HIGHLIGHT_LEVEL
+    minSharpness: 25,
+    maxRedRatio: 1.9,       // Mean red / mean green
+    minChroma: 4            // Mean max-min channel difference
+};
+
+const SHADOW_LEVEL = 16;
+const HIGHLIGHT_LEVEL = 240;
+
+const ISSUE_TEXT = {
+    too_small: {
+        message: 'Image resolution is too low',
+        advice: 'Use your phone camera at full resolution, with your face filling most of the frame'
+    },
+    too_dark: {
+        message: 'Image is too dark',
+        advice: 'Face a window or a bright lamp and retake the photo'
+    },
+    too_bright: {
+        message: 'Image is overexposed',
+        advice: 'Avoid direct flash or harsh sunlight on your face'
+    },
+    out_of_focus: {
+        message: 'Image is out of focus',
+        advice: 'Hold the camera steady, tap your face to focus and clean the lens'
+    },
+    colour_cast: {
+        message: 'Image has a strong colour cast',
+        advice: 'Turn off filters and use neutral daylight instead of coloured lighting'
+    },
+    no_colour: {
+        message: 'Image is black and white',
+        advice: 'Upload a colour photo - redness and dark spots cannot be judged without colour'
+    }
+};
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function issue(code, value, threshold) {
+    return { code, ...ISSUE_TEXT[code], value: round(value), threshold };
+}
+
+// Variance of the 4-neighbour Laplacian over a grayscale raw buffer
+function laplacianVariance(pixels, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+}
+
+// Measure an image buffer (any format sharp reads)
+async function measureImageQuality(imageBuffer) {
+    const metadata = await sharp(imageBuffer).metadata();
+    // EXIF orientation 5-8 stores the photo sideways; report it as displayed
+    const sideways = metadata.orientation >= 5;
+    const width = sideways ? metadata.height : metadata.width;
+    const height = sideways ? metadata.width : metadata.height;
+
+    const scaled = sharp(imageBuffer)
+        .rotate()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .removeAlpha();
+
+    const { data: gray, info } = await scaled.clone().grayscale().raw().toBuffer({ resolveWithObject: true });
+    const { channels } = await scaled.clone().toColourspace('srgb').stats();
+
+    let luminance = 0;
+    let shadows = 0;
+    let highlights = 0;
+    for (const value of gray) {
+        luminance += value;
+        if (value <= SHADOW_LEVEL) shadows++;
+        if (value >= HIGHLIGHT_LEVEL) highlights++;
+    }
+
+    const [red, green, blue] = channels.length >= 3
+        ? channels.slice(0, 3).map(channel => channel.mean)
+        : [channels[0].mean, channels[0].mean, channels[0].mean];
+
+    return {
+        width,
+        height,
+        brightness: round(luminance / gray.length, 1),
+        shadowClip: round(shadows / gray.length, 3),
+        highlightClip: round(highlights / gray.length, 3),
+        sharpness: round(laplacianVariance(gray, info.width, info.height), 1),
+        channelMeans: { red: round(red, 1), green: round(green, 1), blue: round(blue, 1) },
+        chroma: round(Math.max(red, green, blue) - Math.min(red, green, blue), 1)
+    };
+}
+
+// Compare metrics against thresholds -> [{ code, message, advice, value, threshold }]
+function findQualityIssues(metrics, thresholds = DEFAULT_THRESHOLDS) {
+    const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const issues = [];
+
+    const shorterSide = Math.min(metrics.width, metrics.height);
+    if (shorterSide < t.minDimension) {
+        issues.push(issue('too_small', shorterSide, t.minDimension));
+    }
+
+    if (metrics.brightness < t.minBrightness) {
+        issues.push(issue('too_dark', metrics.brightness, t.minBrightness));
+    } else if (metrics.shadowClip > t.maxShadowClip) {
+        issues.push(issue('too_dark', metrics.shadowClip, t.maxShadowClip));
+    } else if (metrics.brightness > t.maxBrightness) {
+        issues.push(issue('too_bright', metrics.brightness, t.maxBrightness));
+    } else if (metrics.highlightClip > t.maxHighlightClip) {
+        issues.push(issue('too_bright', metrics.highlightClip, t.maxHighlightClip));
+    }
+
+    // Edge contrast and channel balance collapse in a badly exposed photo, so focus and
+    // colour are only judged once exposure is fine - the shopper fixes the lighting first
+    if (issues.some(found => found.code === 'too_dark' || found.code === 'too_bright')) {
+        return issues;
+    }
+
+    if (metrics.sharpness < t.minSharpness) {
+        issues.push(issue('out_of_focus', metrics.sharpness, t.minSharpness));
+    }
+
+    const { red, green, blue } = metrics.channelMeans;
+    if (metrics.chroma < t.minChroma) {
+        issues.push(issue('no_colour', metrics.chroma, t.minChroma));
+    } else if (green > red || blue > red) {
+        issues.push(issue('colour_cast', Math.max(green, blue) / Math.max(red, 1), 1));
+    } else if (red / Math.max(green, 1) > t.maxRedRatio) {
+        issues.push(issue('colour_cast', red / Math.max(green, 1), t.maxRedRatio));
+    }
+
+    return issues;
+}
+
+// Measure and judge an image -> { passed, issues, metrics }
+async function assessImageQuality(imageBuffer, thresholds = {}) {
+    const metrics = await measureImageQuality(imageBuffer);
+    const issues = findQualityIssues(metrics, thresholds);
+    return { passed: issues.length === 0, issues, metrics };
+}
+
+module.exports = {
+    assessImageQuality,
+    measureImageQuality,
+    findQualityIssues,
+    DEFAULT_THRESHOLDS
+};
@@ -0,0 +1,188 @@
+// Image uploads for /api/analyze
+//
+// Two ways in:
+//   - JSON with a base64 `image` field (the original API)
+//   - multipart/form-data with an `image` file part and the other fields as text parts
+// Multipart bodies are read with byte limits enforced while streaming, so an oversized
+// upload is refused as soon as it crosses the limit instead of after it has arrived.
+// The real format always comes from the file's magic bytes, never the declared type.
+
+const { AsyncResource } = require('async_hooks');
+
+const IMAGE_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    heif: 'image/heif',
+    avif: 'image/avif'
+};
+
+// ISO BMFF brands (bytes 8-11, after "ftyp") for HEIC/HEIF and AVIF
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Format key from the first bytes of a file, or null
+function detectImageFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (AVIF_BRANDS.includes(brand)) return 'avif';
+        if (HEIF_BRANDS.includes(brand)) return 'heif';
+    }
+    return null;
+}
+
+function uploadError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function parseHeaderParams(value) {
+    const params = {};
+    String(value || '').split(';').slice(1).forEach(param => {
+        const index = param.indexOf('=');
+        if (index === -1) return;
+        const key = param.slice(0, index).trim().toLowerCase();
+        params[key] = param.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    });
+    return params;
+}
+
+// Split a complete multipart body into [{ name, filename, contentType, data }]
+function parseMultipartBody(body, boundary) {
+    const opening = Buffer.from(`--${boundary}`);
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const parts = [];
+
+    let position = body.indexOf(opening);
+    if (position === -1) throw uploadError(400, 'Malformed multipart body');
+    position += opening.length;
+
+    while (body.toString('ascii', position, position + 2) !== '--') {
+        const next = body.indexOf(delimiter, position);
+        if (next === -1) throw uploadError(400, 'Malformed multipart body');
+
+        const part = body.subarray(position + 2, next); // Skip the CRLF after the boundary
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) throw uploadError(400, 'Malformed multipart body');
+
+        const headers = {};
+        part.subarray(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        });
+        const disposition = parseHeaderParams(headers['content-disposition']);
+        if (disposition.name) {
+            parts.push({
+                name: disposition.name,
+                filename: disposition.filename,
+                contentType: headers['content-type'] || null,
+                data: part.subarray(headerEnd + 4)
+            });
+        }
+        position = next + delimiter.length;
+    }
+    return parts;
+}
+
+// Express middleware: parse multipart/form-data into req.body (text fields) and
+// req.file ({ fieldName, filename, declaredType, buffer }); other requests pass through
+//   maxFileSize  - bytes allowed for the image part
+//   maxFieldSize - bytes allowed for each text field
+//   maxFields    - number of text fields
+function createMultipartImageParser({ fileField = 'image', maxFileSize, maxFieldSize = 64 * 1024, maxFields = 20 }) {
+    const maxBodySize = maxFileSize + maxFields * maxFieldSize;
+
+    function reject(req, res, status, message) {
+        // Stop buffering but drain the rest, then close the connection
+        req.resume();
+        res.set('Connection', 'close');
+        res.status(status).json({ error: message });
+    }
+
+    return function parseMultipartImage(req, res, next) {
+        if (!req.is('multipart/form-data')) return next();
+
+        const { boundary } = parseHeaderParams(req.get('Content-Type'));
+        if (!boundary) return reject(req, res, 400, 'Multipart upload is missing its boundary');
+
+        const declaredLength = parseInt(req.get('Content-Length'), 10);
+        if (declaredLength > maxBodySize) {
+            return reject(req, res, 413, `Upload is too large. Maximum image size: ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+        }
+
+        const chunks = [];
+        let received = 0;
+        let finished = false;
+
+        function onData(chunk) {
+            received += chunk.length;
+            if (received > maxBodySize) {
+                finished = true;
+                req.off('data', onData);
+                chunks.length = 0;
+                return reject(req, res, 413, `Upload is too large. Maximum image size: ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+            }
+            chunks.push(chunk);
+        }
+
+        // Body events fire outside the request's async context; binding them keeps the
+        // log context (request id) for everything after next()
+        req.on('data', onData);
+        req.on('error', AsyncResource.bind(error => {
+            if (finished) return;
+            finished = true;
+            next(error);
+        }));
+        req.on('end', AsyncResource.bind(() => {
+            if (finished) return;
+            finished = true;
+            try {
+                const parts = parseMultipartBody(Buffer.concat(chunks), boundary);
+                const fields = {};
+                let file = null;
+                let fieldCount = 0;
+
+                parts.forEach(part => {
+                    if (part.name === fileField && part.filename !== undefined) {
+                        if (file) throw uploadError(400, `Only one "${fileField}" file can be uploaded`);
+                        if (part.data.length > maxFileSize) {
+                            throw uploadError(413, `Image is too large. Maximum size: ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+                        }
+                        file = { fieldName: part.name, filename: part.filename, declaredType: part.contentType, buffer: part.data };
+                        return;
+                    }
+                    if (part.filename !== undefined) {
+                        throw uploadError(400, `Unexpected file field "${part.name}"`);
+                    }
+                    if (++fieldCount > maxFields) throw uploadError(413, `Too many form fields (maximum ${maxFields})`);
+                    if (part.data.length > maxFieldSize) throw uploadError(413, `Form field "${part.name}" is too large`);
+
+                    // Repeated fields (conditions=acne&conditions=oily) become arrays
+                    const value = part.data.toString('utf8');
+                    if (part.name in fields) {
+                        fields[part.name] = [].concat(fields[part.name], value);
+                    } else {
+                        fields[part.name] = value;
+                    }
+                });
+
+                req.body = fields;
+                req.file = file;
+                next();
+            } catch (error) {
+                if (!error.status) return next(error);
+                res.status(error.status).json({ error: error.message });
+            }
+        }));
+    };
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    detectImageFormat,
+    parseMultipartBody,
+    createMultipartImageParser
+};
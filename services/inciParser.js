@@ -0,0 +1,194 @@
+// INCI ingredient-list parser
+//
+// Turns label text such as
+//   "Ingredients: Water (Aqua), Niacinamide 10%, 1,2-Hexanediol, Parfum (Fragrance).
+//    May Contain (+/-): CI 77891 (Titanium Dioxide), CI 77491"
+// into ordered, structured entries:
+//   { name: 'niacinamide', aliases: [], percentage: 10, position: 2, display: 'Niacinamide 10%' }
+// Entries after a "may contain" marker go to mayContain instead of ingredients.
+
+const PERCENT_PATTERN = /(\d+(?:[.,]\d+)?)\s*%/;
+// A "+/-" marker may carry its own label ("[+/- May contain: CI 77491]"), consumed with it
+const MAY_CONTAIN_PATTERN = /\[?\s*(?:\bmay\s+contain\b|\bpeut\s+contenir\b|(?:\(\s*\+\s*\/\s*-\s*\)|\+\s*\/\s*-)(?:\s*:?\s*(?:may\s+contain|peut\s+contenir)\b)?)/i;
+
+// Lowercase, collapse spaces, drop quotes and certification markers ("*", "**")
+function cleanName(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/["'`´]/g, '')
+        .replace(/\*+/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.:\-]+|[\s.:\-]+$/g, '')
+        .trim();
+}
+
+// Split on top-level separators, ignoring commas inside parentheses/brackets
+// and commas between digits ("1,2-Hexanediol")
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '(' || ch === '[' || ch === '{') depth++;
+        if ((ch === ')' || ch === ']' || ch === '}') && depth > 0) depth--;
+
+        const isDigitComma = ch === ',' && /\d/.test(text[i - 1] || '') && /\d/.test(text[i + 1] || '');
+        const isSeparator = depth === 0 && !isDigitComma && (ch === ',' || ch === ';' || ch === '\n' || ch === '•' || ch === '·');
+
+        if (isSeparator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// Pull every top-level parenthesised group out of an entry
+// "CI 77891 (Titanium Dioxide)" -> { base: 'CI 77891', groups: ['Titanium Dioxide'] }
+// Nested groups stay inside their parent group and are expanded by the caller
+function extractGroups(text) {
+    let base = '';
+    const groups = [];
+    let depth = 0;
+    let current = '';
+
+    for (const ch of text) {
+        if (ch === '(' || ch === '[') {
+            if (depth > 0) current += ch;
+            depth++;
+        } else if ((ch === ')' || ch === ']') && depth > 0) {
+            depth--;
+            if (depth > 0) {
+                current += ch;
+            } else {
+                groups.push(current);
+                current = '';
+            }
+        } else if (depth > 0) {
+            current += ch;
+        } else {
+            base += ch;
+        }
+    }
+    // Unbalanced bracket: keep what we collected as a group
+    if (current) groups.push(current);
+
+    return { base, groups };
+}
+
+// Expand a group into alias names, including nested groups
+// "Green Tea (Leaf)" -> ['green tea leaf', 'green tea']
+function expandAliases(group) {
+    const { base } = extractGroups(group);
+    const flattened = cleanName(group.replace(/[()\[\]]/g, ' '));
+    const baseName = cleanName(base);
+    return [flattened, baseName].filter(Boolean);
+}
+
+function parsePercentage(text) {
+    const match = text.match(PERCENT_PATTERN);
+    if (!match) return null;
+    const value = parseFloat(match[1].replace(',', '.'));
+    return Number.isFinite(value) && value <= 100 ? value : null;
+}
+
+// Slash-separated single words are alternative names ("Water/Aqua/Eau", "Parfum/Fragrance")
+// but multi-word INCI names keep their slash ("Caprylic/Capric Triglyceride")
+function splitSlashAliases(name) {
+    if (!name.includes('/')) return [];
+    const parts = name.split('/').map(cleanName).filter(Boolean);
+    return parts.every(part => !part.includes(' ')) ? parts : [];
+}
+
+// Parse one top-level entry into a structured ingredient (or null if empty)
+function parseEntry(segment) {
+    const display = segment.replace(/\s+/g, ' ').trim().replace(/\.$/, '');
+    if (!display) return null;
+
+    const { base, groups } = extractGroups(display);
+
+    let percentage = parsePercentage(base);
+    const aliases = [];
+    groups.forEach(group => {
+        // "(10%)" declares a concentration rather than an alias
+        if (/^\s*[<≤~]?\s*\d+(?:[.,]\d+)?\s*%\s*$/.test(group)) {
+            if (percentage === null) percentage = parsePercentage(group);
+            return;
+        }
+        aliases.push(...expandAliases(group));
+    });
+
+    const name = cleanName(base.replace(new RegExp(PERCENT_PATTERN.source, 'g'), ''));
+    if (!name && aliases.length === 0) return null;
+
+    const primary = name || aliases.shift();
+    const allAliases = [...aliases, ...splitSlashAliases(primary)]
+        .filter(alias => alias && alias !== primary);
+
+    return {
+        name: primary,
+        aliases: Array.from(new Set(allAliases)),
+        percentage,
+        display
+    };
+}
+
+// Parse a full ingredient list (string or array of strings)
+function parseInciList(input) {
+    const result = { ingredients: [], mayContain: [] };
+    if (!input) return result;
+
+    let text = Array.isArray(input) ? input.join(', ') : String(input);
+
+    // Strip HTML and a leading "Ingredients:" label
+    text = text
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/^\s*(?:full\s+)?(?:ingredients?|inci)\s*(?:list)?\s*:\s*/i, '');
+
+    // Everything after a "may contain" / "+/-" marker is an optional colorant block
+    let mayContainText = '';
+    const marker = text.match(MAY_CONTAIN_PATTERN);
+    if (marker) {
+        mayContainText = text
+            .slice(marker.index + marker[0].length)
+            .replace(/^\s*(?:\(\s*\+\s*\/\s*-\s*\)|\+\s*\/\s*-)?\s*[:\-]?\s*/, '')
+            .replace(/\]\s*\.?\s*$/, '');
+        text = text.slice(0, marker.index);
+    }
+
+    const collect = (source, target, mayContain) => {
+        splitTopLevel(source).forEach(segment => {
+            const entry = parseEntry(segment);
+            if (entry) {
+                entry.position = target.length + 1;
+                entry.mayContain = mayContain;
+                target.push(entry);
+            }
+        });
+    };
+    collect(text, result.ingredients, false);
+    collect(mayContainText, result.mayContain, true);
+
+    return result;
+}
+
+// All names and aliases of the definite ingredients (for fast Set lookups)
+function getIngredientNames(parsed) {
+    const names = [];
+    parsed.ingredients.forEach(entry => {
+        names.push(entry.name, ...entry.aliases);
+    });
+    return names;
+}
+
+module.exports = {
+    parseInciList,
+    getIngredientNames,
+    cleanName
+};
@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const { consoleLogger } = require('./logger');
+
+const INGREDIENT_LISTS = ['beneficial', 'avoid'];
+// Top-level ingredient classes used by the INCI heuristics, edited like condition lists
+const INGREDIENT_CLASSES = ['fattyAlcohols', 'dryingAlcohols', 'onePercentMarkers'];
+const INTERACTION_SEVERITIES = ['low', 'medium', 'high'];
+
+// Ingredient names are stored normalized so matching never depends on admin casing
+function normalizeEntry(value) {
+    return String(value).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function validateStringList(list, label, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${label} must be an array`);
+        return;
+    }
+    const seen = new Set();
+    list.forEach((entry, index) => {
+        if (typeof entry !== 'string' || entry.trim().length === 0) {
+            errors.push(`${label}[${index}] must be a non-empty string`);
+            return;
+        }
+        if (entry.length > 100) {
+            errors.push(`${label}[${index}] must be 100 characters or less`);
+        }
+        if (entry !== normalizeEntry(entry)) {
+            errors.push(`${label}[${index}] must be lowercase with single spaces ("${entry}")`);
+        }
+        if (seen.has(entry)) {
+            errors.push(`${label} contains duplicate "${entry}"`);
+        }
+        seen.add(entry);
+    });
+}
+
+// Effective concentration ranges: { "niacinamide": { "min": 2, "max": 10 } } in percent
+function validateActiveRanges(ranges, label, errors) {
+    if (!ranges || typeof ranges !== 'object' || Array.isArray(ranges)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    for (const [ingredient, range] of Object.entries(ranges)) {
+        if (ingredient !== normalizeEntry(ingredient)) {
+            errors.push(`${label} key "${ingredient}" must be lowercase with single spaces`);
+        }
+        const { min, max } = range || {};
+        if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max > 100 || min > max) {
+            errors.push(`${label}.${ingredient} must have numeric min <= max between 0 and 100`);
+        }
+    }
+}
+
+// Interaction rules: "pair" rules flag an ingredient from a in one product with one from b
+// in another; "stack" rules flag minProducts or more products sharing any listed ingredient
+function validateInteractionRules(rules, errors) {
+    if (!Array.isArray(rules)) {
+        errors.push('interactionRules must be an array');
+        return;
+    }
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const label = `interactionRules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof rule.id !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(rule.id)) {
+            errors.push(`${label}.id must be lowercase kebab-case`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${label}.id "${rule.id}" is duplicated`);
+        }
+        ids.add(rule.id);
+        if (!INTERACTION_SEVERITIES.includes(rule.severity)) {
+            errors.push(`${label}.severity must be one of: ${INTERACTION_SEVERITIES.join(', ')}`);
+        }
+        if (typeof rule.message !== 'string' || rule.message.trim().length === 0) {
+            errors.push(`${label}.message must be a non-empty string`);
+        }
+        if (rule.advice !== undefined && typeof rule.advice !== 'string') {
+            errors.push(`${label}.advice must be a string`);
+        }
+        if (rule.type === 'pair') {
+            validateStringList(rule.a, `${label}.a`, errors);
+            validateStringList(rule.b, `${label}.b`, errors);
+        } else if (rule.type === 'stack') {
+            validateStringList(rule.ingredients, `${label}.ingredients`, errors);
+            if (!Number.isInteger(rule.minProducts) || rule.minProducts < 2) {
+                errors.push(`${label}.minProducts must be an integer of at least 2`);
+            }
+        } else {
+            errors.push(`${label}.type must be "pair" or "stack"`);
+        }
+    });
+}
+
+// Validate a knowledge base document, returns { valid, errors }
+function validateKnowledgeBase(kb) {
+    const errors = [];
+    if (!kb || typeof kb !== 'object' || Array.isArray(kb)) {
+        return { valid: false, errors: ['Knowledge base must be an object'] };
+    }
+    if (!Number.isInteger(kb.version) || kb.version < 1) {
+        errors.push('version must be a positive integer');
+    }
+
+    if (!kb.conditions || typeof kb.conditions !== 'object' || Array.isArray(kb.conditions)) {
+        errors.push('conditions must be an object');
+    } else {
+        for (const [condition, data] of Object.entries(kb.conditions)) {
+            if (!/^[a-z]+(-[a-z]+)*$/.test(condition)) {
+                errors.push(`condition "${condition}" must be lowercase kebab-case`);
+            }
+            if (!data || typeof data !== 'object') {
+                errors.push(`conditions.${condition} must be an object`);
+                continue;
+            }
+            INGREDIENT_LISTS.forEach(list => {
+                validateStringList(data[list], `conditions.${condition}.${list}`, errors);
+            });
+            if (data.activeRanges !== undefined) {
+                validateActiveRanges(data.activeRanges, `conditions.${condition}.activeRanges`, errors);
+            }
+        }
+    }
+
+    // Skin-type profiles score separately from conditions ({ oily: { beneficial, avoid } })
+    if (kb.skinTypes !== undefined) {
+        if (!kb.skinTypes || typeof kb.skinTypes !== 'object' || Array.isArray(kb.skinTypes)) {
+            errors.push('skinTypes must be an object');
+        } else {
+            for (const [skinType, data] of Object.entries(kb.skinTypes)) {
+                if (!/^[a-z]+$/.test(skinType)) {
+                    errors.push(`skin type "${skinType}" must be a lowercase word`);
+                }
+                if (!data || typeof data !== 'object') {
+                    errors.push(`skinTypes.${skinType} must be an object`);
+                    continue;
+                }
+                INGREDIENT_LISTS.forEach(list => {
+                    validateStringList(data[list], `skinTypes.${skinType}.${list}`, errors);
+                });
+            }
+        }
+    }
+
+    if (!kb.synonyms || typeof kb.synonyms !== 'object' || Array.isArray(kb.synonyms)) {
+        errors.push('synonyms must be an object');
+    } else {
+        for (const [ingredient, variants] of Object.entries(kb.synonyms)) {
+            validateStringList(variants, `synonyms.${ingredient}`, errors);
+        }
+    }
+
+    validateStringList(kb.fattyAlcohols, 'fattyAlcohols', errors);
+    validateStringList(kb.dryingAlcohols, 'dryingAlcohols', errors);
+    if (kb.onePercentMarkers !== undefined) {
+        validateStringList(kb.onePercentMarkers, 'onePercentMarkers', errors);
+    }
+    if (kb.interactionRules !== undefined) {
+        validateInteractionRules(kb.interactionRules, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Create a versioned ingredient knowledge base backed by a JSON file
+// The committed seed is used until the first admin change writes the store file
+// validate(kb) -> extra errors a version must not have beyond the schema (tenant overrides
+// that no longer merge cleanly); such changes and reloads are rejected like schema errors
+function createIngredientKnowledgeBase({ seedPath, storePath, historyPath, onChange = () => {}, validate = () => [], logger = consoleLogger }) {
+    let current = null;
+
+    function check(kb) {
+        const validation = validateKnowledgeBase(kb);
+        return validation.valid ? validate(kb) : validation.errors;
+    }
+
+    function readFile(filePath) {
+        const kb = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const errors = check(kb);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid ingredient knowledge base in ${filePath}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+        return kb;
+    }
+
+    function writeAtomic(filePath, content) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    // (Re)load from disk. Keeps the previous version if the file is invalid
+    function load() {
+        const filePath = storePath && fs.existsSync(storePath) ? storePath : seedPath;
+        const kb = readFile(filePath);
+        const previousVersion = current?.version;
+        current = kb;
+        logger.info('Ingredient knowledge base loaded', { version: kb.version, conditions: Object.keys(kb.conditions).length });
+        if (previousVersion !== undefined) {
+            onChange(current);
+        }
+        return current;
+    }
+
+    function get() {
+        return current || load();
+    }
+
+    // Apply a change to a copy, validate it, persist it and record history
+    function commit(change, mutate) {
+        const next = JSON.parse(JSON.stringify(get()));
+        mutate(next);
+        next.version = get().version + 1;
+        next.updatedAt = new Date().toISOString();
+
+        const errors = check(next);
+        if (errors.length > 0) {
+            const error = new Error('Change would make the knowledge base invalid');
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        writeAtomic(storePath, JSON.stringify(next, null, 2) + '\n');
+        if (historyPath) {
+            fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+            fs.appendFileSync(historyPath, JSON.stringify({
+                version: next.version,
+                at: next.updatedAt,
+                ...change
+            }) + '\n');
+        }
+
+        current = next;
+        onChange(current);
+        return current;
+    }
+
+    function requireList(kb, condition, list) {
+        if (!kb.conditions[condition]) {
+            throw Object.assign(new Error(`Unknown condition: ${condition}`), { status: 404 });
+        }
+        if (!INGREDIENT_LISTS.includes(list)) {
+            throw Object.assign(new Error(`List must be one of: ${INGREDIENT_LISTS.join(', ')}`), { status: 400 });
+        }
+        return kb.conditions[condition][list];
+    }
+
+    function addIngredient(condition, list, ingredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        requireList(get(), condition, list);
+        if (get().conditions[condition][list].includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is already in ${condition}.${list}`), { status: 409 });
+        }
+        return commit({ action: 'add', condition, list, ingredient: entry, actor }, kb => {
+            kb.conditions[condition][list].push(entry);
+        });
+    }
+
+    function renameIngredient(condition, list, ingredient, newIngredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        const newEntry = normalizeEntry(newIngredient);
+        const entries = requireList(get(), condition, list);
+        if (!entries.includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is not in ${condition}.${list}`), { status: 404 });
+        }
+        return commit({ action: 'edit', condition, list, ingredient: newEntry, previous: entry, actor }, kb => {
+            const target = kb.conditions[condition][list];
+            target[target.indexOf(entry)] = newEntry;
+            // The effective concentration range follows the ingredient to its new name
+            const ranges = kb.conditions[condition].activeRanges;
+            if (ranges && ranges[entry] && !ranges[newEntry]) {
+                ranges[newEntry] = ranges[entry];
+                delete ranges[entry];
+            }
+        });
+    }
+
+    function removeIngredient(condition, list, ingredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        const entries = requireList(get(), condition, list);
+        if (!entries.includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is not in ${condition}.${list}`), { status: 404 });
+        }
+        return commit({ action: 'remove', condition, list, ingredient: entry, actor }, kb => {
+            kb.conditions[condition][list] = kb.conditions[condition][list].filter(i => i !== entry);
+        });
+    }
+
+    function requireClass(kb, ingredientClass) {
+        if (!INGREDIENT_CLASSES.includes(ingredientClass)) {
+            throw Object.assign(new Error(`Class must be one of: ${INGREDIENT_CLASSES.join(', ')}`), { status: 400 });
+        }
+        return kb[ingredientClass] || [];
+    }
+
+    function addClassIngredient(ingredientClass, ingredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        if (requireClass(get(), ingredientClass).includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is already in ${ingredientClass}`), { status: 409 });
+        }
+        return commit({ action: 'add', class: ingredientClass, ingredient: entry, actor }, kb => {
+            kb[ingredientClass] = [...(kb[ingredientClass] || []), entry];
+        });
+    }
+
+    function renameClassIngredient(ingredientClass, ingredient, newIngredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        const newEntry = normalizeEntry(newIngredient);
+        if (!requireClass(get(), ingredientClass).includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is not in ${ingredientClass}`), { status: 404 });
+        }
+        return commit({ action: 'edit', class: ingredientClass, ingredient: newEntry, previous: entry, actor }, kb => {
+            kb[ingredientClass] = kb[ingredientClass].map(i => (i === entry ? newEntry : i));
+        });
+    }
+
+    function removeClassIngredient(ingredientClass, ingredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        if (!requireClass(get(), ingredientClass).includes(entry)) {
+            throw Object.assign(new Error(`"${entry}" is not in ${ingredientClass}`), { status: 404 });
+        }
+        return commit({ action: 'remove', class: ingredientClass, ingredient: entry, actor }, kb => {
+            kb[ingredientClass] = kb[ingredientClass].filter(i => i !== entry);
+        });
+    }
+
+    // Create or replace one interaction rule by id; the rule is validated with the rest of the document
+    function setInteractionRule(id, rule, actor) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw Object.assign(new Error('Rule must be an object'), { status: 400 });
+        }
+        const previous = (get().interactionRules || []).find(r => r.id === id) || null;
+        const next = { ...rule, id };
+        ['a', 'b', 'ingredients'].forEach(key => {
+            if (Array.isArray(next[key])) next[key] = next[key].map(normalizeEntry);
+        });
+        return commit({ action: 'set-interaction-rule', ruleId: id, rule: next, previous, actor }, kb => {
+            kb.interactionRules = kb.interactionRules || [];
+            const existing = kb.interactionRules.findIndex(r => r.id === id);
+            if (existing >= 0) kb.interactionRules[existing] = next;
+            else kb.interactionRules.push(next);
+        });
+    }
+
+    function removeInteractionRule(id, actor) {
+        const previous = (get().interactionRules || []).find(r => r.id === id);
+        if (!previous) {
+            throw Object.assign(new Error(`Unknown interaction rule: ${id}`), { status: 404 });
+        }
+        return commit({ action: 'remove-interaction-rule', ruleId: id, previous, actor }, kb => {
+            kb.interactionRules = kb.interactionRules.filter(r => r.id !== id);
+        });
+    }
+
+    function setSynonyms(ingredient, synonyms, actor) {
+        const entry = normalizeEntry(ingredient);
+        if (!Array.isArray(synonyms)) {
+            throw Object.assign(new Error('Synonyms must be an array'), { status: 400 });
+        }
+        const variants = synonyms.map(normalizeEntry);
+        return commit({ action: 'set-synonyms', ingredient: entry, synonyms: variants, previous: get().synonyms[entry] || null, actor }, kb => {
+            kb.synonyms[entry] = variants;
+        });
+    }
+
+    function removeSynonyms(ingredient, actor) {
+        const entry = normalizeEntry(ingredient);
+        if (!get().synonyms[entry]) {
+            throw Object.assign(new Error(`No synonyms for "${entry}"`), { status: 404 });
+        }
+        return commit({ action: 'remove-synonyms', ingredient: entry, previous: get().synonyms[entry], actor }, kb => {
+            delete kb.synonyms[entry];
+        });
+    }
+
+    // Most recent changes first
+    function getHistory(limit = 50) {
+        if (!historyPath || !fs.existsSync(historyPath)) return [];
+        return fs.readFileSync(historyPath, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    return {
+        load,
+        get,
+        addIngredient,
+        renameIngredient,
+        removeIngredient,
+        setSynonyms,
+        removeSynonyms,
+        addClassIngredient,
+        renameClassIngredient,
+        removeClassIngredient,
+        setInteractionRule,
+        removeInteractionRule,
+        getHistory
+    };
+}
+
+module.exports = {
+    createIngredientKnowledgeBase,
+    validateKnowledgeBase,
+    INGREDIENT_LISTS,
+    INGREDIENT_CLASSES
+};
@@ -0,0 +1,101 @@
+// Ingredient interaction rules engine
+//
+// Rules live in the ingredient knowledge base (interactionRules) and are checked across a
+// set of products, e.g. the recommended products or a shopper's own routine:
+//   pair  - an ingredient from rule.a in one product and one from rule.b in another
+//   stack - rule.minProducts or more products containing any of rule.ingredients
+// Combinations inside a single product are left alone: the formulator balanced those.
+
+// Synonym and fuzzy matches are ignored here: broad synonym groups such as "aha"
+// include pH adjusters like citric acid, which would flag almost every product
+const MIN_MATCH_CONFIDENCE = 0.95;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Rule terms found in a product, using the scoring matcher (returns a confidence)
+function findTerms(ingredientSet, terms, matchScore) {
+    return terms.filter(term => matchScore(ingredientSet, term) >= MIN_MATCH_CONFIDENCE);
+}
+
+function describeProduct(product, ingredients) {
+    return { id: product.id, name: product.name, ingredients };
+}
+
+function checkPairRule(rule, products, matchScore) {
+    const conflicts = [];
+    const found = products.map(product => ({
+        product,
+        a: findTerms(product.ingredientSet, rule.a, matchScore),
+        b: findTerms(product.ingredientSet, rule.b, matchScore)
+    }));
+
+    for (let i = 0; i < found.length; i++) {
+        for (let j = i + 1; j < found.length; j++) {
+            const first = found[i];
+            const second = found[j];
+            const firstToSecond = first.a.length > 0 && second.b.length > 0;
+            const secondToFirst = second.a.length > 0 && first.b.length > 0;
+            if (!firstToSecond && !secondToFirst) continue;
+
+            conflicts.push({
+                products: [
+                    describeProduct(first.product, [
+                        ...(firstToSecond ? first.a : []),
+                        ...(secondToFirst ? first.b : [])
+                    ]),
+                    describeProduct(second.product, [
+                        ...(firstToSecond ? second.b : []),
+                        ...(secondToFirst ? second.a : [])
+                    ])
+                ]
+            });
+        }
+    }
+    return conflicts;
+}
+
+function checkStackRule(rule, products, matchScore) {
+    const involved = products
+        .map(product => describeProduct(product, findTerms(product.ingredientSet, rule.ingredients, matchScore)))
+        .filter(product => product.ingredients.length > 0);
+
+    return involved.length >= rule.minProducts ? [{ products: involved }] : [];
+}
+
+// Check products ({ id, name, ingredientSet }) against every rule
+// matchScore(ingredientSet, term) must return a 0-1 confidence (hasIngredient with returnScore)
+function detectInteractions(products, rules, matchScore) {
+    const conflicts = [];
+
+    (rules || []).forEach(rule => {
+        const found = rule.type === 'stack'
+            ? checkStackRule(rule, products, matchScore)
+            : checkPairRule(rule, products, matchScore);
+
+        found.forEach(conflict => conflicts.push({
+            rule: rule.id,
+            type: rule.type,
+            severity: rule.severity,
+            message: rule.message,
+            advice: rule.advice || null,
+            products: conflict.products
+        }));
+    });
+
+    return conflicts.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+// Count conflicts per severity for quick display
+function summarizeInteractions(conflicts) {
+    const summary = { total: conflicts.length, high: 0, medium: 0, low: 0 };
+    conflicts.forEach(conflict => {
+        summary[conflict.severity]++;
+    });
+    return summary;
+}
+
+module.exports = {
+    detectInteractions,
+    summarizeInteractions,
+    MIN_MATCH_CONFIDENCE
+};
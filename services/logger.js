@@ -0,0 +1,145 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging - one JSON object per line
+//
+// Every entry has time, level and msg plus the fields passed with it. Entries written
+// while a request is being handled also carry that request's context (requestId,
+// tenant, jobId) from AsyncLocalStorage, so concurrent requests can be told apart
+// without passing a logger around.
+//
+// Fields named in `redact` are replaced wherever they appear in an entry. Callers put
+// shopper text under `description` and model output under `aiOutput`, which is what
+// is redacted by default.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify; keep what helps and the stack at debug level
+function serializeError(error, withStack) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.response?.status ? { responseStatus: error.response.status } : {}),
+        ...(withStack && error.stack ? { stack: error.stack } : {})
+    };
+}
+
+function redactValue(value) {
+    if (typeof value === 'string') return `[redacted: ${value.length} chars]`;
+    return '[redacted]';
+}
+
+// Copy of value with redacted fields replaced and errors serialized
+function prepare(value, redacted, withStack, depth = 0) {
+    if (value instanceof Error) return serializeError(value, withStack);
+    if (value === null || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => prepare(item, redacted, withStack, depth + 1));
+    const copy = {};
+    Object.entries(value).forEach(([key, entry]) => {
+        copy[key] = redacted.has(key) && entry !== undefined && entry !== null && entry !== ''
+            ? redactValue(entry)
+            : prepare(entry, redacted, withStack, depth + 1);
+    });
+    return copy;
+}
+
+// Human-readable line for local development
+function formatPretty(entry) {
+    const { time, level, msg, requestId, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId.slice(0, 8)}]` : ''} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+//   level   - debug, info, warn, error or silent
+//   format  - json, or pretty for local development
+//   redact  - field names to redact
+//   base    - fields added to every entry
+function createLogger({ level = 'info', format = 'json', redact = [], base = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    const threshold = LEVELS[level];
+    const redacted = new Set(redact);
+
+    function isLevelEnabled(entryLevel) {
+        return LEVELS[entryLevel] >= threshold;
+    }
+
+    function write(entryLevel, msg, fields = {}) {
+        if (!isLevelEnabled(entryLevel)) return;
+        const entry = prepare({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...base,
+            ...requestContext.getStore(),
+            ...fields
+        }, redacted, threshold <= LEVELS.debug);
+
+        let line;
+        try {
+            line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        } catch (error) {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: error.message });
+        }
+        (LEVELS[entryLevel] >= LEVELS.warn ? stderr : stdout).write(`${line}\n`);
+    }
+
+    return {
+        level,
+        isLevelEnabled,
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        // Logger with extra fields on every entry
+        child: fields => createLogger({ level, format, redact, base: { ...base, ...fields }, stdout, stderr })
+    };
+}
+
+// Run fn with context fields on every entry logged inside it (including async work it starts)
+function runWithLogContext(context, fn) {
+    return requestContext.run({ ...requestContext.getStore(), ...context }, fn);
+}
+
+// Add fields to the current context (e.g. the tenant once it is resolved)
+function addLogContext(fields) {
+    const store = requestContext.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+// LOG_LEVEL (default info), LOG_FORMAT (json or pretty) and
+// LOG_REDACT (field names, default description,aiOutput; "none" to log everything)
+function createLoggerFromEnv(env) {
+    const redact = env.LOG_REDACT === undefined ? 'description,aiOutput' : env.LOG_REDACT;
+    return createLogger({
+        level: (env.LOG_LEVEL || 'info').toLowerCase(),
+        format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+        redact: redact === 'none' ? [] : redact.split(',').map(field => field.trim()).filter(Boolean)
+    });
+}
+
+// Stand-in for services created without a logger
+const consoleLogger = {
+    level: 'info',
+    isLevelEnabled: entryLevel => LEVELS[entryLevel] >= LEVELS.info,
+    debug: () => {},
+    info: (msg, fields) => console.log(msg, fields || ''),
+    warn: (msg, fields) => console.warn(msg, fields || ''),
+    error: (msg, fields) => console.error(msg, fields || '')
+};
+consoleLogger.child = () => consoleLogger;
+
+module.exports = {
+    createLogger,
+    createLoggerFromEnv,
+    runWithLogContext,
+    addLogContext,
+    consoleLogger,
+    LEVELS
+};
@@ -0,0 +1,145 @@
+const { consoleLogger } = require('./logger');
+
+// Prometheus metrics - counters, gauges and histograms in the text exposition format
+//
+// Metrics are registered once at startup and updated as requests run. Values that
+// already live elsewhere (cache counters, store sizes) are read at scrape time through
+// a metric's collect(set) callback - sync or async - instead of being mirrored on every
+// change. A collect that fails leaves its metric empty for that scrape.
+
+// Latency buckets in seconds - from cache hits (ms) up to slow AI calls (tens of seconds)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function createMetricsRegistry({ prefix = '', logger = consoleLogger } = {}) {
+    const metrics = [];
+
+    function register(type, { name, help, labelNames = [], collect = null }) {
+        const metric = { type, name: prefix + name, help, labelNames, collect, series: new Map() };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Series are keyed by their label values in labelNames order; unknown labels are dropped
+    function seriesFor(metric, labels, create) {
+        const picked = {};
+        metric.labelNames.forEach(labelName => {
+            picked[labelName] = labels[labelName] === undefined ? '' : String(labels[labelName]);
+        });
+        const key = metric.labelNames.map(labelName => picked[labelName]).join('\u0000');
+        if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...create() });
+        return metric.series.get(key);
+    }
+
+    function counter(options) {
+        const metric = register('counter', options);
+        return {
+            inc(labels = {}, value = 1) {
+                seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    }
+
+    function gauge(options) {
+        const metric = register('gauge', options);
+        return {
+            set(labels, value) {
+                seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+            }
+        };
+    }
+
+    function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+        const metric = register('histogram', options);
+        metric.buckets = [...buckets].sort((a, b) => a - b);
+
+        function observe(labels, value) {
+            const series = seriesFor(metric, labels, () => ({
+                counts: metric.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            }));
+            metric.buckets.forEach((bound, index) => {
+                if (value <= bound) series.counts[index]++;
+            });
+            series.sum += value;
+            series.count++;
+        }
+
+        // -> end(extraLabels) observing the seconds since start
+        function startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            };
+        }
+
+        return { observe, startTimer };
+    }
+
+    async function renderMetric(metric) {
+        if (metric.collect) {
+            metric.series.clear();
+            try {
+                await metric.collect((labels, value) => {
+                    seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+                });
+            } catch (error) {
+                logger.error('Metrics collect error', { metric: metric.name, error });
+                metric.series.clear();
+            }
+        }
+
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        metric.series.forEach(series => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                return;
+            }
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines.join('\n');
+    }
+
+    // Every metric in the text exposition format
+    async function render() {
+        const rendered = [];
+        for (const metric of metrics) {
+            rendered.push(await renderMetric(metric));
+        }
+        return `${rendered.join('\n')}\n`;
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8'
+    };
+}
+
+module.exports = {
+    createMetricsRegistry,
+    DEFAULT_BUCKETS
+};
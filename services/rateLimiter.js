@@ -0,0 +1,83 @@
+// Sliding-window rate limiting
+//
+// Each key (an IP address or an API key name) keeps the timestamps of its accepted
+// requests inside every window. A request is accepted only when every window still has
+// room, so "10 a minute and 100 a day" both hold at any moment - there is no fixed
+// window edge to burst across. Rejected requests are not recorded, so a client that
+// keeps retrying gets through as soon as its oldest request leaves the window.
+
+// windows: [{ name, windowMs, limit }]
+function createRateLimiter({ windows }) {
+    const keys = new Map(); // key -> [timestamps per window]
+    const stats = { allowed: 0, limited: 0 };
+
+    function prune(timestamps, windowMs, now) {
+        while (timestamps.length > 0 && timestamps[0] <= now - windowMs) {
+            timestamps.shift();
+        }
+    }
+
+    // Count a request for key -> { allowed, limit, remaining, retryAfterMs, window }
+    // limit/remaining describe the tightest window
+    function hit(key) {
+        const now = Date.now();
+        if (!keys.has(key)) keys.set(key, windows.map(() => []));
+        const logs = keys.get(key);
+
+        let blocked = null;
+        windows.forEach((window, index) => {
+            prune(logs[index], window.windowMs, now);
+            if (logs[index].length >= window.limit) {
+                const retryAfterMs = logs[index][0] + window.windowMs - now;
+                if (!blocked || retryAfterMs > blocked.retryAfterMs) {
+                    blocked = { window: window.name, limit: window.limit, retryAfterMs };
+                }
+            }
+        });
+
+        if (blocked) {
+            stats.limited++;
+            return { allowed: false, remaining: 0, ...blocked };
+        }
+
+        logs.forEach(timestamps => timestamps.push(now));
+        stats.allowed++;
+
+        let tightest = null;
+        windows.forEach((window, index) => {
+            const remaining = window.limit - logs[index].length;
+            if (!tightest || remaining < tightest.remaining) {
+                tightest = { window: window.name, limit: window.limit, remaining };
+            }
+        });
+        return { allowed: true, retryAfterMs: 0, ...tightest };
+    }
+
+    // Drop keys with no requests left in any window
+    function cleanExpired() {
+        const now = Date.now();
+        let cleaned = 0;
+        for (const [key, logs] of keys.entries()) {
+            logs.forEach((timestamps, index) => prune(timestamps, windows[index].windowMs, now));
+            if (logs.every(timestamps => timestamps.length === 0)) {
+                keys.delete(key);
+                cleaned++;
+            }
+        }
+        return cleaned;
+    }
+
+    function getStats() {
+        return {
+            windows: windows.map(({ name, windowMs, limit }) => ({ name, windowSeconds: windowMs / 1000, limit })),
+            trackedKeys: keys.size,
+            ...stats
+        };
+    }
+
+    return { hit, cleanExpired, getStats };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,196 @@
+// AM/PM routine builder
+//
+// Picks one product per routine slot so that:
+//   - the routine fits a total budget (each product is paid for once, even if used AM and PM)
+//   - products used in the same routine (AM or PM) have no blocking ingredient conflicts
+//   - the sum of slot values (match score + relevance) is as high as possible
+// Slots are filled from a shortlist per step and searched exhaustively, which stays small
+// (MAX_CANDIDATES_PER_SLOT ^ slots combinations). Shortlists cap how many products share
+// the same actives, so a conflict-free alternative survives even when the best-scoring
+// products all use the same acid.
+
+const ROUTINE_STEPS = {
+    // Checked in this order: "SPF 30 Moisturizer" is sunscreen, "Cleansing Gel" is a cleanser
+    spf: ['spf', 'sunscreen', 'sun screen', 'sunblock', 'sun protection', 'uv protection'],
+    cleanser: ['cleanser', 'cleansing', 'face wash', 'facial wash', 'micellar', 'cleansing balm'],
+    moisturizer: ['moisturizer', 'moisturiser', 'moisturizing cream', 'day cream', 'night cream', 'face cream', 'lotion', 'gel cream'],
+    treatment: ['serum', 'treatment', 'toner', 'essence', 'ampoule', 'exfoliant', 'exfoliator', 'peel', 'corrector', 'booster', 'face oil']
+};
+
+const ROUTINE_SLOTS = [
+    { id: 'cleanser', step: 'cleanser', routines: ['am', 'pm'] },
+    { id: 'am-treatment', step: 'treatment', routines: ['am'] },
+    { id: 'pm-treatment', step: 'treatment', routines: ['pm'] },
+    { id: 'moisturizer', step: 'moisturizer', routines: ['am', 'pm'] },
+    { id: 'spf', step: 'spf', routines: ['am'] }
+];
+
+// Photosensitizing actives belong in the evening routine
+const PM_ONLY_INGREDIENTS = [
+    'retinol', 'retinal', 'retinaldehyde', 'retinyl palmitate', 'retinyl retinoate',
+    'hydroxypinacolone retinoate', 'tretinoin', 'retinoic acid', 'adapalene',
+    'glycolic acid', 'lactic acid', 'mandelic acid'
+];
+
+const MAX_CANDIDATES_PER_SLOT = 8;
+const MAX_CANDIDATES_PER_PROFILE = 2;
+const FILLED_SLOT_VALUE = 50; // A filled slot always beats an empty one
+const RELEVANCE_BONUS = 10;   // Product matches a category relevant to the conditions
+
+function containsKeyword(text, keywords) {
+    return keywords.some(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+}
+
+// Routine step for a product from its categories, then its name (null if none fits)
+function classifyProductStep(product) {
+    const categoryText = (product.categories || []).map(c => String(c.name || '').toLowerCase()).join(' | ');
+    const nameText = String(product.name || '').toLowerCase();
+
+    for (const text of [categoryText, nameText]) {
+        const step = Object.keys(ROUTINE_STEPS).find(key => containsKeyword(text, ROUTINE_STEPS[key]));
+        if (step) return step;
+    }
+    return null;
+}
+
+// Lowest price the shopper can pay (variable products carry min_price from the catalog sync)
+function getProductPrice(product) {
+    const price = product.min_price !== undefined ? product.min_price : parseFloat(product.price);
+    return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function isRelevant(product, relevantCategories) {
+    const text = [
+        String(product.name || ''),
+        ...(product.categories || []).map(c => String(c.name || ''))
+    ].join(' | ').toLowerCase();
+    return relevantCategories.some(category => text.includes(category));
+}
+
+// Best candidates first, at most MAX_CANDIDATES_PER_PROFILE sharing the same actives
+function pickDiverse(candidates) {
+    const perProfile = new Map();
+    const picked = [];
+    for (const candidate of candidates) {
+        const count = perProfile.get(candidate.activeProfile) || 0;
+        if (count >= MAX_CANDIDATES_PER_PROFILE) continue;
+        perProfile.set(candidate.activeProfile, count + 1);
+        picked.push(candidate);
+        if (picked.length >= MAX_CANDIDATES_PER_SLOT) break;
+    }
+    return picked;
+}
+
+// Turn scored products into per-slot shortlists
+// products: [{ product, matchScore, ingredientSet }]
+// activeTerms: ingredients that drive conflicts (from the interaction rules)
+function buildShortlists(products, { relevantCategories, activeTerms = [], matchScore }) {
+    const profileTerms = Array.from(new Set([...activeTerms, ...PM_ONLY_INGREDIENTS]));
+    const matchesTerm = (ingredientSet, term) => matchScore(ingredientSet, term) >= 0.95;
+
+    const byStep = { spf: [], cleanser: [], moisturizer: [], treatment: [] };
+
+    products.forEach(entry => {
+        const step = classifyProductStep(entry.product);
+        const price = getProductPrice(entry.product);
+        if (!step || price === null) return;
+
+        const actives = profileTerms.filter(term => matchesTerm(entry.ingredientSet, term));
+        byStep[step].push({
+            ...entry,
+            id: entry.product.id,
+            step,
+            price,
+            relevant: isRelevant(entry.product, relevantCategories),
+            pmOnly: PM_ONLY_INGREDIENTS.some(term => actives.includes(term)),
+            activeProfile: actives.sort().join('|')
+        });
+    });
+
+    const value = candidate => FILLED_SLOT_VALUE + candidate.matchScore + (candidate.relevant ? RELEVANCE_BONUS : 0);
+
+    const shortlists = {};
+    ROUTINE_SLOTS.forEach(slot => {
+        shortlists[slot.id] = pickDiverse(byStep[slot.step]
+            .filter(candidate => !(slot.routines.includes('am') && candidate.pmOnly))
+            .map(candidate => ({ ...candidate, value: value(candidate) }))
+            .sort((a, b) => b.value - a.value || a.price - b.price));
+    });
+    return shortlists;
+}
+
+// Search for the best routine within the budget
+// conflicts(a, b) returns true when two candidates must not share a routine
+function selectRoutine(shortlists, totalBudget, conflicts) {
+    const conflictCache = new Map();
+    const hasConflict = (a, b) => {
+        if (a.id === b.id) return false;
+        const key = a.id < b.id ? `${a.id}_${b.id}` : `${b.id}_${a.id}`;
+        if (!conflictCache.has(key)) conflictCache.set(key, conflicts(a, b));
+        return conflictCache.get(key);
+    };
+
+    let best = { value: -1, price: Infinity, picks: {} };
+    const picks = {};
+
+    function search(index, value) {
+        if (index === ROUTINE_SLOTS.length) {
+            const price = totalPrice(picks);
+            if (value > best.value || (value === best.value && price < best.price)) {
+                best = { value, price, picks: { ...picks } };
+            }
+            return;
+        }
+
+        const slot = ROUTINE_SLOTS[index];
+        for (const candidate of shortlists[slot.id]) {
+            picks[slot.id] = candidate;
+            if (totalPrice(picks) <= totalBudget && fitsRoutines(slot, candidate)) {
+                search(index + 1, value + candidate.value);
+            }
+        }
+        picks[slot.id] = null;
+        search(index + 1, value);
+    }
+
+    // The new pick must not clash with anything already in the same routine
+    function fitsRoutines(slot, candidate) {
+        return ROUTINE_SLOTS
+            .filter(other => other.id !== slot.id && picks[other.id])
+            .filter(other => other.routines.some(routine => slot.routines.includes(routine)))
+            .every(other => !hasConflict(candidate, picks[other.id]));
+    }
+
+    search(0, 0);
+    return { picks: best.picks, totalPrice: best.price === Infinity ? 0 : best.price };
+}
+
+// Products are paid for once even when they fill several slots
+function totalPrice(picks) {
+    const seen = new Map();
+    Object.values(picks).forEach(candidate => {
+        if (candidate) seen.set(candidate.id, candidate.price);
+    });
+    return Array.from(seen.values()).reduce((sum, price) => sum + price, 0);
+}
+
+// Lay the picks out as ordered AM and PM steps
+function layoutRoutine(picks) {
+    const routine = { am: [], pm: [] };
+    ROUTINE_SLOTS.forEach(slot => {
+        const candidate = picks[slot.id];
+        if (!candidate) return;
+        slot.routines.forEach(time => routine[time].push({ step: slot.step, slot: slot.id, candidate }));
+    });
+    return routine;
+}
+
+module.exports = {
+    ROUTINE_STEPS,
+    ROUTINE_SLOTS,
+    classifyProductStep,
+    getProductPrice,
+    buildShortlists,
+    selectRoutine,
+    layoutRoutine
+};
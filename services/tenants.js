@@ -0,0 +1,238 @@
+const fs = require('fs');
+
+// Tenants - several WooCommerce storefronts served from one deployment
+//
+// Without a tenants file there is one "default" tenant built from the WOOCOMMERCE_*
+// environment, which is how a single-store deployment always worked. With one, each
+// tenant has its own store credentials, budget ranges, currency, ingredient overrides
+// and cache namespace, and a request is routed to its tenant by API key (X-API-Key)
+// or by Host. Secrets can stay out of the file: a value of "env:NAME" is read from
+// the environment.
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Knowledge base sections a tenant can override, and how:
+//   conditions, skinTypes - per entry, per list (a tenant's "acne.avoid" replaces the global one)
+//   synonyms              - per ingredient
+//   the rest              - replaced as a whole
+const MERGED_SECTIONS = ['conditions', 'skinTypes'];
+const KEYED_SECTIONS = ['synonyms'];
+const REPLACED_SECTIONS = ['onePercentMarkers', 'dryingAlcohols', 'fattyAlcohols', 'interactionRules'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveValue(value, env) {
+    if (typeof value === 'string' && value.startsWith('env:')) {
+        return env[value.slice(4)];
+    }
+    return value;
+}
+
+function validateBudgetRanges(ranges, label, errors) {
+    if (!isPlainObject(ranges) || Object.keys(ranges).length === 0) {
+        errors.push(`${label} must be an object of { min, max } ranges`);
+        return;
+    }
+    Object.entries(ranges).forEach(([name, range]) => {
+        if (!isPlainObject(range) || typeof range.min !== 'number' || typeof range.max !== 'number' ||
+            range.min < 0 || range.max < range.min) {
+            errors.push(`${label}.${name} must be { min, max } with 0 <= min <= max`);
+        }
+        if (name !== name.toLowerCase()) {
+            errors.push(`${label}.${name} must be lowercase`);
+        }
+    });
+}
+
+function validateIngredientOverrides(overrides, label, errors) {
+    if (!isPlainObject(overrides)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    const known = [...MERGED_SECTIONS, ...KEYED_SECTIONS, ...REPLACED_SECTIONS];
+    Object.keys(overrides).forEach(section => {
+        if (!known.includes(section)) {
+            errors.push(`${label}.${section} is not an overridable section (${known.join(', ')})`);
+        }
+    });
+    // The merged result is validated against the full knowledge base schema when it is built
+}
+
+// Normalize one tenant from the file; problems are pushed to errors
+function normalizeTenant(raw, index, env, errors) {
+    const label = `tenants[${index}]`;
+    if (!isPlainObject(raw)) {
+        errors.push(`${label} must be an object`);
+        return null;
+    }
+    if (typeof raw.id !== 'string' || !TENANT_ID_PATTERN.test(raw.id)) {
+        errors.push(`${label}.id must be lowercase letters, digits and dashes`);
+    }
+
+    const store = isPlainObject(raw.woocommerce) ? raw.woocommerce : {};
+    const woocommerce = {
+        url: resolveValue(store.url, env),
+        consumerKey: resolveValue(store.consumerKey, env),
+        consumerSecret: resolveValue(store.consumerSecret, env),
+        webhookSecret: resolveValue(store.webhookSecret, env) || null,
+        checkoutPath: store.checkoutPath || '/checkout-link/'
+    };
+    ['url', 'consumerKey', 'consumerSecret'].forEach(field => {
+        if (!woocommerce[field]) errors.push(`${label}.woocommerce.${field} is required`);
+    });
+
+    const hosts = raw.hosts || [];
+    const apiKeys = (raw.apiKeys || []).map(key => resolveValue(key, env));
+    if (!Array.isArray(hosts) || !hosts.every(host => typeof host === 'string' && host)) {
+        errors.push(`${label}.hosts must be a list of host names`);
+    }
+    if (!apiKeys.every(key => typeof key === 'string' && key)) {
+        errors.push(`${label}.apiKeys must be a list of keys`);
+    }
+    if (raw.budgetRanges !== undefined) {
+        validateBudgetRanges(raw.budgetRanges, `${label}.budgetRanges`, errors);
+    }
+    if (raw.ingredientOverrides !== undefined) {
+        validateIngredientOverrides(raw.ingredientOverrides, `${label}.ingredientOverrides`, errors);
+    }
+    if (raw.currency !== undefined && (typeof raw.currency !== 'string' || !/^[A-Z]{3}$/.test(raw.currency))) {
+        errors.push(`${label}.currency must be an ISO 4217 code such as "EUR"`);
+    }
+
+    return {
+        id: raw.id,
+        name: raw.name || raw.id,
+        hosts: Array.isArray(hosts) ? hosts.map(host => String(host).toLowerCase()) : [],
+        apiKeys,
+        woocommerce,
+        currency: raw.currency || '',
+        budgetRanges: raw.budgetRanges || null,
+        ingredientOverrides: raw.ingredientOverrides || null,
+        wishlistCustomerSecret: resolveValue(raw.wishlistCustomerSecret, env) || null
+    };
+}
+
+// Read and check a tenants file -> { tenants, defaultTenant }
+// Throws with validationErrors when the file is invalid
+function loadTenantConfig(filePath, env) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = [];
+    const tenants = Array.isArray(config.tenants)
+        ? config.tenants.map((raw, index) => normalizeTenant(raw, index, env, errors)).filter(Boolean)
+        : [];
+    if (tenants.length === 0) {
+        errors.push('tenants must be a non-empty list');
+    }
+
+    const seen = { id: new Set(), host: new Set(), apiKey: new Set() };
+    tenants.forEach(tenant => {
+        if (seen.id.has(tenant.id)) errors.push(`Duplicate tenant id "${tenant.id}"`);
+        seen.id.add(tenant.id);
+        tenant.hosts.forEach(host => {
+            if (seen.host.has(host)) errors.push(`Host "${host}" belongs to more than one tenant`);
+            seen.host.add(host);
+        });
+        tenant.apiKeys.forEach(key => {
+            if (seen.apiKey.has(key)) errors.push(`An API key of tenant "${tenant.id}" is used by another tenant`);
+            seen.apiKey.add(key);
+        });
+    });
+    if (config.defaultTenant !== undefined && !seen.id.has(config.defaultTenant)) {
+        errors.push(`defaultTenant "${config.defaultTenant}" is not a tenant`);
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid tenants file ${filePath}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    return { tenants, defaultTenant: config.defaultTenant || null };
+}
+
+// The single tenant of a deployment without a tenants file
+function createDefaultTenant(env) {
+    return {
+        id: 'default',
+        name: 'default',
+        hosts: [],
+        apiKeys: [],
+        woocommerce: {
+            url: env.WOOCOMMERCE_URL,
+            consumerKey: env.WOOCOMMERCE_CONSUMER_KEY,
+            consumerSecret: env.WOOCOMMERCE_CONSUMER_SECRET,
+            webhookSecret: env.WOOCOMMERCE_WEBHOOK_SECRET || null,
+            checkoutPath: env.WOOCOMMERCE_CHECKOUT_PATH || '/checkout-link/'
+        },
+        currency: env.STORE_CURRENCY || '',
+        budgetRanges: null,
+        ingredientOverrides: null,
+        wishlistCustomerSecret: env.WISHLIST_CUSTOMER_SECRET || null
+    };
+}
+
+// The global knowledge base with a tenant's overrides applied (a new object)
+function applyIngredientOverrides(kb, overrides) {
+    if (!overrides) return kb;
+    const merged = JSON.parse(JSON.stringify(kb));
+    MERGED_SECTIONS.forEach(section => {
+        Object.entries(overrides[section] || {}).forEach(([key, entry]) => {
+            merged[section] = merged[section] || {};
+            merged[section][key] = { ...merged[section][key], ...entry };
+        });
+    });
+    KEYED_SECTIONS.forEach(section => {
+        if (overrides[section]) merged[section] = { ...merged[section], ...overrides[section] };
+    });
+    REPLACED_SECTIONS.forEach(section => {
+        if (overrides[section] !== undefined) merged[section] = overrides[section];
+    });
+    return merged;
+}
+
+function normalizeStoreUrl(url) {
+    return String(url || '').toLowerCase().replace(/\/+$/, '');
+}
+
+// Look tenants up for a request
+// items are per-tenant records with the normalized tenant as item.config
+function createTenantRegistry({ items, defaultTenantId = null }) {
+    const byId = new Map(items.map(item => [item.config.id, item]));
+    const byApiKey = new Map();
+    const byHost = new Map();
+    items.forEach(item => {
+        item.config.apiKeys.forEach(key => byApiKey.set(key, item));
+        item.config.hosts.forEach(host => byHost.set(host, item));
+    });
+    const fallback = defaultTenantId ? byId.get(defaultTenantId) : (items.length === 1 ? items[0] : null);
+
+    // API key first (server-to-server calls), then Host, then the default tenant; null if none match
+    function resolve({ apiKey, host }) {
+        if (apiKey && byApiKey.has(apiKey)) return byApiKey.get(apiKey);
+        if (host && byHost.has(host.toLowerCase())) return byHost.get(host.toLowerCase());
+        return fallback || null;
+    }
+
+    // WooCommerce webhooks name their store in X-WC-Webhook-Source
+    function findByStoreUrl(url) {
+        const source = normalizeStoreUrl(url);
+        if (!source) return null;
+        return items.find(item => normalizeStoreUrl(item.config.woocommerce.url) === source) || null;
+    }
+
+    return {
+        resolve,
+        findByStoreUrl,
+        get: id => byId.get(id) || null,
+        list: () => items,
+        isApiKey: key => byApiKey.has(key)
+    };
+}
+
+module.exports = {
+    loadTenantConfig,
+    createDefaultTenant,
+    applyIngredientOverrides,
+    createTenantRegistry
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { consoleLogger } = require('./logger');
+
+// Wishlist storages share one interface, keyed by owner ("session:<uuid>" or "customer:<id>"):
+//   list(owner), add(owner, item), remove(owner, productId), updateScores(owner, scores)
+// Items look like { productId, addedAt, lastMatchScore, scoredConditions, scoredAt }
+
+// File storage - one JSON document holding every wishlist
+function createFileWishlistStorage({ filePath, logger = consoleLogger }) {
+    let wishlists = null;
+
+    function load() {
+        if (wishlists) return wishlists;
+        try {
+            wishlists = fs.existsSync(filePath)
+                ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+                : {};
+        } catch (error) {
+            logger.error('Wishlist storage load error', { error });
+            wishlists = {};
+        }
+        return wishlists;
+    }
+
+    function persist() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(wishlists));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        name: 'file',
+        async list(owner) {
+            return load()[owner] || [];
+        },
+        async add(owner, item) {
+            const items = load()[owner] || [];
+            const existing = items.find(i => i.productId === item.productId);
+            if (existing) {
+                Object.assign(existing, item, { addedAt: existing.addedAt });
+            } else {
+                items.push(item);
+            }
+            wishlists[owner] = items;
+            persist();
+            return items;
+        },
+        async remove(owner, productId) {
+            const items = (load()[owner] || []).filter(i => i.productId !== productId);
+            if (items.length > 0) {
+                wishlists[owner] = items;
+            } else {
+                delete wishlists[owner];
+            }
+            persist();
+            return items;
+        },
+        async updateScores(owner, scores) {
+            const items = load()[owner];
+            if (!items) return;
+            let changed = false;
+            items.forEach(item => {
+                const scored = scores.get(item.productId);
+                if (scored) {
+                    Object.assign(item, scored);
+                    changed = true;
+                }
+            });
+            if (changed) persist();
+        }
+    };
+}
+
+// YITH-style wishlist plugin adapter - customer wishlists live in WordPress
+// Anonymous sessions and match-score metadata stay in the local storage
+function createPluginWishlistStorage({ storeUrl, apiPath, consumerKey, consumerSecret, localStorage }) {
+    const client = axios.create({
+        baseURL: `${String(storeUrl).replace(/\/$/, '')}${apiPath}`,
+        auth: { username: consumerKey, password: consumerSecret },
+        timeout: 10000
+    });
+
+    function customerId(owner) {
+        return owner.startsWith('customer:') ? owner.slice('customer:'.length) : null;
+    }
+
+    return {
+        name: 'plugin',
+        async list(owner) {
+            const userId = customerId(owner);
+            const localItems = await localStorage.list(owner);
+            if (!userId) return localItems;
+
+            const response = await client.get('/items', { params: { user_id: userId } });
+            const localById = new Map(localItems.map(i => [i.productId, i]));
+            return (response.data || []).map(remote => ({
+                addedAt: remote.dateadded || null,
+                ...localById.get(parseInt(remote.prod_id, 10)),
+                productId: parseInt(remote.prod_id, 10)
+            }));
+        },
+        async add(owner, item) {
+            const userId = customerId(owner);
+            if (userId) {
+                await client.post('/items', { user_id: userId, product_id: item.productId });
+            }
+            return localStorage.add(owner, item);
+        },
+        async remove(owner, productId) {
+            const userId = customerId(owner);
+            if (userId) {
+                await client.delete(`/items/${productId}`, { params: { user_id: userId } });
+            }
+            return localStorage.remove(owner, productId);
+        },
+        updateScores: (owner, scores) => localStorage.updateScores(owner, scores)
+    };
+}
+
+// Verify a customer id signed by the storefront: hex HMAC-SHA256 of the id
+function verifyCustomerSignature(customerId, signature, secret) {
+    if (!customerId || !signature || !secret) return false;
+    const expected = crypto.createHmac('sha256', secret).update(String(customerId)).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    if (expectedBuffer.length !== signatureBuffer.length) return false;
+    return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+module.exports = {
+    createFileWishlistStorage,
+    createPluginWishlistStorage,
+    verifyCustomerSignature
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Verify X-WC-Webhook-Signature: base64 HMAC-SHA256 of the raw request body
+function verifyWebhookSignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) return false;
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(rawBody)
+        .digest('base64');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    if (expectedBuffer.length !== signatureBuffer.length) return false;
+    return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// Normalize a webhook topic to { resource, event }
+// Handles "product.updated" as well as the "action.edited_product_cat" style
+// topics WooCommerce uses for taxonomy hooks
+function parseWebhookTopic(topic) {
+    if (!topic || typeof topic !== 'string') return null;
+
+    const actionMatch = topic.match(/^action\.(?:woocommerce_)?(created|edited|delete|deleted|updated)_product_cat$/);
+    if (actionMatch) {
+        const eventMap = { created: 'created', edited: 'updated', updated: 'updated', delete: 'deleted', deleted: 'deleted' };
+        return { resource: 'product_cat', event: eventMap[actionMatch[1]] };
+    }
+
+    const [resource, event] = topic.split('.');
+    if (!resource || !event) return null;
+    return { resource, event };
+}
+
+module.exports = {
+    verifyWebhookSignature,
+    parseWebhookTopic
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createAiBudget, trackSpend } = require('../services/aiBudget');
+const { createTempDir, listen, loadServer, createTestImage } = require('./helpers');
+
+function createRecordingLogger() {
+    const entries = [];
+    const logger = {
+        entries,
+        debug() {},
+        info() {},
+        warn: (message, fields) => entries.push({ level: 'warn', message, fields }),
+        error: (message, fields) => entries.push({ level: 'error', message, fields }),
+        child: () => logger
+    };
+    return logger;
+}
+
+const usage = { prompt_tokens: 1000000, completion_tokens: 100000 };
+
+test('calls are priced by the longest model prefix, unknown models at the gpt-4o rate', () => {
+    const logger = createRecordingLogger();
+    const budget = createAiBudget({ filePath: path.join(createTempDir(), 'ai-spend.json'), logger });
+
+    assert.strictEqual(budget.costOf('gpt-4o-2024-08-06', usage), 3.5);
+    assert.strictEqual(budget.costOf('gpt-4o-mini-2024-07-18', usage), 0.21);
+    assert.strictEqual(budget.costOf('llava:13b', usage), 3.5);
+    assert.strictEqual(budget.costOf('llava:13b', usage), 3.5);
+    assert.strictEqual(logger.entries.length, 1);
+});
+
+test('spend is capped per day and survives a restart', () => {
+    const filePath = path.join(createTempDir(), 'ai-spend.json');
+    const budget = createAiBudget({ filePath, dailyLimit: 5 });
+
+    budget.record('skinAnalysis', { model: 'gpt-4o', usage });
+    assert.strictEqual(budget.check().exhausted, false);
+    budget.record('suggestions', { model: 'gpt-4o', usage });
+
+    const restarted = createAiBudget({ filePath, dailyLimit: 5 });
+    const check = restarted.check();
+    assert.strictEqual(check.exhausted, true);
+    assert.strictEqual(check.period, 'daily');
+    assert.strictEqual(check.spent, 7);
+
+    const status = restarted.getStatus();
+    assert.strictEqual(status.budgets.daily.remaining, 0);
+    assert.strictEqual(status.budgets.monthly.limit, null);
+    assert.deepStrictEqual(status.today.byTask, {
+        skinAnalysis: { calls: 1, cost: 3.5 },
+        suggestions: { calls: 1, cost: 3.5 }
+    });
+});
+
+test('a failed write after a paid call is logged and the in-memory totals still count', () => {
+    // A regular file where the storage directory should be makes every write fail
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, 'storage'), '');
+    const logger = createRecordingLogger();
+    const budget = createAiBudget({ filePath: path.join(dir, 'storage', 'ai-spend.json'), dailyLimit: 3, logger });
+
+    assert.strictEqual(budget.record('skinAnalysis', { model: 'gpt-4o', usage }), 3.5);
+
+    assert.strictEqual(logger.entries[0].message, 'AI budget persist error');
+    assert.strictEqual(budget.check().exhausted, true);
+    assert.strictEqual(budget.getStatus().today.calls, 1);
+});
+
+test('trackSpend records every provider call', async () => {
+    const budget = createAiBudget({ filePath: path.join(createTempDir(), 'ai-spend.json') });
+    const recorded = [];
+    const provider = trackSpend({
+        name: 'stub',
+        validateFace: async () => ({ content: '{}', model: 'gpt-4o-mini', usage }),
+        analyzeSkin: async () => ({ content: '{}', model: 'gpt-4o', usage }),
+        suggest: async () => ({ content: '{}', model: 'gpt-4o', usage })
+    }, budget, (task, response, cost) => recorded.push([task, cost]));
+
+    await provider.validateFace();
+    await provider.analyzeSkin();
+
+    assert.deepStrictEqual(recorded, [['faceValidation', 0.21], ['skinAnalysis', 3.5]]);
+    assert.strictEqual(provider.name, 'stub');
+    assert.strictEqual(budget.getStatus().today.calls, 2);
+});
+
+test('an exhausted budget skips the AI steps but still answers', async t => {
+    const { app } = loadServer({ AI_BUDGET_DAILY_USD: '0' });
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    const status = await (await fetch(`${server.url}/api/admin/ai-budget`, { headers: { 'X-Admin-Key': 'admin-key' } })).json();
+    assert.strictEqual(status.exhausted, true);
+    assert.strictEqual(status.period, 'daily');
+
+    const response = await fetch(`${server.url}/api/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            image: `data:image/jpeg;base64,${(await createTestImage()).toString('base64')}`,
+            conditions: ['acne'],
+            budget: 'mid'
+        })
+    });
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.ok(body.products.length > 0);
+
+    const after = await (await fetch(`${server.url}/api/admin/ai-budget`, { headers: { 'X-Admin-Key': 'admin-key' } })).json();
+    assert.strictEqual(after.today.calls, 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { createAiResultCache, computeImageFingerprint, hammingDistance } = require('../services/aiResultCache');
+
+// A smooth wave pattern so its dHash is distinctive; shift moves the waves
+function createPatternImage(quality, shift = 0) {
+    const width = 90;
+    const height = 80;
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = Math.round(128 + 100 * Math.sin((x + shift) / 9) * Math.cos(y / 11));
+            pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toBuffer();
+}
+
+const analysis = { skinType: 'oily', conditions: ['acne'] };
+
+test('exact resubmissions hit, other images miss', async () => {
+    const cache = createAiResultCache({ ttl: 60000 });
+    const fingerprint = await computeImageFingerprint(await createPatternImage(90));
+    const other = await computeImageFingerprint(await createPatternImage(90, 40));
+
+    assert.strictEqual(cache.get('skinAnalysis', 'openai', fingerprint), null);
+    cache.set('skinAnalysis', 'openai', fingerprint, analysis);
+
+    assert.deepStrictEqual(cache.get('skinAnalysis', 'openai', fingerprint), { result: analysis, match: 'exact' });
+    assert.strictEqual(cache.get('skinAnalysis', 'openai', other), null);
+    // Providers and tasks never share entries
+    assert.strictEqual(cache.get('skinAnalysis', 'fixture', fingerprint), null);
+    assert.strictEqual(cache.get('faceValidation', 'openai', fingerprint), null);
+
+    const stats = cache.getStats();
+    assert.strictEqual(stats.maxPerceptualDistance, 0);
+    assert.deepStrictEqual(
+        { hits: stats.tasks.skinAnalysis.hits, misses: stats.tasks.skinAnalysis.misses },
+        { hits: 1, misses: 3 }
+    );
+});
+
+test('near matches are only served when perceptual matching is opted into', async () => {
+    const original = await computeImageFingerprint(await createPatternImage(90));
+    const reencoded = await computeImageFingerprint(await createPatternImage(60));
+    assert.notStrictEqual(original.contentHash, reencoded.contentHash);
+    assert.ok(hammingDistance(original.perceptualHash, reencoded.perceptualHash) <= 4);
+
+    const exactOnly = createAiResultCache({ ttl: 60000 });
+    exactOnly.set('skinAnalysis', 'openai', original, analysis);
+    assert.strictEqual(exactOnly.get('skinAnalysis', 'openai', reencoded), null);
+
+    const nearMatches = createAiResultCache({ ttl: 60000, maxPerceptualDistance: 4 });
+    nearMatches.set('skinAnalysis', 'openai', original, analysis);
+    assert.deepStrictEqual(nearMatches.get('skinAnalysis', 'openai', reencoded), { result: analysis, match: 'perceptual' });
+    assert.strictEqual(nearMatches.getStats().tasks.skinAnalysis.perceptualHits, 1);
+});
+
+test('entries expire after the TTL and are cleaned up', async t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const cache = createAiResultCache({ ttl: 60000 });
+    const fingerprint = await computeImageFingerprint(await createPatternImage(90));
+    cache.set('faceValidation', 'openai', fingerprint, { isValid: true });
+
+    now += 59999;
+    assert.ok(cache.get('faceValidation', 'openai', fingerprint));
+
+    now += 1;
+    assert.strictEqual(cache.get('faceValidation', 'openai', fingerprint), null);
+    assert.strictEqual(cache.cleanExpired(), 1);
+    assert.strictEqual(cache.getStats().size, 0);
+    assert.strictEqual(cache.getStats().tasks.faceValidation.expired, 1);
+});
+
+test('the oldest entries are evicted past maxEntries', async () => {
+    const cache = createAiResultCache({ ttl: 60000, maxEntries: 1 });
+    const first = await computeImageFingerprint(await createPatternImage(90));
+    const second = await computeImageFingerprint(await createPatternImage(90, 40));
+
+    cache.set('skinAnalysis', 'openai', first, analysis);
+    cache.set('skinAnalysis', 'openai', second, analysis);
+
+    assert.strictEqual(cache.get('skinAnalysis', 'openai', first), null);
+    assert.ok(cache.get('skinAnalysis', 'openai', second));
+    assert.strictEqual(cache.getStats().tasks.skinAnalysis.evictions, 1);
+});
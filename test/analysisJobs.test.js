@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue } = require('../services/analysisJobs');
+const { listen, loadServer, createTestImage } = require('./helpers');
+
+const stages = ['validating', 'analyzing'];
+
+// A job that waits until released, reporting its stages
+function createControlledJob() {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    return {
+        release,
+        run: async ({ onStage }) => {
+            onStage('validating');
+            await released;
+            onStage('analyzing');
+            return { products: [] };
+        }
+    };
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs run up to maxConcurrent at a time, the rest wait in order', async () => {
+    const queue = createJobQueue({ stages, ttl: 60000, maxConcurrent: 1 });
+    const first = createControlledJob();
+    const second = createControlledJob();
+
+    const a = queue.submit(first.run);
+    const b = queue.submit(second.run);
+    assert.strictEqual(a.status, 'queued');
+    await nextTick();
+
+    assert.strictEqual(queue.get(a.id).status, 'running');
+    assert.strictEqual(queue.get(a.id).stage, 'validating');
+    assert.strictEqual(queue.get(b.id).queuePosition, 1);
+
+    first.release();
+    await nextTick();
+    const done = queue.get(a.id);
+    assert.strictEqual(done.status, 'completed');
+    assert.strictEqual(done.progress, 100);
+    assert.deepStrictEqual(done.result, { products: [] });
+    assert.strictEqual(queue.get(b.id).status, 'running');
+    second.release();
+});
+
+test('jobs belong to their tenant, can be cancelled once and expire after the TTL', async t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const queue = createJobQueue({ stages, ttl: 60000 });
+    const job = createControlledJob();
+    const { id } = queue.submit(job.run, { tenantId: 'glow' });
+
+    assert.strictEqual(queue.get(id, 'dew'), null);
+    assert.strictEqual(queue.cancel(id, 'dew'), null);
+    assert.strictEqual(queue.cancel(id, 'glow').status, 'cancelled');
+    assert.throws(() => queue.cancel(id, 'glow'), { status: 409 });
+
+    now += 60000;
+    assert.strictEqual(queue.get(id, 'glow'), null);
+    job.release();
+});
+
+test('failed jobs report client errors as they are and hide internal ones', async () => {
+    const queue = createJobQueue({ stages, ttl: 60000 });
+    const clientError = queue.submit(async () => {
+        throw Object.assign(new Error('Catalog unavailable'), { status: 503, details: { code: 'catalog_unavailable' } });
+    });
+    const internalError = queue.submit(async () => {
+        throw new Error('secret stack detail');
+    });
+    await nextTick();
+    await nextTick();
+
+    assert.deepStrictEqual(queue.get(clientError.id).error, { status: 503, message: 'Catalog unavailable', code: 'catalog_unavailable' });
+    assert.deepStrictEqual(queue.get(internalError.id).error, { status: 500, message: 'Analysis failed' });
+});
+
+test('analysis job routes', async t => {
+    const { app } = loadServer();
+    const server = await listen(app);
+    t.after(() => server.close());
+    const image = `data:image/jpeg;base64,${(await createTestImage()).toString('base64')}`;
+
+    const submitted = await fetch(`${server.url}/api/analyze/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ image, conditions: ['acne'], budget: 'mid' })
+    });
+    assert.strictEqual(submitted.status, 202);
+    const { job } = await submitted.json();
+    assert.strictEqual(submitted.headers.get('Location'), `/api/analyze/jobs/${job.id}`);
+
+    let current = job;
+    for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(current.status); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        current = (await (await fetch(`${server.url}/api/analyze/jobs/${job.id}`)).json()).job;
+    }
+    assert.strictEqual(current.status, 'completed');
+    assert.ok(current.result.products.length > 0);
+
+    const cancelled = await fetch(`${server.url}/api/analyze/jobs/${job.id}`, { method: 'DELETE' });
+    assert.strictEqual(cancelled.status, 409);
+    assert.strictEqual((await fetch(`${server.url}/api/analyze/jobs/not-a-job`)).status, 404);
+});
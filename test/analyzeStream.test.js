@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { listen, loadServer, createTestImage, parseServerSentEvents } = require('./helpers');
+
+test('streaming analysis route', async t => {
+    const { app } = loadServer();
+    const server = await listen(app);
+    t.after(() => server.close());
+    const image = `data:image/jpeg;base64,${(await createTestImage()).toString('base64')}`;
+
+    function stream(body, headers = {}) {
+        return fetch(`${server.url}/api/analyze/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    await t.test('events arrive in stage order and end with a summary', async () => {
+        const response = await stream({ image, conditions: ['acne'], budget: 'mid' });
+        assert.strictEqual(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+        const events = parseServerSentEvents(await response.text());
+
+        assert.deepStrictEqual(
+            events.filter(event => event.event === 'stage').map(event => event.data.stage),
+            ['validating', 'analyzing', 'matching', 'suggesting']
+        );
+        assert.deepStrictEqual(events.map(event => Number(event.id)), events.map((_, index) => index + 1));
+        const summary = events[events.length - 1];
+        assert.strictEqual(summary.event, 'summary');
+        assert.strictEqual(summary.data.success, true);
+        assert.ok(events.some(event => event.event === 'products'));
+    });
+
+    await t.test('a shopper with a wishlist session gets the analysis, not an internal error', async () => {
+        const sessionId = crypto.randomUUID();
+        const response = await stream({ image, conditions: ['acne'], budget: 'mid' }, { 'Wishlist-Session': sessionId });
+        assert.strictEqual(response.headers.get('Wishlist-Session'), sessionId);
+        const events = parseServerSentEvents(await response.text());
+
+        assert.ok(!events.some(event => event.event === 'error'), JSON.stringify(events.find(event => event.event === 'error')));
+        assert.strictEqual(events[events.length - 1].event, 'summary');
+    });
+
+    await t.test('an invalid request is a single error event', async () => {
+        const response = await stream({ image, conditions: ['freckles'], budget: 'mid' });
+        assert.strictEqual(response.status, 200);
+        const events = parseServerSentEvents(await response.text());
+
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].event, 'error');
+        assert.strictEqual(events[0].data.code, 'invalid_request');
+        assert.strictEqual(events[0].data.status, 400);
+    });
+});
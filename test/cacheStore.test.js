@@ -0,0 +1,337 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createMemoryCacheStore, createRedisCacheStore, createCache } = require('../services/cacheStore');
+const { listen, loadServer } = require('./helpers');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+// Redis stand-in speaking RESP: AUTH, SELECT, MGET, SET PX, DEL, SCAN MATCH, DBSIZE and INFO.
+// With a password every other command gets NOAUTH until AUTH succeeds. oneByteAtATime
+// splits replies into single-byte writes; a command on a key ending in ":hang" stalls the
+// connection, so neither it nor anything after it is answered
+function createRespStandIn({ password = null } = {}) {
+    const data = new Map();
+    const commands = [];
+    const sockets = new Set();
+    const options = { oneByteAtATime: false };
+    let server = null;
+
+    const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    const array = items => `*${items.length}\r\n${items.map(item => (Array.isArray(item) ? array(item) : bulk(item))).join('')}`;
+
+    function read(key) {
+        const entry = data.get(key);
+        if (!entry || Date.now() >= entry.expiresAt) return null;
+        return entry.value;
+    }
+
+    // Glob with backslash escapes -> RegExp
+    function globToRegExp(pattern) {
+        const source = pattern.replace(/\\(.)|([.+^${}()|[\]])|(\*)|(\?)/g, (match, escaped, meta, star) => {
+            if (escaped) return `\\${escaped}`;
+            if (meta) return `\\${meta}`;
+            return star ? '.*' : '.';
+        });
+        return new RegExp(`^${source}$`);
+    }
+
+    function run(session, [name, ...args]) {
+        commands.push([name, ...args]);
+        if (name === 'AUTH') {
+            session.authenticated = args[args.length - 1] === password;
+            return session.authenticated ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n';
+        }
+        if (password && !session.authenticated) return '-NOAUTH Authentication required.\r\n';
+        if (session.stalled || args.some(arg => arg.endsWith(':hang'))) {
+            session.stalled = true;
+            return '';
+        }
+        switch (name) {
+            case 'SELECT':
+                return '+OK\r\n';
+            case 'MGET':
+                return array(args.map(read));
+            case 'SET':
+                data.set(args[0], { value: args[1], expiresAt: Date.now() + parseInt(args[3], 10) });
+                return '+OK\r\n';
+            case 'DEL':
+                return `:${args.filter(key => data.delete(key)).length}\r\n`;
+            case 'SCAN': {
+                const pattern = globToRegExp(args[2]);
+                return array(['0', Array.from(data.keys()).filter(key => pattern.test(key))]);
+            }
+            case 'DBSIZE':
+                return `:${data.size}\r\n`;
+            case 'INFO':
+                return bulk(args[0] === 'stats'
+                    ? '# Stats\r\nevicted_keys:3\r\nexpired_keys:7\r\n'
+                    : '# Memory\r\nused_memory:1024\r\nmaxmemory:0\r\nmaxmemory_policy:allkeys-lru\r\n');
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    // Commands arrive as arrays of bulk strings; returns the unparsed rest of buffer
+    function handle(session, socket, buffer) {
+        let offset = 0;
+        while (offset < buffer.length) {
+            let position = buffer.indexOf('\r\n', offset);
+            if (position < 0) break;
+            const count = parseInt(buffer.toString('utf8', offset + 1, position), 10);
+            position += 2;
+            const args = [];
+            for (let i = 0; i < count; i++) {
+                const lineEnd = buffer.indexOf('\r\n', position);
+                if (lineEnd < 0) return buffer.subarray(offset);
+                const length = parseInt(buffer.toString('utf8', position + 1, lineEnd), 10);
+                if (buffer.length < lineEnd + 2 + length + 2) return buffer.subarray(offset);
+                args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+                position = lineEnd + 2 + length + 2;
+            }
+            offset = position;
+            const reply = Buffer.from(run(session, args));
+            if (options.oneByteAtATime) {
+                for (let i = 0; i < reply.length; i++) socket.write(reply.subarray(i, i + 1));
+            } else {
+                socket.write(reply);
+            }
+        }
+        return buffer.subarray(offset);
+    }
+
+    function start(port = 0) {
+        server = net.createServer(socket => {
+            sockets.add(socket);
+            const session = { authenticated: false, stalled: false };
+            let buffer = Buffer.alloc(0);
+            socket.on('data', chunk => {
+                buffer = handle(session, socket, Buffer.concat([buffer, chunk]));
+            });
+            socket.on('error', () => {});
+            socket.on('close', () => sockets.delete(socket));
+        });
+        return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port)));
+    }
+
+    function stop() {
+        sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { data, commands, options, start, stop };
+}
+
+test('memory store: least recently used entries are evicted past maxEntries and maxBytes', async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2, maxBytes: 1024 });
+    const items = ['a', 'b'].map(key => ({ key, value: { key }, ttl: 60000 }));
+    await store.set('t:scores', items);
+
+    await store.get('t:scores', ['a']); // a becomes the most recently used
+    await store.set('t:scores', [{ key: 'c', value: { key: 'c' }, ttl: 60000 }]);
+    assert.deepStrictEqual(await store.get('t:scores', ['a', 'b', 'c']), [{ key: 'a' }, null, { key: 'c' }]);
+
+    // One value of 600 bytes pushes out everything older
+    await store.set('t:products', [{ key: 'big', value: 'x'.repeat(600), ttl: 60000 }]);
+    await store.set('t:products', [{ key: 'bigger', value: 'y'.repeat(600), ttl: 60000 }]);
+    // Values larger than the whole store are never kept
+    await store.set('t:products', [{ key: 'huge', value: 'z'.repeat(2000), ttl: 60000 }]);
+
+    const stats = await store.getStats();
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.memoryBytes, 602);
+    assert.deepStrictEqual(stats.namespaces['t:scores'], { entries: 0, bytes: 0, evictions: 3, expired: 0 });
+    assert.deepStrictEqual(stats.namespaces['t:products'], { entries: 1, bytes: 602, evictions: 1, expired: 0 });
+});
+
+test('memory store: entries expire after their TTL', async t => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = createMemoryCacheStore({});
+    await store.set('t:scores', [{ key: 'short', value: 1, ttl: 1000 }, { key: 'long', value: 2, ttl: 5000 }, { key: 'gone', value: 3, ttl: 1000 }]);
+
+    now += 999;
+    assert.deepStrictEqual(await store.get('t:scores', ['short', 'long']), [1, 2]);
+    now += 1;
+    assert.deepStrictEqual(await store.get('t:scores', ['short', 'long']), [null, 2]);
+    assert.strictEqual(store.cleanExpired(), 1);
+
+    const stats = await store.getStats();
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.namespaces['t:scores'].expired, 2);
+});
+
+test('memory store: reads are copies, so callers cannot change what is cached', async () => {
+    const store = createMemoryCacheStore({});
+    const value = { data: [{ id: 1 }] };
+    await store.set('t:products', [{ key: 'low', value, ttl: 60000 }]);
+
+    value.data.push({ id: 2 });
+    const [read] = await store.get('t:products', ['low']);
+    read.data[0].id = 99;
+
+    assert.deepStrictEqual((await store.get('t:products', ['low']))[0], { data: [{ id: 1 }] });
+});
+
+test('caches count hits and misses and clear only their own namespace', async () => {
+    const store = createMemoryCacheStore({});
+    const scores = createCache({ store, namespace: 'glow:scores', ttl: 60000, logger: silentLogger });
+    const otherScores = createCache({ store, namespace: 'dew:scores', ttl: 60000, logger: silentLogger });
+
+    await scores.setMany([{ key: '1_acne', value: 80 }, { key: '1_dry', value: 40 }, { key: '2_acne', value: 60 }]);
+    await otherScores.set('1_acne', 70);
+    assert.deepStrictEqual(await scores.getMany(['1_acne', '3_acne']), [80, null]);
+
+    assert.strictEqual(await scores.deleteByPrefix('1_'), 2);
+    assert.strictEqual(await scores.clear(), 1);
+    assert.strictEqual(await otherScores.get('1_acne'), 70);
+
+    assert.deepStrictEqual(scores.getStats(), { hits: 1, misses: 1, sets: 3, deletes: 3, errors: 0, hitRate: 50, ttlSeconds: 60 });
+});
+
+test('a failing store only costs cache misses', async () => {
+    const errors = [];
+    const failing = {
+        get: async () => { throw new Error('down'); },
+        set: async () => { throw new Error('down'); },
+        deleteByPrefix: async () => { throw new Error('down'); }
+    };
+    const cache = createCache({
+        store: failing,
+        namespace: 'glow:scores',
+        ttl: 60000,
+        logger: { ...silentLogger, error: (message, fields) => errors.push([message, fields.namespace]) }
+    });
+
+    assert.strictEqual(await cache.get('1_acne'), null);
+    await cache.set('1_acne', 80);
+    assert.strictEqual(await cache.clear(), 0);
+
+    assert.deepStrictEqual(errors, [
+        ['Cache read error', 'glow:scores'],
+        ['Cache write error', 'glow:scores'],
+        ['Cache flush error', 'glow:scores']
+    ]);
+    assert.strictEqual(cache.getStats().misses, 1);
+    assert.strictEqual(cache.getStats().errors, 3);
+});
+
+test('redis store against a RESP stand-in', async t => {
+    const standIn = createRespStandIn({ password: 'p@ss' });
+    const port = await standIn.start();
+    const store = createRedisCacheStore({
+        url: `redis://:${encodeURIComponent('p@ss')}@127.0.0.1:${port}/2`,
+        keyPrefix: 'test:',
+        commandTimeout: 200,
+        logger: silentLogger
+    });
+    t.after(async () => {
+        await store.close();
+        await standIn.stop();
+    });
+
+    await t.test('authenticates and selects the database before the first command', async () => {
+        await store.set('glow:scores', [{ key: '1_acne', value: { score: 80 }, ttl: 60000 }]);
+        assert.deepStrictEqual(standIn.commands.slice(0, 3).map(command => command[0]), ['AUTH', 'SELECT', 'SET']);
+        assert.deepStrictEqual(standIn.commands[1], ['SELECT', '2']);
+        assert.deepStrictEqual(standIn.commands[2], ['SET', 'test:glow:scores:1_acne', '{"score":80}', 'PX', '60000']);
+    });
+
+    await t.test('reads values back as JSON, null for missing keys', async () => {
+        assert.deepStrictEqual(await store.get('glow:scores', ['1_acne', 'missing']), [{ score: 80 }, null]);
+    });
+
+    await t.test('parses replies that arrive a byte at a time', async () => {
+        standIn.options.oneByteAtATime = true;
+        try {
+            await store.set('glow:scores', [{ key: '2_acne', value: 'ünïcode', ttl: 60000 }]);
+            assert.deepStrictEqual(await store.get('glow:scores', ['2_acne', '1_acne']), ['ünïcode', { score: 80 }]);
+            const stats = await store.getStats();
+            assert.deepStrictEqual(
+                { entries: stats.entries, memoryBytes: stats.memoryBytes, evictionPolicy: stats.evictionPolicy, evictions: stats.evictions },
+                { entries: 2, memoryBytes: 1024, evictionPolicy: 'allkeys-lru', evictions: 3 }
+            );
+        } finally {
+            standIn.options.oneByteAtATime = false;
+        }
+    });
+
+    await t.test('deletes by prefix with glob characters escaped', async () => {
+        await store.set('glow:scores', [{ key: '1*', value: 1, ttl: 60000 }, { key: '10_acne', value: 1, ttl: 60000 }]);
+        assert.strictEqual(await store.deleteByPrefix('glow:scores', '1*'), 1);
+        assert.ok(standIn.data.has('test:glow:scores:10_acne'));
+        assert.strictEqual(await store.deleteByPrefix('glow:scores', ''), 3);
+        assert.strictEqual(standIn.data.size, 0);
+    });
+
+    await t.test('error replies reject the command', async () => {
+        const wrongPassword = createRedisCacheStore({ url: `redis://:wrong@127.0.0.1:${port}`, logger: silentLogger });
+        try {
+            await assert.rejects(wrongPassword.get('glow:scores', ['1_acne']), /NOAUTH/);
+        } finally {
+            await wrongPassword.close();
+        }
+    });
+});
+
+test('redis store fails fast while the server is down and reconnects after the retry delay', async t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const standIn = createRespStandIn();
+    const port = await standIn.start();
+    const store = createRedisCacheStore({ url: `redis://127.0.0.1:${port}`, commandTimeout: 200, logger: silentLogger });
+    t.after(() => store.close());
+
+    await store.set('glow:scores', [{ key: 'a', value: 1, ttl: 60000 }]);
+    await standIn.stop();
+    await assert.rejects(store.get('glow:scores', ['a']), /Redis (connection closed|unavailable)/);
+
+    // Within the retry delay nothing is attempted
+    const restarted = createRespStandIn();
+    await restarted.start(port);
+    t.after(() => restarted.stop());
+    await assert.rejects(store.get('glow:scores', ['a']), new RegExp(`Redis unavailable \\(127\\.0\\.0\\.1:${port}\\)`));
+    assert.strictEqual(restarted.commands.length, 0);
+
+    now += 5000;
+    assert.deepStrictEqual(await store.get('glow:scores', ['a']), [null]);
+    assert.deepStrictEqual(restarted.commands, [['MGET', 'skincare:glow:scores:a']]);
+});
+
+test('a redis command without a reply times out and drops the connection', async t => {
+    const standIn = createRespStandIn();
+    const port = await standIn.start();
+    t.after(() => standIn.stop());
+    const store = createRedisCacheStore({ url: `redis://127.0.0.1:${port}`, commandTimeout: 100, logger: silentLogger });
+    t.after(() => store.close());
+
+    // Commands pipelined behind the unanswered one fail with it, so no reply is matched to the wrong command
+    const [hanging, queued] = await Promise.allSettled([
+        store.get('glow:scores', ['hang']),
+        store.get('glow:scores', ['a'])
+    ]);
+    assert.match(hanging.reason.message, /Redis command MGET timed out after 100ms/);
+    assert.match(queued.reason.message, /Redis command MGET timed out after 100ms/);
+    await assert.rejects(store.get('glow:scores', ['a']), /Redis unavailable/);
+});
+
+test('cache routes report per-tenant stats and flush', async t => {
+    const { app, tenants } = loadServer();
+    const server = await listen(app);
+    t.after(() => server.close());
+    const admin = { 'X-Admin-Key': 'admin-key' };
+    const tenant = tenants.get('default');
+
+    await tenant.scoreCache.setMany([{ key: '1_acne', value: 80 }, { key: '2_acne', value: 60 }]);
+    await tenant.scoreCache.get('1_acne');
+
+    const stats = await (await fetch(`${server.url}/api/cache-stats`, { headers: admin })).json();
+    assert.strictEqual(stats.store.backend, 'memory');
+    assert.strictEqual(stats.tenants.default.scores.hits, 1);
+    assert.strictEqual(stats.tenants.default.scores.entries, 2);
+
+    const flushed = await (await fetch(`${server.url}/api/cache/flush?cache=scores`, { method: 'POST', headers: admin })).json();
+    assert.deepStrictEqual(flushed.flushed, { default: { scores: 2 } });
+    assert.strictEqual((await fetch(`${server.url}/api/cache/flush?cache=carts`, { method: 'POST', headers: admin })).status, 400);
+    assert.strictEqual((await fetch(`${server.url}/api/cache-stats?tenant=missing`, { headers: admin })).status, 404);
+});
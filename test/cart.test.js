@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStoreApiCart, createLocalCart, buildCheckoutUrl, normalizeStoreApiCart } = require('../services/cart');
+const { listen, loadServer, sampleProducts } = require('./helpers');
+
+// WooCommerce Store API stand-in: GET /cart issues a Cart-Token, writes need one (401
+// otherwise, like a real store without a Nonce), prices are in minor units
+function createStoreApiStandIn() {
+    const carts = new Map();
+    const requests = [];
+    let nextToken = 1;
+
+    function cartBody(items) {
+        const total = items.reduce((sum, item) => sum + item.quantity * 1299, 0);
+        return {
+            items: items.map(item => ({
+                key: `key-${item.id}`,
+                id: item.id,
+                name: `Product ${item.id}`,
+                quantity: item.quantity,
+                prices: { price: '1299', currency_minor_unit: 2 },
+                totals: { line_total: String(item.quantity * 1299) }
+            })),
+            items_count: items.reduce((sum, item) => sum + item.quantity, 0),
+            totals: { total_items: String(total), total_price: String(total), currency_code: 'EUR', currency_minor_unit: 2 }
+        };
+    }
+
+    const handler = (req, res) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            const token = req.headers['cart-token'];
+            requests.push(`${req.method} ${req.url} ${token || '-'}`);
+            const send = (status, body, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(body));
+            };
+
+            if (req.method === 'GET' && req.url === '/wp-json/wc/store/v1/cart') {
+                const cartToken = carts.has(token) ? token : `token-${nextToken++}`;
+                if (!carts.has(cartToken)) carts.set(cartToken, []);
+                return send(200, cartBody(carts.get(cartToken)), { 'Cart-Token': cartToken });
+            }
+            if (!carts.has(token)) {
+                return send(401, { code: 'woocommerce_rest_missing_nonce', message: 'Missing the Nonce header' });
+            }
+            const body = JSON.parse(raw || '{}');
+            if (req.url === '/wp-json/wc/store/v1/cart/add-item') {
+                if (body.id === 999) {
+                    return send(400, { code: 'woocommerce_rest_product_out_of_stock', message: 'This product is out of stock' });
+                }
+                if (body.id === 500) {
+                    return send(500, { code: 'internal', message: 'Fatal error' });
+                }
+                const items = carts.get(token);
+                const existing = items.find(item => item.id === body.id);
+                if (existing) existing.quantity += body.quantity;
+                else items.push({ id: body.id, quantity: body.quantity });
+                return send(201, cartBody(items), { 'Cart-Token': token });
+            }
+            send(404, { code: 'rest_no_route', message: 'No route' });
+        });
+    };
+    return { handler, requests };
+}
+
+test('Store API cart: a new shopper is issued a token before the first write', async t => {
+    const standIn = createStoreApiStandIn();
+    const store = await listen(standIn.handler);
+    t.after(() => store.close());
+    const cart = createStoreApiCart({ storeUrl: `${store.url}/` });
+
+    const first = await cart.addItem(undefined, { id: 7, quantity: 2 });
+    assert.strictEqual(first.token, 'token-1');
+    assert.deepStrictEqual(standIn.requests, [
+        'GET /wp-json/wc/store/v1/cart -',
+        'POST /wp-json/wc/store/v1/cart/add-item token-1'
+    ]);
+    assert.strictEqual(first.cart.itemsCount, 2);
+    assert.strictEqual(first.cart.items[0].price, 12.99);
+    assert.strictEqual(first.cart.totals.total, 25.98);
+
+    // A known token is sent as is, without another token fetch
+    const second = await cart.addItem(first.token, { id: 7, quantity: 1 });
+    assert.strictEqual(second.token, 'token-1');
+    assert.strictEqual(second.cart.itemsCount, 3);
+    assert.strictEqual(standIn.requests.length, 3);
+});
+
+test('normalizeStoreApiCart converts minor units per currency', () => {
+    const cart = normalizeStoreApiCart({
+        items: [{ key: 'a', id: 1, name: 'Serum', quantity: 1, prices: { price: '1500', currency_minor_unit: 0 }, totals: { line_total: '1500' } }],
+        items_count: 1,
+        totals: { total_items: '1500', total_price: '1500', currency_code: 'JPY', currency_minor_unit: 0 }
+    });
+
+    assert.strictEqual(cart.items[0].price, 1500);
+    assert.deepStrictEqual(cart.totals, { subtotal: 1500, discount: 0, shipping: 0, tax: 0, total: 1500, currency: 'JPY' });
+});
+
+test('local cart: reading never stores a cart, the first item does', async () => {
+    const products = sampleProducts();
+    const cart = createLocalCart({
+        getProduct: id => products.find(product => product.id === id) || null,
+        findVariation: () => null,
+        currency: 'EUR'
+    });
+
+    const empty = await cart.getCart(undefined);
+    assert.strictEqual(empty.token, null);
+    assert.strictEqual(empty.cart.itemsCount, 0);
+    assert.strictEqual((await cart.getCart('made-up-token')).token, null);
+
+    const added = await cart.addItem(undefined, { id: 2, quantity: 2 });
+    assert.ok(added.token);
+    assert.strictEqual(added.cart.totals.total, 1600);
+    assert.strictEqual((await cart.getCart(added.token)).cart.itemsCount, 2);
+
+    await assert.rejects(cart.addItem(added.token, { id: 404, quantity: 1 }), error => error.response.status === 404);
+    assert.strictEqual(
+        buildCheckoutUrl('https://store.test/', added.cart),
+        'https://store.test/checkout-link/?products=2:2'
+    );
+});
+
+test('cart routes against the Store API', async t => {
+    const standIn = createStoreApiStandIn();
+    const store = await listen(standIn.handler);
+    const { app } = loadServer({ WOOCOMMERCE_URL: store.url, CART_PROVIDER: 'store-api' }, {
+        products: [...sampleProducts(), ...[999, 500].map(id => ({ id, name: `Product ${id}`, type: 'simple', price: '10' }))]
+    });
+    const server = await listen(app);
+    t.after(() => Promise.all([server.close(), store.close()]));
+
+    function add(productId, token) {
+        return fetch(`${server.url}/api/cart/add`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { 'Cart-Token': token } : {}) },
+            body: JSON.stringify({ productId, quantity: 1 })
+        });
+    }
+
+    await t.test('the first add hands the issued token back to the shopper', async () => {
+        const response = await add(2);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('Cart-Token'), 'token-1');
+        const body = await response.json();
+        assert.strictEqual(body.cartToken, 'token-1');
+        assert.strictEqual(body.cart.items[0].id, 2);
+    });
+
+    await t.test('products outside the catalog are rejected before calling the store', async () => {
+        const requestCount = standIn.requests.length;
+        const response = await add(12345, 'token-1');
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(standIn.requests.length, requestCount);
+    });
+
+    await t.test('Store API client errors keep their status and message', async () => {
+        const response = await add(999, 'token-1');
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), { error: 'This product is out of stock' });
+    });
+
+    await t.test('Store API server errors become a generic 500', async () => {
+        const response = await add(500, 'token-1');
+        assert.strictEqual(response.status, 500);
+        assert.deepStrictEqual(await response.json(), { error: 'Failed to add product to cart' });
+    });
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createCatalogSync, fetchAllPages } = require('../services/catalogSync');
+const { createTempDir, listen, loadServer } = require('./helpers');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+// WooCommerce REST client stand-in serving fixed collections in pages of per_page
+function createWooStandIn(collections) {
+    const calls = [];
+    return {
+        calls,
+        async get(endpoint, params = {}) {
+            calls.push({ endpoint, params });
+            const items = collections[endpoint];
+            if (!items) {
+                throw Object.assign(new Error('Not found'), { response: { status: 404, data: { message: 'Not found' } } });
+            }
+            const perPage = params.per_page || 10;
+            const page = params.page || 1;
+            return {
+                data: items.slice((page - 1) * perPage, page * perPage),
+                headers: { 'x-wp-totalpages': String(Math.max(1, Math.ceil(items.length / perPage))) }
+            };
+        }
+    };
+}
+
+function products(count, extra = {}) {
+    return Array.from({ length: count }, (_, index) => ({ id: index + 1, name: `Product ${index + 1}`, price: '10', ...extra }));
+}
+
+test('fetchAllPages walks every page reported in X-WP-TotalPages', async () => {
+    const woo = createWooStandIn({ products: products(250) });
+
+    const items = await fetchAllPages(woo, 'products', { status: 'publish' });
+
+    assert.strictEqual(items.length, 250);
+    assert.deepStrictEqual(woo.calls.map(call => call.params.page), [1, 2, 3]);
+    assert.ok(woo.calls.every(call => call.params.per_page === 100 && call.params.status === 'publish'));
+});
+
+test('sync attaches variations to variable products and prices them from the variations', async () => {
+    const woo = createWooStandIn({
+        products: [
+            { id: 1, name: 'Simple', type: 'simple', price: '12' },
+            { id: 2, name: 'Sizes', type: 'variable', price: '' }
+        ],
+        'products/categories': [{ id: 10, name: 'Skincare' }],
+        'products/2/variations': [
+            { id: 21, price: '30', attributes: [{ name: 'Size', option: '50ml' }], stock_status: 'instock' },
+            { id: 22, price: '18', attributes: [{ name: 'Size', option: '30ml' }], stock_status: 'instock' }
+        ]
+    });
+    const catalogSync = createCatalogSync({ wooCommerce: woo, logger: silentLogger });
+
+    const snapshot = await catalogSync.sync();
+
+    assert.strictEqual(snapshot.products.length, 2);
+    const variable = catalogSync.getProduct(2);
+    assert.deepStrictEqual(variable.variations.map(v => v.id), [21, 22]);
+    assert.strictEqual(variable.min_price, 18);
+    assert.strictEqual(variable.max_price, 30);
+    assert.strictEqual(variable.price, '18');
+    assert.strictEqual(catalogSync.findVariation(22).product.id, 2);
+    assert.deepStrictEqual(catalogSync.getStatus(), {
+        version: 1,
+        syncedAt: snapshot.syncedAt,
+        products: 2,
+        variations: 2,
+        categories: 1,
+        syncing: false,
+        lastError: null
+    });
+});
+
+test('the snapshot is persisted and loaded back after a restart', async () => {
+    const snapshotPath = path.join(createTempDir(), 'catalog-snapshot.json');
+    const woo = createWooStandIn({ products: products(3), 'products/categories': [] });
+    await createCatalogSync({ wooCommerce: woo, snapshotPath, logger: silentLogger }).sync();
+
+    const restarted = createCatalogSync({ wooCommerce: woo, snapshotPath, logger: silentLogger });
+    restarted.loadSnapshot();
+
+    assert.strictEqual(restarted.getStatus().products, 3);
+    assert.ok(fs.existsSync(snapshotPath));
+    assert.ok(!fs.existsSync(`${snapshotPath}.tmp`));
+});
+
+test('a failed sync keeps the previous snapshot and reports the error', async () => {
+    const woo = createWooStandIn({ products: products(2), 'products/categories': [] });
+    const catalogSync = createCatalogSync({ wooCommerce: woo, logger: silentLogger });
+    await catalogSync.sync();
+
+    woo.get = async () => {
+        throw Object.assign(new Error('Request failed'), { response: { status: 500, data: { message: 'Database error' } } });
+    };
+    await assert.rejects(catalogSync.sync());
+
+    assert.strictEqual(catalogSync.getStatus().products, 2);
+    assert.strictEqual(catalogSync.getStatus().lastError, 'Database error');
+});
+
+test('catalog routes: status of the loaded snapshot, full resync from WooCommerce', async t => {
+    // WooCommerce REST API stand-in with 120 products, so the resync needs two pages
+    const requests = [];
+    const woo = await listen((req, res) => {
+        const url = new URL(req.url, 'http://woo.test');
+        requests.push(url.pathname);
+        const collections = { '/wp-json/wc/v3/products': products(120), '/wp-json/wc/v3/products/categories': [] };
+        const items = collections[url.pathname] || [];
+        const page = parseInt(url.searchParams.get('page'), 10) || 1;
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': String(Math.ceil(items.length / 100) || 1) });
+        res.end(JSON.stringify(items.slice((page - 1) * 100, page * 100)));
+    });
+    const { app } = loadServer({ WOOCOMMERCE_URL: woo.url });
+    const server = await listen(app);
+    t.after(() => Promise.all([server.close(), woo.close()]));
+    const admin = { 'X-Admin-Key': 'admin-key' };
+
+    assert.strictEqual((await fetch(`${server.url}/api/catalog/status`)).status, 401);
+
+    const status = await (await fetch(`${server.url}/api/catalog/status`, { headers: admin })).json();
+    assert.strictEqual(status.tenant, 'default');
+    assert.strictEqual(status.catalog.products, 6);
+
+    const synced = await (await fetch(`${server.url}/api/catalog/sync`, { method: 'POST', headers: admin })).json();
+    assert.strictEqual(synced.catalog.products, 120);
+    assert.strictEqual(synced.catalog.version, 2);
+    assert.strictEqual(requests.filter(pathname => pathname === '/wp-json/wc/v3/products').length, 2);
+});
+
+test('webhook changes made while a sync runs are replayed onto the new snapshot', async () => {
+    let releaseProducts;
+    const productsFetched = new Promise(resolve => {
+        releaseProducts = resolve;
+    });
+    const woo = createWooStandIn({ products: products(3), 'products/categories': [{ id: 10, name: 'Skincare' }] });
+    const get = woo.get;
+    woo.get = async (endpoint, params) => {
+        if (endpoint === 'products') await productsFetched;
+        return get(endpoint, params);
+    };
+    const catalogSync = createCatalogSync({ wooCommerce: woo, logger: silentLogger });
+
+    const running = catalogSync.sync();
+    await catalogSync.upsertProduct({ id: 1, name: 'Updated mid-sync', price: '12' });
+    await catalogSync.upsertProduct({ id: 4, name: 'Created mid-sync', price: '20' });
+    catalogSync.removeProduct(2);
+    catalogSync.upsertCategory({ id: 10, name: 'Face Care', slug: 'face-care' });
+    releaseProducts();
+    await running;
+
+    assert.strictEqual(catalogSync.getProduct(1).name, 'Updated mid-sync');
+    assert.strictEqual(catalogSync.getProduct(4).name, 'Created mid-sync');
+    assert.strictEqual(catalogSync.getProduct(2), null);
+    assert.deepStrictEqual((await catalogSync.getSnapshot()).categories, [{ id: 10, name: 'Face Care', slug: 'face-care' }]);
+
+    // Once the sync is done, changes are no longer recorded for replay
+    await catalogSync.sync();
+    assert.strictEqual(catalogSync.getProduct(1).name, 'Product 1');
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractNamePercentages } = require('../services/concentration');
+const knowledgeBase = require('../data/ingredient-knowledge-base.json');
+
+test('trailing percentage after a multi-word ingredient name is read as that ingredient', () => {
+    const declared = extractNamePercentages('Vitamin C Serum 0.01%', knowledgeBase);
+
+    assert.strictEqual(declared.length, 1);
+    assert.match(declared[0].name, /\bvitamin c\b/);
+    assert.strictEqual(declared[0].percentage, 0.01);
+});
+
+test('trailing name is trimmed to the known ingredient next to the number', () => {
+    const declared = extractNamePercentages('Brightening Niacinamide Serum Vitamin C 5%', knowledgeBase);
+
+    assert.deepStrictEqual(declared, [{ name: 'vitamin c', percentage: 5, source: 'name' }]);
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const sharp = require('sharp');
+
+// Shared test setup - temporary storage, local HTTP stand-ins and a server app
+// loaded with test configuration. node --test runs every file in its own process,
+// so each file can load the server with its own environment.
+
+// Temporary directory, removed when the test process exits
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skincare-test-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Serve an express app or request handler on a free local port -> { url, close }
+function listen(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                server,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+// A small catalog: products with ingredient lists across the budget ranges
+function sampleProducts() {
+    const product = (id, name, price, ingredients, extra = {}) => ({
+        id,
+        name,
+        type: 'simple',
+        status: 'publish',
+        price: String(price),
+        regular_price: String(price),
+        permalink: `https://store.test/product/${id}`,
+        images: [{ src: `https://store.test/images/${id}.jpg` }],
+        categories: [{ id: 10, name: 'Skincare', slug: 'skincare' }],
+        meta_data: [{ key: 'ingredients', value: ingredients }],
+        ...extra
+    });
+    return [
+        product(1, 'Clarifying Cleanser', 450, 'Aqua, Salicylic Acid 2%, Glycerin, Zinc PCA, Phenoxyethanol'),
+        product(2, 'Niacinamide Serum', 800, 'Aqua, Niacinamide 10%, Zinc PCA, Sodium Hyaluronate, Phenoxyethanol'),
+        product(3, 'Barrier Moisturizer', 1200, 'Aqua, Glycerin, Ceramide NP, Squalane, Cholesterol, Phenoxyethanol'),
+        product(4, 'Mineral Sunscreen SPF 50', 1800, 'Aqua, Zinc Oxide, Glycerin, Niacinamide, Tocopherol'),
+        product(5, 'Retinol Night Cream', 3200, 'Aqua, Squalane, Retinol 0.5%, Ceramide NP, Phenoxyethanol'),
+        product(6, 'Luxury Vitamin C Serum', 6400, 'Aqua, Ascorbic Acid 15%, Ferulic Acid, Tocopherol, Phenoxyethanol')
+    ];
+}
+
+function writeCatalogSnapshot(filePath, products = sampleProducts(), categories = [{ id: 10, name: 'Skincare', slug: 'skincare' }]) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, syncedAt: new Date().toISOString(), products, categories }));
+}
+
+// Load server.js with test configuration: fixture AI provider, local carts, no rate
+// limits or quality gate, silent logs and every storage path in a temporary directory.
+// WooCommerce points at a closed port unless env overrides it.
+// -> { app, tenants, dir }
+function loadServer(env = {}, { products = sampleProducts() } = {}) {
+    const dir = createTempDir();
+    Object.assign(process.env, {
+        WOOCOMMERCE_URL: 'http://127.0.0.1:9',
+        WOOCOMMERCE_CONSUMER_KEY: 'ck_test',
+        WOOCOMMERCE_CONSUMER_SECRET: 'cs_test',
+        ADMIN_API_KEY: 'admin-key',
+        AI_PROVIDER: 'fixture',
+        CART_PROVIDER: 'local',
+        RATE_LIMIT: 'off',
+        IMAGE_QUALITY_GATE: 'off',
+        LOG_LEVEL: 'silent',
+        CATALOG_SNAPSHOT_PATH: path.join(dir, 'catalog-snapshot.json'),
+        WISHLIST_FILE_PATH: path.join(dir, 'wishlists.json'),
+        INGREDIENT_KB_PATH: path.join(dir, 'ingredient-knowledge-base.json'),
+        INGREDIENT_KB_HISTORY_PATH: path.join(dir, 'ingredient-knowledge-base-history.jsonl'),
+        AI_SPEND_FILE_PATH: path.join(dir, 'ai-spend.json')
+    }, env);
+    if (products) writeCatalogSnapshot(process.env.CATALOG_SNAPSHOT_PATH, products);
+
+    const { app, tenants } = require('../server');
+    return { app, tenants, dir };
+}
+
+// A plain JPEG the fixture provider accepts as a face photo
+async function createTestImage({ width = 640, height = 800 } = {}) {
+    return sharp({
+        create: { width, height, channels: 3, background: { r: 210, g: 160, b: 140 } }
+    }).jpeg().toBuffer();
+}
+
+// Parse a server-sent events body -> [{ id, event, data }]
+function parseServerSentEvents(text) {
+    return text.split('\n\n').filter(block => block.trim() && !block.startsWith(':')).map(block => {
+        const event = {};
+        block.split('\n').forEach(line => {
+            const index = line.indexOf(': ');
+            if (index < 0) return;
+            const field = line.slice(0, index);
+            const value = line.slice(index + 2);
+            event[field] = field === 'data' ? JSON.parse(value) : value;
+        });
+        return event;
+    });
+}
+
+module.exports = {
+    createTempDir,
+    listen,
+    sampleProducts,
+    writeCatalogSnapshot,
+    loadServer,
+    createTestImage,
+    parseServerSentEvents
+};
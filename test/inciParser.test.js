@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseInciList } = require('../services/inciParser');
+
+test('bracketed "+/- May contain:" block goes to mayContain without its label', () => {
+    const parsed = parseInciList('Aqua, Glycerin, Niacinamide [+/- May contain: CI 77491, CI 77891]');
+
+    assert.deepStrictEqual(parsed.ingredients.map(entry => entry.name), ['aqua', 'glycerin', 'niacinamide']);
+    assert.deepStrictEqual(parsed.mayContain.map(entry => entry.name), ['ci 77491', 'ci 77891']);
+});
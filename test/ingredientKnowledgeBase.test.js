@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createIngredientKnowledgeBase } = require('../services/ingredientKnowledgeBase');
+const { createTempDir, listen, loadServer } = require('./helpers');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+function seedKnowledgeBase() {
+    return {
+        version: 1,
+        conditions: {
+            acne: {
+                beneficial: ['salicylic acid', 'niacinamide'],
+                avoid: ['coconut oil'],
+                activeRanges: { 'salicylic acid': { min: 0.5, max: 2 } }
+            }
+        },
+        synonyms: {},
+        fattyAlcohols: ['cetyl alcohol'],
+        dryingAlcohols: ['alcohol denat.'],
+        interactionRules: []
+    };
+}
+
+function createKnowledgeBase() {
+    const dir = createTempDir();
+    const seedPath = path.join(dir, 'seed.json');
+    fs.writeFileSync(seedPath, JSON.stringify(seedKnowledgeBase()));
+    const changes = [];
+    const kb = createIngredientKnowledgeBase({
+        seedPath,
+        storePath: path.join(dir, 'store.json'),
+        historyPath: path.join(dir, 'history.jsonl'),
+        onChange: next => changes.push(next.version),
+        logger: silentLogger
+    });
+    return { kb, changes, storePath: path.join(dir, 'store.json') };
+}
+
+test('renaming a beneficial ingredient carries its active range over', () => {
+    const { kb } = createKnowledgeBase();
+
+    const next = kb.renameIngredient('acne', 'beneficial', 'Salicylic Acid', 'BHA', 'tester');
+
+    assert.deepStrictEqual(next.conditions.acne.beneficial, ['bha', 'niacinamide']);
+    assert.deepStrictEqual(next.conditions.acne.activeRanges, { bha: { min: 0.5, max: 2 } });
+    assert.strictEqual(kb.getHistory(1)[0].previous, 'salicylic acid');
+});
+
+test('ingredient classes are edited like condition lists', () => {
+    const { kb, changes, storePath } = createKnowledgeBase();
+
+    kb.addClassIngredient('fattyAlcohols', 'Stearyl  Alcohol', 'tester');
+    kb.renameClassIngredient('dryingAlcohols', 'alcohol denat.', 'ethanol', 'tester');
+    const next = kb.addClassIngredient('onePercentMarkers', 'phenoxyethanol', 'tester');
+
+    assert.deepStrictEqual(next.fattyAlcohols, ['cetyl alcohol', 'stearyl alcohol']);
+    assert.deepStrictEqual(next.dryingAlcohols, ['ethanol']);
+    assert.deepStrictEqual(next.onePercentMarkers, ['phenoxyethanol']);
+    assert.deepStrictEqual(changes, [2, 3, 4]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(storePath, 'utf8')).version, 4);
+
+    assert.throws(() => kb.addClassIngredient('fattyAlcohols', 'cetyl alcohol'), { status: 409 });
+    assert.throws(() => kb.removeClassIngredient('fattyAlcohols', 'lauryl alcohol'), { status: 404 });
+    assert.throws(() => kb.addClassIngredient('emollients', 'squalane'), { status: 400 });
+});
+
+test('interaction rules are created, replaced and removed by id', () => {
+    const { kb } = createKnowledgeBase();
+    const rule = { type: 'pair', severity: 'high', a: ['Retinol'], b: ['glycolic acid'], message: 'Too irritating together.' };
+
+    kb.setInteractionRule('retinoid-acid', rule, 'tester');
+    const replaced = kb.setInteractionRule('retinoid-acid', { ...rule, severity: 'medium' }, 'tester');
+
+    assert.deepStrictEqual(replaced.interactionRules, [{ ...rule, id: 'retinoid-acid', a: ['retinol'], severity: 'medium' }]);
+    assert.strictEqual(kb.getHistory(1)[0].previous.severity, 'high');
+
+    // Rules go through the same schema validation as the rest of the document
+    assert.throws(() => kb.setInteractionRule('Bad Id', rule), error => error.validationErrors.length > 0);
+    assert.throws(() => kb.setInteractionRule('no-type', { ...rule, type: 'triple' }), error => error.validationErrors.length > 0);
+
+    assert.deepStrictEqual(kb.removeInteractionRule('retinoid-acid', 'tester').interactionRules, []);
+    assert.throws(() => kb.removeInteractionRule('retinoid-acid'), { status: 404 });
+});
+
+test('knowledge base admin routes for classes and interaction rules', async t => {
+    const { app } = loadServer();
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    function call(method, pathname, body) {
+        return fetch(`${server.url}/api/admin/ingredients${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'X-Admin-Key': 'admin-key', 'X-Admin-User': 'tester' },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+    }
+
+    await t.test('ingredient classes', async () => {
+        const added = await call('POST', '/classes/fattyAlcohols', { ingredient: 'Myristyl Alcohol' });
+        assert.strictEqual(added.status, 201);
+        assert.ok((await added.json()).fattyAlcohols.includes('myristyl alcohol'));
+
+        const removed = await call('DELETE', `/classes/dryingAlcohols/${encodeURIComponent('isopropyl alcohol')}`);
+        assert.ok(!(await removed.json()).dryingAlcohols.includes('isopropyl alcohol'));
+
+        assert.strictEqual((await call('POST', '/classes/emollients', { ingredient: 'squalane' })).status, 400);
+    });
+
+    await t.test('interaction rules', async () => {
+        const rule = { type: 'stack', severity: 'low', ingredients: ['retinol'], minProducts: 2, message: 'Several retinoids.' };
+        const created = await call('PUT', '/interaction-rules/stacked-retinoids', rule);
+        assert.strictEqual(created.status, 200);
+        assert.ok((await created.json()).interactionRules.some(r => r.id === 'stacked-retinoids'));
+
+        const invalid = await call('PUT', '/interaction-rules/stacked-retinoids', { ...rule, minProducts: 1 });
+        assert.strictEqual(invalid.status, 422);
+
+        const removed = await call('DELETE', '/interaction-rules/stacked-retinoids');
+        assert.ok(!(await removed.json()).interactionRules.some(r => r.id === 'stacked-retinoids'));
+        assert.strictEqual((await call('DELETE', '/interaction-rules/stacked-retinoids')).status, 404);
+    });
+
+    await t.test('renaming an ingredient moves its active range', async () => {
+        const response = await call('PUT', `/conditions/acne/beneficial/${encodeURIComponent('salicylic acid')}`, { ingredient: 'bha' });
+        const body = await response.json();
+        assert.deepStrictEqual(body.activeRanges.bha, { min: 0.5, max: 2 });
+        assert.strictEqual(body.activeRanges['salicylic acid'], undefined);
+    });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createLogger, runWithLogContext, addLogContext } = require('../services/logger');
+const { createMultipartImageParser } = require('../services/imageUpload');
+const { listen, createTestImage } = require('./helpers');
+
+// Logger writing JSON entries to an array
+function createCapturingLogger(options = {}) {
+    const entries = [];
+    const stream = { write: line => entries.push(JSON.parse(line)) };
+    return { entries, logger: createLogger({ stdout: stream, stderr: stream, ...options }) };
+}
+
+test('entries carry the context they were logged in', async () => {
+    const { entries, logger } = createCapturingLogger({ base: { service: 'test' } });
+
+    await runWithLogContext({ requestId: 'req-1' }, async () => {
+        addLogContext({ tenant: 'glow' });
+        await new Promise(resolve => setImmediate(resolve));
+        logger.info('Inside', { step: 1 });
+    });
+    logger.info('Outside');
+
+    assert.deepStrictEqual(
+        entries.map(({ time, ...entry }) => entry),
+        [
+            { level: 'info', msg: 'Inside', service: 'test', requestId: 'req-1', tenant: 'glow', step: 1 },
+            { level: 'info', msg: 'Outside', service: 'test' }
+        ]
+    );
+});
+
+test('redacted fields are replaced wherever they appear and levels filter entries', () => {
+    const { entries, logger } = createCapturingLogger({ level: 'warn', redact: ['description', 'aiOutput'] });
+
+    logger.info('Dropped');
+    logger.warn('Unmapped AI conditions', { unmappedCount: 2, aiOutput: ['pimples', 'shiny'], nested: { description: 'My skin' } });
+    logger.error('Failed', { error: Object.assign(new Error('boom'), { status: 502 }) });
+
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[0].unmappedCount, 2);
+    assert.strictEqual(entries[0].aiOutput, '[redacted]');
+    assert.strictEqual(entries[0].nested.description, '[redacted: 7 chars]');
+    assert.deepStrictEqual(entries[1].error, { name: 'Error', message: 'boom', status: 502 });
+});
+
+test('multipart uploads keep the request id in entries logged after parsing', async t => {
+    const { entries, logger } = createCapturingLogger();
+    const app = express();
+    app.use((req, res, next) => runWithLogContext({ requestId: req.get('X-Request-Id') }, next));
+    app.post('/upload', createMultipartImageParser({ maxFileSize: 1024 * 1024 }), (req, res) => {
+        logger.info('Upload parsed', { bytes: req.file.buffer.length });
+        res.json({ success: true });
+    });
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    const form = new FormData();
+    form.append('conditions', 'acne');
+    form.append('image', new Blob([await createTestImage({ width: 64, height: 64 })], { type: 'image/jpeg' }), 'selfie.jpg');
+    const response = await fetch(`${server.url}/upload`, { method: 'POST', headers: { 'X-Request-Id': 'multipart-1' }, body: form });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].msg, 'Upload parsed');
+    assert.strictEqual(entries[0].requestId, 'multipart-1');
+});
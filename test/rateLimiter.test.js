@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../services/rateLimiter');
+const { listen, loadServer } = require('./helpers');
+
+const windows = [
+    { name: 'minute', windowMs: 60 * 1000, limit: 2 },
+    { name: 'day', windowMs: 24 * 60 * 60 * 1000, limit: 3 }
+];
+
+test('every window must have room, and the window slides instead of resetting', t => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ windows });
+
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: true, retryAfterMs: 0, window: 'minute', limit: 2, remaining: 1 });
+    now += 10 * 1000;
+    limiter.hit('a');
+    const blocked = limiter.hit('a');
+    assert.deepStrictEqual(blocked, { allowed: false, remaining: 0, window: 'minute', limit: 2, retryAfterMs: 50 * 1000 });
+
+    // Other keys have their own windows
+    assert.strictEqual(limiter.hit('b').allowed, true);
+
+    // The first request leaves the minute window; the day window still has one slot
+    now += 50 * 1000;
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    now += 60 * 1000;
+    const daily = limiter.hit('a');
+    assert.strictEqual(daily.allowed, false);
+    assert.strictEqual(daily.window, 'day');
+
+    assert.deepStrictEqual(
+        { allowed: limiter.getStats().allowed, limited: limiter.getStats().limited, trackedKeys: limiter.getStats().trackedKeys },
+        { allowed: 4, limited: 2, trackedKeys: 2 }
+    );
+    now += 24 * 60 * 60 * 1000;
+    assert.strictEqual(limiter.cleanExpired(), 2);
+});
+
+test('analysis routes are limited per IP and per API key', async t => {
+    const { app } = loadServer({ RATE_LIMIT: 'on', RATE_LIMIT_PER_MINUTE: '2', API_KEYS: 'partner:partner-key' });
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    // An empty body fails validation, but still counts against the limit
+    function analyze(headers = {}) {
+        return fetch(`${server.url}/api/analyze`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: '{}'
+        });
+    }
+
+    await t.test('a client over the limit gets 429 with Retry-After', async () => {
+        const first = await analyze();
+        assert.strictEqual(first.status, 400);
+        assert.strictEqual(first.headers.get('X-RateLimit-Limit'), '2');
+        assert.strictEqual(first.headers.get('X-RateLimit-Remaining'), '1');
+        await analyze();
+
+        const limited = await analyze();
+        assert.strictEqual(limited.status, 429);
+        const retryAfter = Number(limited.headers.get('Retry-After'));
+        assert.ok(retryAfter > 0 && retryAfter <= 60);
+        assert.strictEqual((await limited.json()).retryAfter, retryAfter);
+    });
+
+    await t.test('API keys are limited separately and unknown keys are rejected', async () => {
+        const keyed = await analyze({ 'X-API-Key': 'partner-key' });
+        assert.strictEqual(keyed.status, 400);
+        assert.strictEqual(keyed.headers.get('X-RateLimit-Limit'), '60');
+
+        assert.strictEqual((await analyze({ 'X-API-Key': 'made-up' })).status, 401);
+    });
+
+    await t.test('the admin endpoint reports the counters', async () => {
+        const stats = await (await fetch(`${server.url}/api/admin/rate-limits`, { headers: { 'X-Admin-Key': 'admin-key' } })).json();
+        assert.strictEqual(stats.enabled, true);
+        assert.deepStrictEqual({ allowed: stats.ip.allowed, limited: stats.ip.limited }, { allowed: 2, limited: 1 });
+        assert.deepStrictEqual(stats.apiKeys.names, ['partner']);
+    });
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadTenantConfig, applyIngredientOverrides, createTenantRegistry } = require('../services/tenants');
+const { createTempDir, listen, loadServer, createTestImage } = require('./helpers');
+
+function tenant(id, extra = {}) {
+    return {
+        id,
+        woocommerce: { url: `https://${id}.example`, consumerKey: `ck_${id}`, consumerSecret: `cs_${id}` },
+        ...extra
+    };
+}
+
+function writeTenantsFile(config) {
+    const filePath = path.join(createTempDir(), 'tenants.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+}
+
+test('the tenants file resolves env: secrets and rejects shared hosts and API keys', () => {
+    const valid = loadTenantConfig(writeTenantsFile({
+        tenants: [tenant('glow', { apiKeys: ['env:GLOW_KEY'], hosts: ['Shop.Glow.Example'] })]
+    }), { GLOW_KEY: 'secret-key' });
+    assert.deepStrictEqual(valid.tenants[0].apiKeys, ['secret-key']);
+    assert.deepStrictEqual(valid.tenants[0].hosts, ['shop.glow.example']);
+
+    assert.throws(() => loadTenantConfig(writeTenantsFile({
+        defaultTenant: 'missing',
+        tenants: [
+            tenant('glow', { hosts: ['shop.example'], apiKeys: ['key'] }),
+            tenant('dew', { hosts: ['shop.example'], apiKeys: ['key'], budgetRanges: { Low: { min: 5, max: 1 } } })
+        ]
+    }), {}), error => {
+        assert.deepStrictEqual(error.validationErrors, [
+            'tenants[1].budgetRanges.Low must be { min, max } with 0 <= min <= max',
+            'tenants[1].budgetRanges.Low must be lowercase',
+            'Host "shop.example" belongs to more than one tenant',
+            'An API key of tenant "dew" is used by another tenant',
+            'defaultTenant "missing" is not a tenant'
+        ]);
+        return true;
+    });
+});
+
+test('ingredient overrides merge per list and replace whole sections', () => {
+    const kb = {
+        conditions: { acne: { beneficial: ['niacinamide'], avoid: ['coconut oil'] } },
+        synonyms: { niacinamide: ['vitamin b3'] },
+        fattyAlcohols: ['cetyl alcohol']
+    };
+
+    const merged = applyIngredientOverrides(kb, {
+        conditions: { acne: { avoid: ['isopropyl myristate'] } },
+        synonyms: { retinol: ['vitamin a'] },
+        fattyAlcohols: []
+    });
+
+    assert.deepStrictEqual(merged.conditions.acne, { beneficial: ['niacinamide'], avoid: ['isopropyl myristate'] });
+    assert.deepStrictEqual(Object.keys(merged.synonyms), ['niacinamide', 'retinol']);
+    assert.deepStrictEqual(merged.fattyAlcohols, []);
+    assert.deepStrictEqual(kb.conditions.acne.avoid, ['coconut oil']);
+});
+
+test('requests resolve by API key, then Host, then the default tenant', () => {
+    const items = [tenant('glow', { apiKeys: ['glow-key'], hosts: ['glow.test'] }), tenant('dew', { hosts: ['dew.test'] })]
+        .map(config => ({ config: { apiKeys: [], hosts: [], ...config } }));
+    const registry = createTenantRegistry({ items, defaultTenantId: 'dew' });
+
+    assert.strictEqual(registry.resolve({ apiKey: 'glow-key', host: 'dew.test' }).config.id, 'glow');
+    assert.strictEqual(registry.resolve({ host: 'GLOW.test' }).config.id, 'glow');
+    assert.strictEqual(registry.resolve({ host: 'other.test' }).config.id, 'dew');
+    assert.strictEqual(registry.findByStoreUrl('https://glow.example/').config.id, 'glow');
+    assert.strictEqual(createTenantRegistry({ items }).resolve({ host: 'other.test' }), null);
+});
+
+test('multi-tenant routes', async t => {
+    // "default" keeps the test catalog snapshot; "glow" has no snapshot yet
+    const tenantsPath = writeTenantsFile({
+        defaultTenant: 'default',
+        tenants: [
+            tenant('default', {
+                hosts: ['shop.default.test'],
+                budgetRanges: { budget: { min: 0, max: 1000 }, premium: { min: 1000, max: 100000 } },
+                ingredientOverrides: { conditions: { acne: { avoid: ['coconut oil'] } } }
+            }),
+            tenant('glow', { hosts: ['shop.glow.test'], apiKeys: ['glow-key'], currency: 'EUR' })
+        ]
+    });
+    const { app } = loadServer({ TENANTS_CONFIG_PATH: tenantsPath });
+    const server = await listen(app);
+    t.after(() => server.close());
+    const image = `data:image/jpeg;base64,${(await createTestImage()).toString('base64')}`;
+
+    function analyze(body, headers = {}) {
+        return fetch(`${server.url}/api/analyze`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ image, conditions: ['acne'], ...body })
+        });
+    }
+
+    // fetch does not let a request set Host
+    function getWithHost(pathname, host) {
+        return new Promise((resolve, reject) => {
+            http.get(`${server.url}${pathname}`, { headers: { Host: host, 'X-Admin-Key': 'admin-key' } }, res => {
+                let raw = '';
+                res.on('data', chunk => {
+                    raw += chunk;
+                });
+                res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+            }).on('error', reject);
+        });
+    }
+
+    await t.test('the admin endpoint lists every tenant without secrets', async () => {
+        const body = await (await fetch(`${server.url}/api/admin/tenants`, { headers: { 'X-Admin-Key': 'admin-key' } })).json();
+        assert.deepStrictEqual(body.tenants.map(entry => [entry.id, entry.apiKeys, entry.ingredientOverrides]), [
+            ['default', 0, ['conditions']],
+            ['glow', 1, []]
+        ]);
+        assert.ok(!JSON.stringify(body).includes('cs_glow'));
+    });
+
+    await t.test('budgets use the tenant ranges, case-insensitively, and are optional', async () => {
+        const budget = await analyze({ budget: 'Budget' });
+        assert.strictEqual(budget.status, 200);
+        assert.strictEqual(budget.headers.get('X-Products-Scored'), '2');
+
+        const premium = await analyze({ budget: 'premium' });
+        assert.strictEqual(premium.headers.get('X-Products-Scored'), '4');
+
+        const noBudget = await analyze({});
+        assert.strictEqual(noBudget.status, 200);
+        assert.strictEqual(noBudget.headers.get('X-Products-Scored'), '6');
+
+        const builtIn = await analyze({ budget: 'mid' });
+        assert.strictEqual(builtIn.status, 400);
+        assert.deepStrictEqual(await builtIn.json(), { error: 'Invalid budget. Valid options: budget, premium' });
+    });
+
+    await t.test('an API key or Host routes to its own tenant', async () => {
+        const keyed = await analyze({}, { 'X-API-Key': 'glow-key' });
+        assert.strictEqual(keyed.status, 503);
+
+        const byHost = await getWithHost('/api/catalog/status', 'shop.glow.test');
+        assert.strictEqual(byHost.body.tenant, 'glow');
+        assert.strictEqual(byHost.body.catalog.products, 0);
+        const byDefault = await getWithHost('/api/catalog/status', 'unknown.test');
+        assert.strictEqual(byDefault.body.tenant, 'default');
+        assert.strictEqual(byDefault.body.catalog.products, 6);
+    });
+
+    await t.test('knowledge base reloads that break a tenant override are rejected', async () => {
+        const admin = { 'X-Admin-Key': 'admin-key' };
+        const { knowledgeBase } = await (await fetch(`${server.url}/api/admin/ingredients`, { headers: admin })).json();
+        delete knowledgeBase.conditions.acne;
+        fs.writeFileSync(process.env.INGREDIENT_KB_PATH, JSON.stringify(knowledgeBase));
+
+        const response = await fetch(`${server.url}/api/admin/ingredients/reload`, { method: 'POST', headers: admin });
+        assert.strictEqual(response.status, 422);
+        const body = await response.json();
+        assert.ok(body.details.some(detail => detail.startsWith('ingredient overrides of tenant "default": conditions.acne.beneficial')));
+
+        const current = await (await fetch(`${server.url}/api/admin/ingredients`, { headers: admin })).json();
+        assert.ok(current.knowledgeBase.conditions.acne);
+    });
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { createFileWishlistStorage, createPluginWishlistStorage, verifyCustomerSignature } = require('../services/wishlist');
+const { createTempDir, listen, loadServer } = require('./helpers');
+
+const CUSTOMER_SECRET = 'customer-secret';
+
+function signCustomer(customerId, secret = CUSTOMER_SECRET) {
+    return crypto.createHmac('sha256', secret).update(String(customerId)).digest('hex');
+}
+
+test('file storage keeps one entry per product and survives a restart', async () => {
+    const filePath = path.join(createTempDir(), 'wishlists.json');
+    const storage = createFileWishlistStorage({ filePath });
+
+    await storage.add('session:a', { productId: 1, addedAt: '2026-01-01T00:00:00.000Z' });
+    await storage.add('session:a', { productId: 2, addedAt: '2026-01-02T00:00:00.000Z' });
+    const items = await storage.add('session:a', { productId: 1, addedAt: '2026-01-03T00:00:00.000Z', lastMatchScore: 80 });
+    assert.deepStrictEqual(items.map(item => item.productId), [1, 2]);
+    assert.strictEqual(items[0].addedAt, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(items[0].lastMatchScore, 80);
+
+    await storage.updateScores('session:a', new Map([[2, { lastMatchScore: 55 }]]));
+    await storage.remove('session:a', 1);
+
+    const restarted = createFileWishlistStorage({ filePath });
+    assert.deepStrictEqual(await restarted.list('session:a'), [{ productId: 2, addedAt: '2026-01-02T00:00:00.000Z', lastMatchScore: 55 }]);
+    assert.deepStrictEqual(await restarted.list('session:b'), []);
+});
+
+test('verifyCustomerSignature checks the storefront HMAC of the customer id', () => {
+    assert.strictEqual(verifyCustomerSignature('42', signCustomer('42'), CUSTOMER_SECRET), true);
+    assert.strictEqual(verifyCustomerSignature('43', signCustomer('42'), CUSTOMER_SECRET), false);
+    assert.strictEqual(verifyCustomerSignature('42', signCustomer('42'), null), false);
+});
+
+test('plugin storage reads customer wishlists from the plugin and keeps scores locally', async t => {
+    const requests = [];
+    const plugin = await listen((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(req.method === 'GET' ? JSON.stringify([{ prod_id: '3', dateadded: '2026-02-01 10:00:00' }]) : '{}');
+    });
+    t.after(() => plugin.close());
+    const localStorage = createFileWishlistStorage({ filePath: path.join(createTempDir(), 'wishlists.json') });
+    const storage = createPluginWishlistStorage({
+        storeUrl: plugin.url,
+        apiPath: '/wp-json/yith/wishlist/v1',
+        consumerKey: 'ck',
+        consumerSecret: 'cs',
+        localStorage
+    });
+
+    await storage.add('customer:42', { productId: 3, addedAt: '2026-02-01T10:00:00.000Z', lastMatchScore: 71 });
+    const items = await storage.list('customer:42');
+    assert.deepStrictEqual(items, [{ addedAt: '2026-02-01T10:00:00.000Z', productId: 3, lastMatchScore: 71 }]);
+
+    // Anonymous sessions never reach the plugin
+    await storage.add('session:x', { productId: 4, addedAt: '2026-02-02T00:00:00.000Z' });
+    assert.deepStrictEqual(requests, [
+        'POST /wp-json/yith/wishlist/v1/items',
+        'GET /wp-json/yith/wishlist/v1/items?user_id=42'
+    ]);
+});
+
+test('wishlist routes', async t => {
+    const { app } = loadServer({ WISHLIST_CUSTOMER_SECRET: CUSTOMER_SECRET });
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    function call(method, pathname, { headers = {}, body } = {}) {
+        return fetch(`${server.url}${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+    }
+
+    let sessionId;
+    await t.test('an anonymous shopper is issued a session', async () => {
+        const response = await call('GET', '/api/wishlist');
+        sessionId = response.headers.get('Wishlist-Session');
+        assert.match(sessionId, /^[0-9a-f-]{36}$/);
+        assert.deepStrictEqual(await response.json(), { success: true, sessionId, items: [] });
+    });
+
+    await t.test('adding with conditions records the match score', async () => {
+        const response = await call('POST', '/api/wishlist/add', {
+            headers: { 'Wishlist-Session': sessionId },
+            body: { productId: 2, conditions: ['acne', 'oily'] }
+        });
+        const body = await response.json();
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(body.items.length, 1);
+        assert.strictEqual(body.items[0].productId, 2);
+        assert.strictEqual(typeof body.items[0].lastMatchScore, 'number');
+        assert.deepStrictEqual(body.items[0].scoredConditions, ['acne', 'oily']);
+        assert.strictEqual(body.items[0].product.name, 'Niacinamide Serum');
+    });
+
+    await t.test('unknown products and conditions are rejected', async () => {
+        const headers = { 'Wishlist-Session': sessionId };
+        assert.strictEqual((await call('POST', '/api/wishlist/add', { headers, body: { productId: 404 } })).status, 404);
+        assert.strictEqual((await call('POST', '/api/wishlist/add', { headers, body: { productId: 2, conditions: ['freckles'] } })).status, 400);
+    });
+
+    await t.test('removing empties the wishlist', async () => {
+        const response = await call('POST', '/api/wishlist/remove', {
+            headers: { 'Wishlist-Session': sessionId },
+            body: { productId: 2 }
+        });
+        assert.deepStrictEqual((await response.json()).items, []);
+    });
+
+    await t.test('customer wishlists need a valid storefront signature', async () => {
+        const forged = await call('GET', '/api/wishlist', {
+            headers: { 'X-Customer-Id': '42', 'X-Customer-Signature': signCustomer('42', 'wrong') }
+        });
+        assert.strictEqual(forged.status, 401);
+
+        const signed = await call('POST', '/api/wishlist/add', {
+            headers: { 'X-Customer-Id': '42', 'X-Customer-Signature': signCustomer('42') },
+            body: { productId: 1 }
+        });
+        assert.strictEqual(signed.status, 200);
+        assert.strictEqual(signed.headers.get('Wishlist-Session'), null);
+        assert.deepStrictEqual((await signed.json()).items.map(item => item.productId), [1]);
+    });
+});
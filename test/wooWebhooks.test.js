@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyWebhookSignature, parseWebhookTopic } = require('../services/wooWebhooks');
+const { listen, loadServer, writeCatalogSnapshot } = require('./helpers');
+
+const SECRET = 'webhook-secret';
+
+function sign(body, secret = SECRET) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+test('verifyWebhookSignature accepts only the HMAC of the raw body', () => {
+    const body = Buffer.from('{"id":1}');
+
+    assert.strictEqual(verifyWebhookSignature(body, sign(body), SECRET), true);
+    assert.strictEqual(verifyWebhookSignature(body, sign(body, 'other'), SECRET), false);
+    assert.strictEqual(verifyWebhookSignature(body, undefined, SECRET), false);
+});
+
+test('parseWebhookTopic reads resource topics and taxonomy action topics', () => {
+    assert.deepStrictEqual(parseWebhookTopic('product.updated'), { resource: 'product', event: 'updated' });
+    assert.deepStrictEqual(parseWebhookTopic('action.edited_product_cat'), { resource: 'product_cat', event: 'updated' });
+    assert.deepStrictEqual(parseWebhookTopic('action.woocommerce_delete_product_cat'), { resource: 'product_cat', event: 'deleted' });
+    assert.strictEqual(parseWebhookTopic('ping'), null);
+});
+
+test('webhook route', async t => {
+    const { app, tenants } = loadServer({ WOOCOMMERCE_WEBHOOK_SECRET: SECRET }, { products: null });
+    const server = await listen(app);
+    t.after(() => server.close());
+    const catalogSync = tenants.get('default').catalogSync;
+
+    function deliver(topic, payload, signature) {
+        const body = JSON.stringify(payload);
+        return fetch(`${server.url}/api/webhooks/woocommerce`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-WC-Webhook-Topic': topic,
+                'X-WC-Webhook-Signature': signature || sign(body)
+            },
+            body
+        });
+    }
+
+    await t.test('changes before any snapshot is loaded are skipped, not reported as removals', async () => {
+        const response = await deliver('product.updated', { id: 2, name: 'Renamed', status: 'publish', price: '800' });
+        assert.deepStrictEqual(await response.json(), { success: true, productId: 2, action: 'skipped' });
+
+        const deleted = await deliver('product.deleted', { id: 2 });
+        assert.strictEqual((await deleted.json()).action, 'skipped');
+    });
+
+    writeCatalogSnapshot(process.env.CATALOG_SNAPSHOT_PATH);
+    catalogSync.loadSnapshot();
+
+    await t.test('an invalid signature is rejected', async () => {
+        const response = await deliver('product.updated', { id: 2, name: 'Tampered' }, sign('other body'));
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(catalogSync.getProduct(2).name, 'Niacinamide Serum');
+    });
+
+    await t.test('product updates are patched into the snapshot', async () => {
+        const product = { ...catalogSync.getProduct(2), name: 'Niacinamide Serum 2.0' };
+        const response = await deliver('product.updated', product);
+        assert.deepStrictEqual(await response.json(), { success: true, productId: 2, action: 'patched' });
+        assert.strictEqual(catalogSync.getProduct(2).name, 'Niacinamide Serum 2.0');
+    });
+
+    await t.test('deleted and unpublished products are removed', async () => {
+        const deleted = await deliver('product.deleted', { id: 3 });
+        assert.strictEqual((await deleted.json()).action, 'removed');
+        assert.strictEqual(catalogSync.getProduct(3), null);
+
+        const drafted = await deliver('product.updated', { ...catalogSync.getProduct(4), status: 'draft' });
+        assert.strictEqual((await drafted.json()).action, 'removed');
+        assert.strictEqual(catalogSync.getProduct(4), null);
+    });
+
+    await t.test('category updates rename the category on its products', async () => {
+        const response = await deliver('product_cat.updated', { id: 10, name: 'Face Care', slug: 'face-care' });
+        assert.deepStrictEqual(await response.json(), { success: true, categoryId: 10, action: 'updated' });
+        assert.strictEqual(catalogSync.getProduct(1).categories[0].name, 'Face Care');
+    });
+});